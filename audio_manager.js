@@ -2,6 +2,8 @@
 // Rule: a sound may play only if there are currently 0 playing sounds, or
 // exactly 1 playing sound and that sound is different from the candidate.
 // If the rule isn't satisfied the play request is dismissed.
+// Footsteps (footstep()) are synthesised with WebAudio and sit outside that rule: they are a few
+// milliseconds long and must not block the puzzle and constellation sounds.
 
 const SOUND_MAP = {
   'painting:move-tile': './assets/audio/sound-effects/painting/move-tile.mp3',
@@ -10,8 +12,39 @@ const SOUND_MAP = {
   'philosophy:on-star-link': './assets/audio/sound-effects/philosophy/on-star-link.mp3'
 };
 
+const PRELOAD_TIMEOUT_MS = 6000;
+
+// Footstep voices: a short burst of filtered noise (the scuff) over a low sine (the heel on stone).
+// Consecutive steps never use the same voice, and every step is detuned a little on top.
+const STEP_VARIANTS = [
+  { cutoff: 650, thump: 95, decay: 0.09 },
+  { cutoff: 820, thump: 110, decay: 0.08 },
+  { cutoff: 540, thump: 85, decay: 0.1 },
+  { cutoff: 720, thump: 100, decay: 0.085 }
+];
+const STEP_GAIN = 0.22;
+const RUN_GAIN = 1.3; // running lands harder
+const STEP_PAN = 0.15; // left foot slightly left, right foot slightly right
+
 const _audioEls = new Map(); // key -> HTMLAudioElement
 const _activeKeys = new Set(); // distinct sound keys currently playing
+let _ctx = null; // AudioContext for footsteps, created on the first step (after a user gesture)
+let _noise = null; // shared noise buffer
+let _lastVariant = -1;
+
+function _stepContext() {
+  if (!_ctx) {
+    const Ctx = window.AudioContext || window.webkitAudioContext;
+    if (!Ctx) return null;
+    _ctx = new Ctx();
+    const len = Math.floor(_ctx.sampleRate * 0.2);
+    _noise = _ctx.createBuffer(1, len, _ctx.sampleRate);
+    const data = _noise.getChannelData(0);
+    for (let i = 0; i < len; i++) data[i] = Math.random() * 2 - 1;
+  }
+  if (_ctx.state === 'suspended') { try { _ctx.resume(); } catch(e) {} }
+  return _ctx;
+}
 
 function _createAudio(key) {
   const src = SOUND_MAP[key];
@@ -64,6 +97,69 @@ export const AudioManager = {
     }
   },
 
+  // Create the element for `key` ahead of time. Resolves once it can play through (or after a few
+  // seconds: some browsers only buffer after a user gesture); rejects when the file fails to load.
+  preload(key) {
+    let a = _audioEls.get(key);
+    if (!a) { a = _createAudio(key); if (!a) return Promise.reject(new Error('unknown sound ' + key)); _audioEls.set(key, a); }
+    if (a.readyState >= 4) return Promise.resolve(a);
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => resolve(a), PRELOAD_TIMEOUT_MS);
+      a.addEventListener('canplaythrough', () => { clearTimeout(timer); resolve(a); }, { once: true });
+      a.addEventListener('error', () => { clearTimeout(timer); reject(new Error('failed to load ' + SOUND_MAP[key])); }, { once: true });
+      try { a.load(); } catch(e) {}
+    });
+  },
+
+  // One synthesised footstep. opts: { foot: 'left' | 'right', running }. Returns false when WebAudio
+  // is unavailable.
+  footstep(opts = {}) {
+    try {
+      const ctx = _stepContext();
+      if (!ctx || ctx.state !== 'running') return false;
+      let v = Math.floor(Math.random() * STEP_VARIANTS.length);
+      if (v === _lastVariant) v = (v + 1) % STEP_VARIANTS.length;
+      _lastVariant = v;
+      const voice = STEP_VARIANTS[v];
+      const detune = 0.9 + Math.random() * 0.2;
+      const t = ctx.currentTime;
+      const decay = voice.decay * (opts.running ? 0.8 : 1);
+      const out = ctx.createGain();
+      out.gain.setValueAtTime(0.0001, t);
+      out.gain.exponentialRampToValueAtTime(STEP_GAIN * (opts.running ? RUN_GAIN : 1), t + 0.006);
+      out.gain.exponentialRampToValueAtTime(0.0001, t + decay);
+      let dest = ctx.destination;
+      if (typeof ctx.createStereoPanner === 'function') {
+        const pan = ctx.createStereoPanner();
+        pan.pan.value = opts.foot === 'left' ? -STEP_PAN : STEP_PAN;
+        pan.connect(dest);
+        dest = pan;
+      }
+      out.connect(dest);
+      const noise = ctx.createBufferSource();
+      noise.buffer = _noise;
+      noise.playbackRate.value = detune;
+      const filter = ctx.createBiquadFilter();
+      filter.type = 'lowpass';
+      filter.frequency.value = voice.cutoff * detune;
+      noise.connect(filter); filter.connect(out);
+      const thump = ctx.createOscillator();
+      thump.frequency.setValueAtTime(voice.thump * detune, t);
+      thump.frequency.exponentialRampToValueAtTime(voice.thump * 0.6, t + decay);
+      thump.connect(out);
+      noise.onended = () => { try { out.disconnect(); if (dest !== ctx.destination) dest.disconnect(); } catch(e) {} };
+      noise.start(t); noise.stop(t + decay + 0.02);
+      thump.start(t); thump.stop(t + decay + 0.02);
+      return true;
+    } catch (e) {
+      console.warn('AudioManager: footstep failed', e);
+      return false;
+    }
+  },
+
+  // Source file of a sound key (for loading screens)
+  src(key) { return SOUND_MAP[key] || null; },
+
   // Stop and clear all playing sounds (helper for scene switches)
   stopAll() {
     for (const [k,a] of _audioEls.entries()) {
@@ -150,6 +246,13 @@ export const BackgroundMusic = (function(){
 
     getCurrentKey() { return _currentKey; },
 
+    // Add or override a MUSIC_MAP entry (the level manifest registers its music keys here)
+    register(key, src) {
+      if (!key || !src) return false;
+      MUSIC_MAP[key] = src;
+      return true;
+    },
+
     play() {
       try {
         if (!_audio) _audio = _createAudio();
@@ -1,5 +1,7 @@
-import * as THREE from 'https://unpkg.com/three@0.164.1/build/three.module.js';
+import * as THREE from './vendor/three/build/three.module.js';
 import { AudioManager } from './audio_manager.js';
+import { TouchInput } from './touch_input.js';
+import { I18n } from './i18n.js';
 
 // Toggle to disable level-creation features while testing levels
 const CREATION_DISABLED = true;
@@ -15,6 +17,8 @@ const CREATION_DISABLED = true;
 // - "Show" button reveals the image again and drops all lines
 // - some stars become shooting stars: they move and fade; linking them during their motion drops the click
 // - on completion, show low-opacity image overlay and end the level
+// - with a gamepad, updateReticle() drives an on-screen reticle that stands in for the pointer
+// - on touch screens one finger draws when it lands on a star and turns the sky otherwise
 
 export class ConstellationGame {
   constructor(scene, camera, renderer, opts = {}) {
@@ -64,10 +68,21 @@ export class ConstellationGame {
   this._edgesThisClick = [];
   this._starsLinkedThisClick = [];
 
+  // gamepad reticle (screen position in client pixels, created on first stick use)
+  this._reticle = null;
+  this._reticlePos = null;
+  this._reticlePressed = false;
+  this._reticleSpeed = opts.reticleSpeed || 900; // px per second at full deflection
+  this._interactive = false;
+  this._drawPointer = null; // pointerId of the press drawing the current path
+  this._skyDrag = null; // { id, x, y } while a finger that missed every star is turning the camera
+
   this.creationMode = false; // when true, clicking empty space creates stars and all links are allowed
   this._exportButton = null;
 
     this.onComplete = opts.onComplete || function(){ console.log('constellation: complete'); };
+    // called after the player commits new edges (used for save checkpoints)
+    this.onProgress = opts.onProgress || null;
 
     this.sample = null; // stored sample data
   }
@@ -129,7 +144,7 @@ export class ConstellationGame {
     // show button
     if (!this.showButton) {
       const btn = document.createElement('button');
-      btn.textContent = 'Show constellation';
+      I18n.bind(btn, 'constellation.show');
       btn.style.position = 'fixed'; btn.style.left = '8px'; btn.style.bottom = '8px'; btn.style.zIndex = 200000;
       document.body.appendChild(btn);
       btn.addEventListener('click', () => { this._showFullImage(); this._clearAllLines(); });
@@ -181,6 +196,10 @@ export class ConstellationGame {
     el.addEventListener('pointerdown', this._boundPointerDown);
     window.addEventListener('pointermove', this._boundPointerMove);
     window.addEventListener('pointerup', this._boundPointerUp);
+    window.addEventListener('pointercancel', this._boundPointerUp);
+    // the page must not scroll or zoom under a drawing finger
+    el.style.touchAction = 'none';
+    this._interactive = true;
 
     // start any shooting star animations
     this._startShootingStars();
@@ -198,6 +217,8 @@ export class ConstellationGame {
 
   _onPointerDown(ev) {
     ev.preventDefault();
+    // one path (or sky drag) at a time: ignore extra fingers
+    if (this.dragging || this._skyDrag) return;
     const rect = this.renderer.domElement.getBoundingClientRect();
     this.mouse.x = ((ev.clientX - rect.left) / rect.width) * 2 - 1;
     this.mouse.y = -((ev.clientY - rect.top) / rect.height) * 2 + 1;
@@ -216,13 +237,18 @@ export class ConstellationGame {
         return;
       }
     }
-    if (hits.length === 0) return; // click empty space
+    if (hits.length === 0) {
+      // a finger on empty sky turns the camera instead (the mouse uses pointer lock for that)
+      if (ev.pointerType === 'touch') this._skyDrag = { id: ev.pointerId, x: ev.clientX, y: ev.clientY };
+      return;
+    }
     const hit = hits[0];
     const idx = this.stars.findIndex(s => s.collider === hit.object);
     if (idx < 0) return;
 
     // begin drag from this star
     this.dragging = true;
+    this._drawPointer = ev.pointerId;
     this.currentPath = [idx];
     this._lastPointer = { x: ev.clientX, y: ev.clientY };
     // reset per-click temporary collections
@@ -240,7 +266,12 @@ export class ConstellationGame {
   }
 
   _onPointerMove(ev) {
-    if (!this.dragging) return;
+    if (this._skyDrag && ev.pointerId === this._skyDrag.id) {
+      TouchInput.lookBy(this.camera, ev.clientX - this._skyDrag.x, ev.clientY - this._skyDrag.y);
+      this._skyDrag.x = ev.clientX; this._skyDrag.y = ev.clientY;
+      return;
+    }
+    if (!this.dragging || ev.pointerId !== this._drawPointer) return;
     // Do not directly rotate the camera here. PointerLockControls (created in philosophy.js)
     // will be responsible for camera rotation when pointer is locked. We keep _lastPointer
     // only for potential future debug; avoid accumulating deltas that can increase sensitivity.
@@ -292,8 +323,10 @@ export class ConstellationGame {
   }
 
   _onPointerUp(ev) {
-    if (!this.dragging) return;
+    if (this._skyDrag && ev.pointerId === this._skyDrag.id) { this._skyDrag = null; return; }
+    if (!this.dragging || ev.pointerId !== this._drawPointer) return;
     this.dragging = false;
+    this._drawPointer = null;
     // reset pointer tracking
     this._lastPointer = null;
 
@@ -354,6 +387,7 @@ export class ConstellationGame {
     }
     // record matched edges (player-created) so we can check completion
     for (const e of this._edgesThisClick) this.matchedEdges.add(e);
+    const progressed = this._edgesThisClick.length > 0;
     // mark stars permanently linked and clear temporary flags
     for (const idx of this._starsLinkedThisClick) {
       const s = this.stars[idx]; s.linked = true; s._linkedTemp = false;
@@ -365,6 +399,26 @@ export class ConstellationGame {
     if (this.currentLine) { try { this.scene.remove(this.currentLine); } catch(e) {} this.currentLine = null; }
     this.currentLinePositions = [];
     this.currentPath = [];
+    if (progressed && typeof this.onProgress === 'function') { try { this.onProgress(); } catch(e) {} }
+    this._checkCompletion();
+  }
+
+  // Re-draw edges linked in a previous session (edge keys 'a-b'). Keys that are not part of
+  // this level's solution are ignored so a stale save can't complete a different constellation.
+  restoreMatchedEdges(edgeKeys) {
+    for (const key of (edgeKeys || [])) {
+      if (!this.edges.has(key) || this.matchedEdges.has(key)) continue;
+      const [a, b] = key.split('-').map(n => parseInt(n, 10));
+      const sa = this.stars[a]; const sb = this.stars[b];
+      if (!sa || !sb) continue;
+      const arr = new Float32Array([sa.pos.x, sa.pos.y, sa.pos.z, sb.pos.x, sb.pos.y, sb.pos.z]);
+      const geom = new THREE.BufferGeometry(); geom.setAttribute('position', new THREE.BufferAttribute(arr, 3));
+      const line = new THREE.Line(geom, new THREE.LineBasicMaterial({ color: 0xffdd88, linewidth: 2 }));
+      this.scene.add(line);
+      this.permanentLines.push(line);
+      this.matchedEdges.add(key);
+      for (const s of [sa, sb]) { s.linked = true; if (s.filledTex) s.sprite.material.map = s.filledTex; }
+    }
     this._checkCompletion();
   }
 
@@ -569,7 +623,7 @@ export class ConstellationGame {
   _ensureExportButton() {
     if (CREATION_DISABLED) return;
     if (this._exportButton) return;
-    const btn = document.createElement('button'); btn.textContent = 'Export constellation';
+    const btn = document.createElement('button'); I18n.bind(btn, 'constellation.export');
     btn.style.position = 'fixed'; btn.style.left = '8px'; btn.style.bottom = '44px'; btn.style.zIndex = 200000;
     document.body.appendChild(btn);
     btn.addEventListener('click', () => {
@@ -581,13 +635,54 @@ export class ConstellationGame {
     this._exportButton = btn;
   }
 
+  // Gamepad drawing: `stick` ({x right, y up} in [-1, 1]) moves the reticle inside the central 70% of
+  // the canvas and `pressed` (A held) acts as the mouse button, through the same pointer handlers.
+  // Returns the stick input the reticle could not use because it sits at the edge of its box; the
+  // caller turns the camera with it.
+  updateReticle(dt, stick, pressed) {
+    const rest = { x: stick.x, y: stick.y };
+    if (!this._interactive) return rest;
+    const rect = this.renderer.domElement.getBoundingClientRect();
+    if (!this._reticle) {
+      if (!stick.x && !stick.y && !pressed) return rest;
+      const r = document.createElement('div');
+      r.style.position = 'fixed'; r.style.width = '18px'; r.style.height = '18px'; r.style.marginLeft = '-9px'; r.style.marginTop = '-9px'; r.style.border = '2px solid rgba(255,240,200,0.9)'; r.style.borderRadius = '50%'; r.style.boxShadow = '0 0 8px rgba(255,220,140,0.7)'; r.style.pointerEvents = 'none'; r.style.zIndex = 200001;
+      document.body.appendChild(r);
+      this._reticle = r;
+      this._reticlePos = { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+    }
+    const minX = rect.left + rect.width * 0.15, maxX = rect.right - rect.width * 0.15;
+    const minY = rect.top + rect.height * 0.15, maxY = rect.bottom - rect.height * 0.15;
+    const tx = this._reticlePos.x + stick.x * this._reticleSpeed * dt;
+    const ty = this._reticlePos.y - stick.y * this._reticleSpeed * dt;
+    const nx = Math.min(maxX, Math.max(minX, tx));
+    const ny = Math.min(maxY, Math.max(minY, ty));
+    // only the clamped part of the motion is handed back
+    if (nx === tx) rest.x = 0;
+    if (ny === ty) rest.y = 0;
+    const moved = nx !== this._reticlePos.x || ny !== this._reticlePos.y;
+    this._reticlePos.x = nx; this._reticlePos.y = ny;
+    this._reticle.style.left = nx + 'px'; this._reticle.style.top = ny + 'px';
+
+    const ev = { clientX: nx, clientY: ny, preventDefault() {} };
+    if (pressed && !this._reticlePressed) this._onPointerDown(ev);
+    // a turning camera moves the sky under a still reticle, so keep tracking while held
+    else if (pressed && (moved || rest.x || rest.y)) this._onPointerMove(ev);
+    else if (!pressed && this._reticlePressed) this._onPointerUp(ev);
+    this._reticlePressed = pressed;
+    return rest;
+  }
+
   dispose(){
     // cleanup listeners and DOM
     const el = this.renderer.domElement; el.removeEventListener('pointerdown', this._boundPointerDown);
     window.removeEventListener('pointermove', this._boundPointerMove); window.removeEventListener('pointerup', this._boundPointerUp);
+    window.removeEventListener('pointercancel', this._boundPointerUp);
     if (this.showButton && this.showButton.parentNode) this.showButton.parentNode.removeChild(this.showButton);
     if (this.overlayImg && this.overlayImg.parentNode) this.overlayImg.parentNode.removeChild(this.overlayImg);
     if (this.completionOverlay && this.completionOverlay.parentNode) this.completionOverlay.parentNode.removeChild(this.completionOverlay);
+    if (this._reticle && this._reticle.parentNode) this._reticle.parentNode.removeChild(this._reticle);
+    this._reticle = null; this._interactive = false;
     try { this.scene.remove(this.group); } catch(e) {}
   }
 }
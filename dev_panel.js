@@ -0,0 +1,209 @@
+// DevPanel: developer calibration overlay for the stairs scene, enabled with ?dev=1.
+// - live sliders for the helix band (radius, thickness, pitch, baseY), the interior point lights
+//   and the renderer exposure; the scene reads these values every frame, so changes show at once
+// - gizmos: the helix curve (centre line plus the inner / outer edge of the walkable band) and the
+//   reach of the puzzle panel (a sphere of INTERACT_MAX_DIST: the interact ray targets the panel when
+//   it meets it within that distance)
+// - a toggle between mesh collision (stepping on the stair meshes) and the analytic helix height
+// - Export downloads the current values as a tower file (tower_config.js format, validated first)
+// main.js opens it once the tower is placed, calls update() every frame and close() on unload.
+// Developer-only: the labels are plain English and not part of the I18n tables.
+
+import * as THREE from './vendor/three/build/three.module.js';
+import { validateTower } from './tower_config.js';
+
+const CURVE_REVOLUTIONS = 4; // drawn above and below the camera's current angle
+const CURVE_SEGMENTS = 64; // per revolution
+const GIZMO_COLORS = { curve: 0x00e5ff, band: 0x0077aa, reach: 0xffc400 };
+
+export const DevPanel = (function(){
+  let _ctx = null; // { scene, camera, renderer, helix, tower, lights, interact: { maxDist }, getInteractivePlane, onHelixChange, collision: { get, set } }
+  let _el = null;
+  let _gizmos = null; // THREE.Group
+  let _curveTheta = null; // helix angle the curve was built around
+  let _reach = null;
+  let _minStairY = 0;
+
+  function _isEnabled() {
+    try { return new URLSearchParams(location.search).get('dev') === '1'; } catch(e) { return false; }
+  }
+
+  // Slider rows: get/set read and write the live scene objects
+  function _fields() {
+    const h = _ctx.helix;
+    const lights = _ctx.lights;
+    const light0 = () => lights[0] || null;
+    const setLights = (key, v) => { for (const l of lights) l[key] = v; };
+    return [
+      { label: 'helix.radius', min: 0.5, max: 5, step: 0.001, get: () => h.radius, set: (v) => { h.radius = v; } },
+      { label: 'helix.thickness', min: 0, max: 2, step: 0.01, get: () => h.thickness, set: (v) => { h.thickness = v; } },
+      { label: 'helix.pitch', min: 0.5, max: 5, step: 0.0001, get: () => h.pitch, set: (v) => { h.pitch = v; } },
+      { label: 'helix.baseY', min: _minStairY - 3, max: _minStairY + 3, step: 0.0005, get: () => h.baseY, set: (v) => { h.baseY = v; } },
+      { label: 'interior intensity', min: 0, max: 5, step: 0.05, get: () => (light0() ? light0().intensity : 0), set: (v) => setLights('intensity', v) },
+      { label: 'interior distance', min: 0, max: 100, step: 1, get: () => (light0() ? light0().distance : 0), set: (v) => setLights('distance', v) },
+      { label: 'exposure', min: 0.1, max: 3, step: 0.01, get: () => _ctx.renderer.toneMappingExposure, set: (v) => { _ctx.renderer.toneMappingExposure = v; } }
+    ];
+  }
+
+  function _build() {
+    const el = document.createElement('div'); el.id = 'lk_dev_panel';
+    el.style.position = 'fixed'; el.style.left = '12px'; el.style.top = '12px'; el.style.zIndex = 100005; el.style.width = '300px'; el.style.padding = '10px 12px'; el.style.borderRadius = '8px'; el.style.background = 'rgba(0,0,0,0.8)'; el.style.color = '#e0f7fa'; el.style.font = '12px/1.4 monospace'; el.style.pointerEvents = 'auto';
+    const title = document.createElement('div'); title.textContent = 'calibration (?dev=1)'; title.style.fontWeight = '700'; title.style.marginBottom = '6px';
+    el.appendChild(title);
+    for (const f of _fields()) {
+      const row = document.createElement('label'); row.style.display = 'block'; row.style.marginBottom = '4px';
+      const name = document.createElement('span'); name.textContent = f.label;
+      const value = document.createElement('span'); value.style.float = 'right';
+      const input = document.createElement('input'); input.type = 'range';
+      input.min = String(f.min); input.max = String(f.max); input.step = String(f.step); input.value = String(f.get());
+      input.style.width = '100%';
+      value.textContent = Number(f.get()).toFixed(4);
+      input.addEventListener('input', () => {
+        const v = Number(input.value);
+        f.set(v);
+        value.textContent = v.toFixed(4);
+        if (f.label.startsWith('helix.')) {
+          _rebuildCurve();
+          if (typeof _ctx.onHelixChange === 'function') _ctx.onHelixChange();
+        }
+      });
+      row.appendChild(name); row.appendChild(value); row.appendChild(input);
+      el.appendChild(row);
+    }
+    const buttons = document.createElement('div'); buttons.style.display = 'flex'; buttons.style.gap = '8px'; buttons.style.marginTop = '6px';
+    const gizmoBtn = document.createElement('button'); gizmoBtn.type = 'button'; gizmoBtn.textContent = 'gizmos';
+    gizmoBtn.addEventListener('click', () => { if (_gizmos) _gizmos.visible = !_gizmos.visible; });
+    const exportBtn = document.createElement('button'); exportBtn.type = 'button'; exportBtn.textContent = 'export JSON';
+    exportBtn.addEventListener('click', () => {
+      try {
+        const data = DevPanel.exportTower();
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a'); a.href = url; a.download = (data.id || 'tower') + '.json'; a.click(); URL.revokeObjectURL(url);
+      } catch(e) { console.warn('DevPanel: export failed', e); }
+    });
+    const collisionBtn = document.createElement('button'); collisionBtn.type = 'button';
+    const labelCollision = () => { collisionBtn.textContent = 'collision: ' + _ctx.collision.get(); };
+    collisionBtn.addEventListener('click', () => {
+      _ctx.collision.set(_ctx.collision.get() === 'mesh' ? 'helix' : 'mesh');
+      labelCollision();
+    });
+    if (_ctx.collision) labelCollision(); else collisionBtn.disabled = true;
+    buttons.appendChild(gizmoBtn); buttons.appendChild(collisionBtn); buttons.appendChild(exportBtn);
+    el.appendChild(buttons);
+    // keep slider keys (arrows, Home / End) away from the game's key handlers
+    el.addEventListener('keydown', (e) => { if (e.key !== 'Escape') e.stopPropagation(); });
+    el.addEventListener('click', (e) => e.stopPropagation());
+    document.body.appendChild(el);
+    return el;
+  }
+
+  function _helixPoint(theta, radius, out) {
+    const h = _ctx.helix;
+    const sign = h.inverted ? -1 : 1;
+    return out.set(
+      h.center.x + radius * Math.cos(theta),
+      h.baseY + sign * (theta / (2 * Math.PI)) * h.pitch + h.offsetY,
+      h.center.y + radius * Math.sin(theta)
+    );
+  }
+
+  function _curveGeometry(radius) {
+    const points = [];
+    const total = CURVE_REVOLUTIONS * 2 * CURVE_SEGMENTS;
+    const start = _curveTheta - CURVE_REVOLUTIONS * 2 * Math.PI;
+    for (let i = 0; i <= total; i++) points.push(_helixPoint(start + (i / CURVE_SEGMENTS) * 2 * Math.PI, radius, new THREE.Vector3()));
+    return new THREE.BufferGeometry().setFromPoints(points);
+  }
+
+  // (Re)build the centre line and band edges around the camera's current helix angle
+  function _rebuildCurve() {
+    if (!_gizmos) return;
+    const h = _ctx.helix;
+    _curveTheta = h.lastTheta;
+    for (const child of _gizmos.children.slice()) {
+      if (child === _reach) continue;
+      _gizmos.remove(child);
+      child.geometry.dispose(); child.material.dispose();
+    }
+    const radii = [[h.radius, GIZMO_COLORS.curve], [h.radius - h.thickness / 2, GIZMO_COLORS.band], [h.radius + h.thickness / 2, GIZMO_COLORS.band]];
+    for (const [r, color] of radii) {
+      const line = new THREE.Line(_curveGeometry(r), new THREE.LineBasicMaterial({ color, depthTest: false, transparent: true, opacity: 0.9 }));
+      line.renderOrder = 999;
+      _gizmos.add(line);
+    }
+  }
+
+  // Sphere of the interact reach around the puzzle panel (roughly where the player can use it from)
+  function _buildReach() {
+    const geo = new THREE.SphereGeometry(_ctx.interact.maxDist, 24, 12);
+    const mat = new THREE.MeshBasicMaterial({ color: GIZMO_COLORS.reach, wireframe: true, depthTest: false, transparent: true, opacity: 0.35 });
+    const reach = new THREE.Mesh(geo, mat);
+    reach.renderOrder = 999;
+    reach.visible = false;
+    return reach;
+  }
+
+  return {
+    isEnabled() { return _isEnabled(); },
+
+    isOpen() { return !!_el; },
+
+    // Show the panel and gizmos for the stairs scene described by `ctx` (see the field list above)
+    open(ctx) {
+      if (_el) this.close();
+      _ctx = ctx;
+      _minStairY = Math.min(...ctx.tower.stairs.map(s => s.position.y));
+      _el = _build();
+      _gizmos = new THREE.Group(); _gizmos.name = 'lk_dev_gizmos';
+      _reach = _buildReach();
+      _gizmos.add(_reach);
+      ctx.scene.add(_gizmos);
+      _rebuildCurve();
+      console.log('DevPanel: open');
+    },
+
+    // Per-frame: keep the curve around the camera and the reach on the panel
+    update() {
+      if (!_gizmos || !_ctx) return;
+      if (Math.abs(_ctx.helix.lastTheta - _curveTheta) > 2 * Math.PI) _rebuildCurve();
+      const plane = _ctx.getInteractivePlane ? _ctx.getInteractivePlane() : null;
+      if (plane) {
+        plane.getWorldPosition(_reach.position);
+        _reach.visible = true;
+      } else {
+        _reach.visible = false;
+      }
+    },
+
+    // Current calibration as a tower file: the loaded tower with the panel's values written in
+    exportTower() {
+      if (!_ctx) return null;
+      const h = _ctx.helix;
+      const out = JSON.parse(JSON.stringify(_ctx.tower));
+      out.helix.radius = h.radius;
+      out.helix.thickness = h.thickness;
+      out.helix.pitch = h.pitch;
+      out.helix.inverted = !!h.inverted;
+      out.helix.baseYOffset = h.baseY - _minStairY;
+      out.lighting.exposure = _ctx.renderer.toneMappingExposure;
+      const light = _ctx.lights[0];
+      if (light) {
+        out.lighting.interior.intensity = light.intensity;
+        out.lighting.interior.distance = light.distance;
+      }
+      return validateTower(out);
+    },
+
+    close() {
+      try { if (_el && _el.parentNode) _el.parentNode.removeChild(_el); } catch(e) {}
+      if (_gizmos) {
+        try { if (_gizmos.parent) _gizmos.parent.remove(_gizmos); } catch(e) {}
+        _gizmos.traverse((o) => { try { if (o.geometry) o.geometry.dispose(); if (o.material) o.material.dispose(); } catch(e) {} });
+      }
+      _el = null; _gizmos = null; _reach = null; _ctx = null; _curveTheta = null;
+    },
+
+    _state() { return { open: !!_el, gizmos: _gizmos ? _gizmos.children.length : 0, curveTheta: _curveTheta }; }
+  };
+})();
@@ -0,0 +1,82 @@
+// Teardown helpers shared by scene exit hooks.
+// - createListenerGroup(): records addEventListener calls so a scene can remove all of them at once.
+// - disposeObject3D(root): disposes geometries, materials and every texture a material references.
+// - reportRendererLeaks(renderer, label): logs GPU resources the renderer still tracks after a teardown.
+
+export function createListenerGroup(label = 'listeners') {
+  let _entries = [];
+  return {
+    add(target, type, fn, opts) {
+      if (!target || typeof target.addEventListener !== 'function') return fn;
+      target.addEventListener(type, fn, opts);
+      _entries.push({ target, type, fn, opts });
+      return fn;
+    },
+    remove(target, type, fn) {
+      _entries = _entries.filter((e) => {
+        if (e.target !== target || e.type !== type || e.fn !== fn) return true;
+        try { target.removeEventListener(type, fn, e.opts); } catch(err) {}
+        return false;
+      });
+    },
+    // Remove every recorded listener; returns how many were removed.
+    removeAll() {
+      const count = _entries.length;
+      for (const e of _entries) {
+        try { e.target.removeEventListener(e.type, e.fn, e.opts); } catch(err) { console.warn('disposal: failed to remove listener', label, e.type, err); }
+      }
+      _entries = [];
+      return count;
+    },
+    size() { return _entries.length; }
+  };
+}
+
+function _disposeMaterial(mat, seen) {
+  if (!mat || seen.has(mat)) return;
+  seen.add(mat);
+  // textures hang off arbitrary material properties (map, alphaMap, emissiveMap, envMap, ...)
+  for (const key of Object.keys(mat)) {
+    const v = mat[key];
+    if (v && v.isTexture && !seen.has(v)) { seen.add(v); try { v.dispose(); } catch(e) {} }
+  }
+  try { mat.dispose(); } catch(e) {}
+}
+
+// Dispose everything reachable from root (including root.background/environment when root is a Scene).
+// Shared geometries/materials (tower clones) are only disposed once. Returns counts for logging.
+export function disposeObject3D(root) {
+  const seen = new Set();
+  const counts = { geometries: 0, materials: 0 };
+  if (!root) return counts;
+  root.traverse((o) => {
+    try {
+      if (o.geometry && !seen.has(o.geometry)) { seen.add(o.geometry); o.geometry.dispose(); counts.geometries++; }
+    } catch(e) {}
+    try {
+      const mats = Array.isArray(o.material) ? o.material : (o.material ? [o.material] : []);
+      for (const m of mats) { if (!seen.has(m)) counts.materials++; _disposeMaterial(m, seen); }
+    } catch(e) {}
+    try { if (o.isLight && o.shadow && o.shadow.map) o.shadow.map.dispose(); } catch(e) {}
+  });
+  if (root.isScene) {
+    for (const key of ['background', 'environment']) {
+      const tex = root[key];
+      if (tex && tex.isTexture) { try { tex.dispose(); } catch(e) {} }
+      root[key] = null;
+    }
+  }
+  return counts;
+}
+
+// Log what the renderer still holds after a teardown. Call after disposeObject3D() and before
+// renderer.dispose() (which resets the bookkeeping). Returns the remaining memory counts.
+export function reportRendererLeaks(renderer, label = 'scene') {
+  try {
+    const mem = (renderer && renderer.info && renderer.info.memory) ? { geometries: renderer.info.memory.geometries, textures: renderer.info.memory.textures } : null;
+    if (!mem) return null;
+    if (mem.geometries > 0 || mem.textures > 0) console.warn('disposal: ' + label + ' teardown left GPU resources alive', mem);
+    else console.log('disposal: ' + label + ' teardown released all GPU resources');
+    return mem;
+  } catch (e) { console.warn('disposal: leak report failed', e); return null; }
+}
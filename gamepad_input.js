@@ -0,0 +1,129 @@
+// GamepadInput: polls the Gamepad API once per frame (as a SceneDirector system) and feeds it into
+// the input layer:
+// - buttons become synthetic keydown/keyup events on window with 'Gamepad*' codes, so the InputMap
+//   pad bindings (interact = A, shuffle = X, pause = Start, tile moves = D-pad, ...) and every
+//   existing keydown handler work unchanged
+// - sticks are read as analog axes: move() (left stick) and look() (right stick), dead zone applied
+// - applyLook() turns a camera the way PointerLockControls does (yaw around Y, clamped pitch)
+// - menuNav() lets the D-pad / A / B drive the focused buttons of an open dialog
+// Only the standard mapping (https://w3c.github.io/gamepad/#remapping) is supported.
+
+import * as THREE from './vendor/three/build/three.module.js';
+import { SceneDirector } from './scene_director.js';
+
+// standard mapping button index -> synthetic KeyboardEvent.code
+const BUTTON_CODES = [
+  'GamepadA', 'GamepadB', 'GamepadX', 'GamepadY',
+  'GamepadLB', 'GamepadRB', 'GamepadLT', 'GamepadRT',
+  'GamepadBack', 'GamepadStart', 'GamepadLS', 'GamepadRS',
+  'GamepadUp', 'GamepadDown', 'GamepadLeft', 'GamepadRight'
+];
+const DEAD_ZONE = 0.18;
+const LOOK_SPEED = 2.4; // radians per second at full deflection
+const PITCH_LIMIT = Math.PI / 2 - 0.01;
+
+export const GamepadInput = (function(){
+  let _inited = false;
+  let _index = null; // index of the pad in navigator.getGamepads()
+  const _down = new Set(); // codes currently held
+  const _move = { x: 0, y: 0 };
+  const _look = { x: 0, y: 0 };
+  let _lastActivity = 0;
+  const _euler = new THREE.Euler(0, 0, 0, 'YXZ');
+
+  function _axis(v) {
+    if (!Number.isFinite(v) || Math.abs(v) < DEAD_ZONE) return 0;
+    // rescale so the output starts at 0 right outside the dead zone
+    return Math.sign(v) * (Math.abs(v) - DEAD_ZONE) / (1 - DEAD_ZONE);
+  }
+
+  function _emit(type, code) {
+    try { window.dispatchEvent(new KeyboardEvent(type, { code, key: code, bubbles: true, cancelable: true })); } catch(e) {}
+  }
+
+  function _poll() {
+    let pad = null;
+    try {
+      const pads = navigator.getGamepads ? navigator.getGamepads() : [];
+      pad = (_index !== null && pads[_index]) ? pads[_index] : Array.from(pads || []).find(p => p && p.connected) || null;
+    } catch(e) { pad = null; }
+    if (!pad) {
+      for (const code of _down) _emit('keyup', code);
+      _down.clear();
+      _move.x = _move.y = _look.x = _look.y = 0;
+      return;
+    }
+    _index = pad.index;
+    for (let i = 0; i < BUTTON_CODES.length && i < pad.buttons.length; i++) {
+      const code = BUTTON_CODES[i];
+      const pressed = !!(pad.buttons[i] && pad.buttons[i].pressed);
+      if (pressed && !_down.has(code)) { _down.add(code); _lastActivity = performance.now(); _emit('keydown', code); }
+      else if (!pressed && _down.has(code)) { _down.delete(code); _emit('keyup', code); }
+    }
+    const ax = pad.axes || [];
+    // stick up is negative on the Y axes; move().y / look().y are positive for forward / up
+    _move.x = _axis(ax[0]); _move.y = -_axis(ax[1]);
+    _look.x = _axis(ax[2]); _look.y = -_axis(ax[3]);
+    if (_move.x || _move.y || _look.x || _look.y) _lastActivity = performance.now();
+  }
+
+  function _onConnected(e) {
+    console.log('GamepadInput: connected', e.gamepad && e.gamepad.id, e.gamepad && e.gamepad.mapping);
+    if (_index === null && e.gamepad) _index = e.gamepad.index;
+  }
+
+  function _onDisconnected(e) {
+    console.log('GamepadInput: disconnected', e.gamepad && e.gamepad.id);
+    if (e.gamepad && e.gamepad.index === _index) _index = null;
+  }
+
+  return {
+    // Start polling (once per page). The director must be running for polling to happen.
+    init() {
+      if (_inited) return;
+      _inited = true;
+      window.addEventListener('gamepadconnected', _onConnected);
+      window.addEventListener('gamepaddisconnected', _onDisconnected);
+      SceneDirector.addSystem(_poll);
+    },
+
+    isConnected() { return _index !== null; },
+
+    // True when the pad was used in the last `ms` milliseconds (decides whether to show the reticle)
+    isActive(ms = 4000) { return _index !== null && _lastActivity > 0 && performance.now() - _lastActivity < ms; },
+
+    isButtonDown(code) { return _down.has(code); },
+
+    // Left stick: { x: right, y: forward } in [-1, 1]
+    move() { return { x: _move.x, y: _move.y }; },
+
+    // Right stick: { x: right, y: up } in [-1, 1]
+    look() { return { x: _look.x, y: _look.y }; },
+
+    // Turn `camera` by stick input (x right, y up) scaled by dt, keeping the pitch within +-90°
+    applyLook(camera, x, y, dt) {
+      if (!camera || (!x && !y)) return;
+      _euler.setFromQuaternion(camera.quaternion);
+      _euler.y -= x * LOOK_SPEED * dt;
+      _euler.x = Math.max(-PITCH_LIMIT, Math.min(PITCH_LIMIT, _euler.x + y * LOOK_SPEED * dt));
+      camera.quaternion.setFromEuler(_euler);
+    },
+
+    // Keyboard handler helper for dialogs: D-pad moves focus between the buttons inside `root`,
+    // A presses the focused one and B calls onBack. Returns true when the event was consumed.
+    menuNav(e, root, onBack) {
+      if (!root || !e || typeof e.code !== 'string' || !e.code.startsWith('Gamepad')) return false;
+      const buttons = Array.from(root.querySelectorAll('button')).filter(b => !b.disabled);
+      if (!buttons.length) return false;
+      const i = buttons.indexOf(document.activeElement);
+      if (e.code === 'GamepadDown' || e.code === 'GamepadRight') { buttons[(i + 1) % buttons.length].focus(); return true; }
+      if (e.code === 'GamepadUp' || e.code === 'GamepadLeft') { buttons[(i - 1 + buttons.length) % buttons.length].focus(); return true; }
+      if (e.code === 'GamepadA') { (i >= 0 ? buttons[i] : buttons[0]).click(); return true; }
+      if (e.code === 'GamepadB' && typeof onBack === 'function') { onBack(); return true; }
+      return false;
+    },
+
+    // Expose internal state for debugging
+    _state() { return { index: _index, down: Array.from(_down), move: this.move(), look: this.look() }; }
+  };
+})();
@@ -0,0 +1,87 @@
+// Highlight: the hover effect on the interactable the player is aimed at (interactables.js).
+// attach(object) outlines every mesh under `object` (its hard edges as lines, drawn over the scene)
+// and lays a soft additive glow on its faces; both pulse until detach(). The overlays live at the top
+// of the target's scene and copy the meshes' world transforms every update(), so they follow the
+// target as it moves (the painting panel follows the wrap anchor) and show even when the target itself
+// is hidden (the painting panel is an invisible marker: the glow uses the mesh's geometry, not its
+// material). They ignore raycasts, so they never change what is targeted.
+// With reduced motion (MotionPrefs) the glow holds steady.
+
+import * as THREE from './vendor/three/build/three.module.js';
+import { MotionPrefs } from './motion_prefs.js';
+
+const COLOR = 0xffd54a; // the HUD's focus outline colour
+const PULSE_HZ = 0.8;
+const EDGE_OPACITY = [0.55, 1.0]; // min / max over a pulse
+const GLOW_OPACITY = [0.06, 0.2];
+const EDGE_ANGLE = 30; // degrees: flatter creases are not outlined
+const RENDER_ORDER = 998;
+
+const _noRaycast = () => {};
+
+export function createHighlight() {
+  const edgeMat = new THREE.LineBasicMaterial({ color: COLOR, transparent: true, depthTest: false, depthWrite: false });
+  const glowMat = new THREE.MeshBasicMaterial({ color: COLOR, transparent: true, blending: THREE.AdditiveBlending, side: THREE.DoubleSide, depthWrite: false, polygonOffset: true, polygonOffsetFactor: -1, polygonOffsetUnits: -1 });
+  let overlays = []; // [{ mesh, edges, glow }]
+  let root = null;
+  let target = null;
+  let time = 0;
+
+  function _follow() {
+    for (const { mesh, edges, glow } of overlays) {
+      mesh.updateWorldMatrix(true, false);
+      edges.matrix.copy(mesh.matrixWorld);
+      glow.matrix.copy(mesh.matrixWorld);
+    }
+  }
+
+  function _pulse() {
+    const k = MotionPrefs.isReduced() ? 0.5 : 0.5 + 0.5 * Math.sin(2 * Math.PI * PULSE_HZ * time);
+    edgeMat.opacity = EDGE_OPACITY[0] + (EDGE_OPACITY[1] - EDGE_OPACITY[0]) * k;
+    glowMat.opacity = GLOW_OPACITY[0] + (GLOW_OPACITY[1] - GLOW_OPACITY[0]) * k;
+  }
+
+  return {
+    // Highlight `object` (replacing the previous target); null clears it
+    attach(object) {
+      if (object === target) return;
+      this.detach();
+      if (!object) return;
+      target = object;
+      time = 0;
+      root = object;
+      while (root.parent) root = root.parent;
+      const meshes = [];
+      object.traverse((o) => { if (o.isMesh && o.geometry) meshes.push(o); });
+      for (const mesh of meshes) {
+        const edges = new THREE.LineSegments(new THREE.EdgesGeometry(mesh.geometry, EDGE_ANGLE), edgeMat);
+        const glow = new THREE.Mesh(mesh.geometry, glowMat);
+        for (const o of [edges, glow]) { o.raycast = _noRaycast; o.renderOrder = RENDER_ORDER; o.matrixAutoUpdate = false; root.add(o); }
+        overlays.push({ mesh, edges, glow });
+      }
+      _follow();
+      _pulse();
+    },
+
+    detach() {
+      for (const { edges, glow } of overlays) {
+        if (root) { root.remove(edges); root.remove(glow); }
+        edges.geometry.dispose(); // the glow shares the mesh's own geometry
+      }
+      overlays = [];
+      target = null; root = null;
+    },
+
+    // Per frame while attached
+    update(dt) {
+      if (!target) return;
+      time += dt;
+      _follow();
+      _pulse();
+    },
+
+    current() { return target; },
+
+    dispose() { this.detach(); edgeMat.dispose(); glowMat.dispose(); }
+  };
+}
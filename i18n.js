@@ -0,0 +1,325 @@
+// I18n: string tables for every HUD / dialog / prompt string, one table per locale.
+// UI code never hard-codes text: it calls t(key, params) or bind(el, key) — bind() also tags the
+// element with data-i18n so setLocale() can re-translate everything already on screen.
+// The locale comes from ?lang=<code> (exhibition builds), then the player's choice saved in
+// localStorage ('lk_locale', set from the selector next to the music controls), then the browser
+// language. Missing keys fall back to Spanish, the language the game was written in.
+
+const STORAGE_KEY = 'lk_locale';
+const FALLBACK = 'es';
+
+const STRINGS = {
+  es: {
+    'locale.name': 'Español',
+    'locale.select': 'Idioma',
+    'common.yes': 'SÍ',
+    'common.no': 'NO',
+
+    'intro.title': 'LOST KNOWLEDGE',
+    'intro.prompt': 'Haz click en cualquier lugar para comenzar',
+    'intro.continue': 'Continuar',
+    'intro.newGame': 'Nueva partida',
+
+    'music.toggle': 'Alternar música de fondo',
+    'music.volume': 'Volumen música',
+
+    'puzzle.recover': 'Recuperar conocimiento',
+    'puzzle.recovered': 'Conocimiento recuperado',
+    'puzzle.back': 'Volver',
+    'puzzle.moveTiles': 'Mover piezas',
+    'puzzle.help': 'Ayuda',
+    'puzzle.shuffle': 'Mezclar',
+    'puzzle.invert': 'Invertir controles',
+    'puzzle.helpTiles': '{keys}: mover piezas',
+    'puzzle.helpOther': '{shuffle}: Mezclar · {invert}: Invertir controles',
+    'puzzle.helpGrid': 'Tab lleva al tablero: flechas para recorrerlo, Intro o Espacio mueve la pieza enfocada',
+    'puzzle.controls': 'Controles del puzzle',
+    'puzzle.board': 'Tablero del puzzle',
+    'puzzle.cell': 'Pieza {n}, fila {row}, columna {col}',
+    'puzzle.cellBlank': 'Hueco, fila {row}, columna {col}',
+    'puzzle.announceOpen': 'Puzzle deslizante de 3 por 4. {placed} de {total} piezas en su sitio',
+    'puzzle.announceMove': 'Pieza {n} a fila {row}, columna {col}. {placed} de {total} en su sitio',
+    'puzzle.announceIllegal': 'No se puede mover esa pieza',
+    'puzzle.announceBlank': 'Es el hueco',
+    'puzzle.announceShuffle': 'Piezas mezcladas. {placed} de {total} en su sitio',
+    'puzzle.announceSolved': 'Puzzle resuelto. Conocimiento recuperado',
+
+    'loading.progress': 'Cargando… {loaded} / {total}',
+    'loading.error': 'No se pudo cargar la escena',
+    'loading.failed': 'Faltan estos archivos:',
+    'loading.optionalFailed': 'Algunos archivos opcionales no se cargaron:',
+    'loading.retry': 'Reintentar',
+
+    'offline.update': 'Hay una nueva versión del juego.',
+    'offline.reload': 'Actualizar',
+    'offline.later': 'Más tarde',
+
+    'constellation.show': 'Mostrar constelación',
+    'constellation.export': 'Exportar constelación',
+
+    'pause.title': 'PAUSA',
+    'pause.resume': 'Continuar',
+    'pause.restart': 'Reiniciar nivel',
+    'pause.controls': 'Controles',
+    'pause.quit': 'Salir al título',
+    'pause.subtitles': 'Subtítulos: {state}',
+    'pause.subtitleSize': 'Tamaño de subtítulos: {size}',
+    'pause.reducedMotion': 'Movimiento reducido: {state}',
+    'pause.headBob': 'Balanceo al caminar: {state}',
+    'pause.quality': 'Calidad: {quality}',
+
+    'subtitles.size.small': 'Pequeño',
+    'subtitles.size.medium': 'Mediano',
+    'subtitles.size.large': 'Grande',
+
+    'quality.auto': 'Automática ({tier})',
+    'quality.low': 'Baja',
+    'quality.medium': 'Media',
+    'quality.high': 'Alta',
+
+    'controls.title': 'CONTROLES',
+    'controls.hint': 'Haz click en una tecla y pulsa la nueva. Supr borra, Esc cancela. La última columna es el mando.',
+    'controls.waiting': 'Pulsa una tecla…',
+    'controls.unbound': 'sin asignar',
+    'controls.reset': 'Restablecer',
+    'controls.close': 'Cerrar',
+
+    'action.moveForward': 'Avanzar',
+    'action.moveBackward': 'Retroceder',
+    'action.moveLeft': 'Izquierda',
+    'action.moveRight': 'Derecha',
+    'action.moveUp': 'Subir',
+    'action.moveDown': 'Bajar',
+    'action.run': 'Correr',
+    'action.flyForward': 'Volar adelante',
+    'action.flyBackward': 'Volar atrás',
+    'action.flyLeft': 'Volar a la izquierda',
+    'action.flyRight': 'Volar a la derecha',
+    'action.tileUp': 'Pieza arriba',
+    'action.tileDown': 'Pieza abajo',
+    'action.tileLeft': 'Pieza izquierda',
+    'action.tileRight': 'Pieza derecha',
+    'action.shuffle': 'Mezclar',
+    'action.invertControls': 'Invertir controles',
+    'action.help': 'Ayuda',
+    'action.interact': 'Interactuar',
+    'action.pause': 'Pausa',
+    'action.logPose': 'Registrar cámara',
+    'action.toggleStats': 'Estadísticas de rendimiento',
+
+    'key.ShiftRight': 'Shift der.',
+    'key.ControlRight': 'Ctrl der.',
+    'key.Space': 'Espacio',
+    'key.Enter': 'Intro',
+    'key.GamepadUp': 'Cruceta ↑',
+    'key.GamepadDown': 'Cruceta ↓',
+    'key.GamepadLeft': 'Cruceta ←',
+    'key.GamepadRight': 'Cruceta →'
+  },
+  en: {
+    'locale.name': 'English',
+    'locale.select': 'Language',
+    'common.yes': 'YES',
+    'common.no': 'NO',
+
+    'intro.title': 'LOST KNOWLEDGE',
+    'intro.prompt': 'Click anywhere to start',
+    'intro.continue': 'Continue',
+    'intro.newGame': 'New game',
+
+    'music.toggle': 'Toggle background music',
+    'music.volume': 'Music volume',
+
+    'puzzle.recover': 'Recover knowledge',
+    'puzzle.recovered': 'Knowledge recovered',
+    'puzzle.back': 'Back',
+    'puzzle.moveTiles': 'Move tiles',
+    'puzzle.help': 'Help',
+    'puzzle.shuffle': 'Shuffle',
+    'puzzle.invert': 'Invert controls',
+    'puzzle.helpTiles': '{keys}: move tiles',
+    'puzzle.helpOther': '{shuffle}: Shuffle · {invert}: Invert controls',
+    'puzzle.helpGrid': 'Tab reaches the board: arrows move around it, Enter or Space slides the focused tile',
+    'puzzle.controls': 'Puzzle controls',
+    'puzzle.board': 'Puzzle board',
+    'puzzle.cell': 'Tile {n}, row {row}, column {col}',
+    'puzzle.cellBlank': 'Gap, row {row}, column {col}',
+    'puzzle.announceOpen': '3 by 4 sliding puzzle. {placed} of {total} tiles in place',
+    'puzzle.announceMove': 'Tile {n} to row {row}, column {col}. {placed} of {total} in place',
+    'puzzle.announceIllegal': 'That tile cannot move',
+    'puzzle.announceBlank': 'That is the gap',
+    'puzzle.announceShuffle': 'Tiles shuffled. {placed} of {total} in place',
+    'puzzle.announceSolved': 'Puzzle solved. Knowledge recovered',
+
+    'loading.progress': 'Loading… {loaded} / {total}',
+    'loading.error': 'The scene could not be loaded',
+    'loading.failed': 'These files are missing:',
+    'loading.optionalFailed': 'Some optional files did not load:',
+    'loading.retry': 'Retry',
+
+    'offline.update': 'A new version of the game is available.',
+    'offline.reload': 'Update',
+    'offline.later': 'Later',
+
+    'constellation.show': 'Show constellation',
+    'constellation.export': 'Export constellation',
+
+    'pause.title': 'PAUSED',
+    'pause.resume': 'Resume',
+    'pause.restart': 'Restart level',
+    'pause.controls': 'Controls',
+    'pause.quit': 'Quit to title',
+    'pause.subtitles': 'Subtitles: {state}',
+    'pause.subtitleSize': 'Subtitle size: {size}',
+    'pause.reducedMotion': 'Reduced motion: {state}',
+    'pause.headBob': 'Head bob: {state}',
+    'pause.quality': 'Quality: {quality}',
+
+    'subtitles.size.small': 'Small',
+    'subtitles.size.medium': 'Medium',
+    'subtitles.size.large': 'Large',
+
+    'quality.auto': 'Auto ({tier})',
+    'quality.low': 'Low',
+    'quality.medium': 'Medium',
+    'quality.high': 'High',
+
+    'controls.title': 'CONTROLS',
+    'controls.hint': 'Click a key, then press the new one. Delete clears, Esc cancels. The last column is the gamepad.',
+    'controls.waiting': 'Press a key…',
+    'controls.unbound': 'unbound',
+    'controls.reset': 'Reset',
+    'controls.close': 'Close',
+
+    'action.moveForward': 'Forward',
+    'action.moveBackward': 'Back',
+    'action.moveLeft': 'Left',
+    'action.moveRight': 'Right',
+    'action.moveUp': 'Up',
+    'action.moveDown': 'Down',
+    'action.run': 'Run',
+    'action.flyForward': 'Fly forward',
+    'action.flyBackward': 'Fly back',
+    'action.flyLeft': 'Fly left',
+    'action.flyRight': 'Fly right',
+    'action.tileUp': 'Tile up',
+    'action.tileDown': 'Tile down',
+    'action.tileLeft': 'Tile left',
+    'action.tileRight': 'Tile right',
+    'action.shuffle': 'Shuffle',
+    'action.invertControls': 'Invert controls',
+    'action.help': 'Help',
+    'action.interact': 'Interact',
+    'action.pause': 'Pause',
+    'action.logPose': 'Log camera',
+    'action.toggleStats': 'Performance stats',
+
+    'key.ShiftRight': 'Right Shift',
+    'key.ControlRight': 'Right Ctrl',
+    'key.Space': 'Space',
+    'key.Enter': 'Enter',
+    'key.GamepadUp': 'D-pad ↑',
+    'key.GamepadDown': 'D-pad ↓',
+    'key.GamepadLeft': 'D-pad ←',
+    'key.GamepadRight': 'D-pad →'
+  }
+};
+
+export const I18n = (function(){
+  let _locale = null;
+  const _listeners = new Set();
+
+  function _supported(code) {
+    if (!code) return null;
+    const short = String(code).toLowerCase().split(/[-_]/)[0];
+    return STRINGS[short] ? short : null;
+  }
+
+  function _initialLocale() {
+    try {
+      const fromQuery = _supported(new URLSearchParams(location.search).get('lang'));
+      if (fromQuery) return fromQuery;
+    } catch(e) {}
+    try {
+      const stored = _supported(window.localStorage && window.localStorage.getItem(STORAGE_KEY));
+      if (stored) return stored;
+    } catch(e) {}
+    try { return _supported(navigator.language) || FALLBACK; } catch(e) { return FALLBACK; }
+  }
+
+  function _ensure() {
+    if (_locale) return;
+    _locale = _initialLocale();
+    try { document.documentElement.lang = _locale; } catch(e) {}
+  }
+
+  function _format(str, params) {
+    if (!params) return str;
+    return str.replace(/\{(\w+)\}/g, (m, name) => (params[name] !== undefined ? String(params[name]) : m));
+  }
+
+  return {
+    // Translate `key` in the current locale; {name} placeholders are filled from `params`
+    t(key, params) {
+      _ensure();
+      const table = STRINGS[_locale] || {};
+      let str = table[key];
+      if (str === undefined) str = STRINGS[FALLBACK][key];
+      if (str === undefined) { console.warn('I18n: missing key', key); return key; }
+      return _format(str, params);
+    },
+
+    // True when some table defines `key` (used for optional keys such as key names)
+    has(key) { _ensure(); return (STRINGS[_locale] && key in STRINGS[_locale]) || key in STRINGS[FALLBACK]; },
+
+    getLocale() { _ensure(); return _locale; },
+
+    // [{ code, name }] for the language selector
+    locales() { return Object.keys(STRINGS).map(code => ({ code, name: STRINGS[code]['locale.name'] })); },
+
+    // Switch language, remember it and re-translate everything bound on screen
+    setLocale(code) {
+      _ensure();
+      const next = _supported(code);
+      if (!next || next === _locale) return false;
+      _locale = next;
+      try { if (window.localStorage) window.localStorage.setItem(STORAGE_KEY, _locale); } catch(e) { console.warn('I18n: failed to save locale', e); }
+      try { document.documentElement.lang = _locale; } catch(e) {}
+      this.apply(document);
+      for (const fn of Array.from(_listeners)) { try { fn(_locale); } catch(e) { console.warn('I18n: listener failed', e); } }
+      console.log('I18n: locale', _locale);
+      return true;
+    },
+
+    // Call `fn(locale)` after every locale change (for text apply() can't rebuild). Returns a remover.
+    onChange(fn) { _listeners.add(fn); return () => _listeners.delete(fn); },
+
+    // Set an element's text (or `attr`, e.g. 'title' / 'aria-label') from `key` and tag it so
+    // apply() keeps it translated. Returns the element.
+    bind(el, key, attr) {
+      if (!el) return el;
+      if (attr) {
+        el.setAttribute('data-i18n-' + attr, key);
+        el.setAttribute(attr, this.t(key));
+      } else {
+        el.setAttribute('data-i18n', key);
+        el.textContent = this.t(key);
+      }
+      return el;
+    },
+
+    // Bound <span> for dialogs built from HTML template strings
+    html(key) { return `<span data-i18n="${key}">${this.t(key)}</span>`; },
+
+    // Re-translate every bound element under `root`
+    apply(root) {
+      if (!root || !root.querySelectorAll) return;
+      root.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = this.t(el.getAttribute('data-i18n')); });
+      for (const attr of ['title', 'aria-label']) {
+        root.querySelectorAll(`[data-i18n-${attr}]`).forEach(el => { el.setAttribute(attr, this.t(el.getAttribute('data-i18n-' + attr))); });
+      }
+    },
+
+    _state() { return { locale: this.getLocale(), listeners: _listeners.size }; }
+  };
+})();
@@ -0,0 +1,281 @@
+// InputMap: named input actions (moveForward, interact, shuffle, ...) mapped to KeyboardEvent.code
+// bindings. Modules never test key codes directly:
+// - InputMap.isDown(action) for held actions (movement), read every frame
+// - InputMap.matches(event, action) inside keydown handlers for one-shot actions (F, R, I, H, ...)
+// Each action has up to two keyboard bindings plus a fixed gamepad button ('pad', delivered as
+// synthetic 'Gamepad*' key events by gamepad_input.js). Player changes to the keyboard bindings are
+// stored in localStorage ('lk_key_bindings') and edited in the settings panel (openSettings(),
+// reachable from the pause menu).
+//
+// Groups decide which bindings may share a key: actions of different scenes ('move' on the stairs and
+// in the philosophy level, 'fly' in the philosophy level only, 'puzzle' while solving the painting)
+// may overlap, anything in 'global' may not overlap with any other action. Walking on the stairs is
+// WASD only, so the arrow keys stay free for the puzzle's tiles. Action names shown to the player come from the I18n
+// tables ('action.<id>').
+
+import { GamepadInput } from './gamepad_input.js';
+import { I18n } from './i18n.js';
+
+const STORAGE_KEY = 'lk_key_bindings';
+
+const ACTIONS = [
+  { id: 'moveForward',    group: 'move',   keys: ['KeyW'] },
+  { id: 'moveBackward',   group: 'move',   keys: ['KeyS'] },
+  { id: 'moveLeft',       group: 'move',   keys: ['KeyA'] },
+  { id: 'moveRight',      group: 'move',   keys: ['KeyD'] },
+  { id: 'moveUp',         group: 'move',   keys: ['KeyE'], pad: 'GamepadRB' },
+  { id: 'moveDown',       group: 'move',   keys: ['KeyQ'], pad: 'GamepadLB' },
+  { id: 'run',            group: 'move',   keys: ['ShiftLeft', 'ShiftRight'], pad: 'GamepadLS' },
+  { id: 'flyForward',     group: 'fly',    keys: ['ArrowUp'] },
+  { id: 'flyBackward',    group: 'fly',    keys: ['ArrowDown'] },
+  { id: 'flyLeft',        group: 'fly',    keys: ['ArrowLeft'] },
+  { id: 'flyRight',       group: 'fly',    keys: ['ArrowRight'] },
+  { id: 'tileUp',         group: 'puzzle', keys: ['ArrowUp'], pad: 'GamepadUp' },
+  { id: 'tileDown',       group: 'puzzle', keys: ['ArrowDown'], pad: 'GamepadDown' },
+  { id: 'tileLeft',       group: 'puzzle', keys: ['ArrowLeft'], pad: 'GamepadLeft' },
+  { id: 'tileRight',      group: 'puzzle', keys: ['ArrowRight'], pad: 'GamepadRight' },
+  { id: 'shuffle',        group: 'puzzle', keys: ['KeyR'], pad: 'GamepadX' },
+  { id: 'invertControls', group: 'puzzle', keys: ['KeyI'], pad: 'GamepadY' },
+  { id: 'help',           group: 'puzzle', keys: ['KeyH'], pad: 'GamepadBack' },
+  { id: 'interact',       group: 'global', keys: ['KeyF'], pad: 'GamepadA' },
+  { id: 'pause',          group: 'global', keys: ['Escape'], pad: 'GamepadStart' },
+  { id: 'logPose',        group: 'global', keys: ['KeyL'] },
+  { id: 'toggleStats',    group: 'global', keys: ['F3'] }
+];
+
+const MAX_BINDINGS = 2;
+
+export const InputMap = (function(){
+  let _inited = false;
+  let _bindings = null; // action id -> [codes]
+  const _pressed = new Set(); // codes currently held
+  let _panel = null;
+  let _capture = null; // { action, slot, button } while waiting for a key in the settings panel
+  let _layout = null; // KeyboardLayoutMap, filled in by openSettings()
+
+  function _defaults() {
+    const out = {};
+    for (const a of ACTIONS) out[a.id] = a.keys.slice();
+    return out;
+  }
+
+  function _load() {
+    _bindings = _defaults();
+    try {
+      const raw = window.localStorage && window.localStorage.getItem(STORAGE_KEY);
+      if (!raw) return;
+      const saved = JSON.parse(raw);
+      for (const a of ACTIONS) {
+        const codes = saved && saved[a.id];
+        if (Array.isArray(codes)) _bindings[a.id] = codes.filter(c => typeof c === 'string' && c).slice(0, MAX_BINDINGS);
+      }
+    } catch (e) { console.warn('InputMap: failed to read bindings, using defaults', e); }
+  }
+
+  function _save() {
+    try { if (window.localStorage) window.localStorage.setItem(STORAGE_KEY, JSON.stringify(_bindings)); } catch (e) { console.warn('InputMap: failed to save bindings', e); }
+  }
+
+  function _bindingsOf(action) {
+    if (!_bindings) _load();
+    return _bindings[action] || [];
+  }
+
+  // keyboard bindings plus the action's gamepad button
+  function _codesOf(action) {
+    const def = ACTIONS.find(a => a.id === action);
+    const codes = _bindingsOf(action);
+    return (def && def.pad) ? codes.concat(def.pad) : codes;
+  }
+
+  function _conflicts(a, b) {
+    return a.id !== b.id && (a.group === b.group || a.group === 'global' || b.group === 'global');
+  }
+
+  function _onKeyDown(e) { if (!_capture) _pressed.add(e.code); }
+  function _onKeyUp(e) { _pressed.delete(e.code); }
+  function _onBlur() { _pressed.clear(); }
+
+  // --- settings panel ---
+
+  function _renderPanel() {
+    if (!_panel) return;
+    const list = _panel.querySelector('.lk_bind_list');
+    list.innerHTML = '';
+    for (const a of ACTIONS) {
+      const row = document.createElement('div');
+      row.style.display = 'flex'; row.style.alignItems = 'center'; row.style.gap = '10px'; row.style.justifyContent = 'space-between';
+      const name = document.createElement('div');
+      I18n.bind(name, 'action.' + a.id); name.style.minWidth = '200px';
+      row.appendChild(name);
+      const pad = document.createElement('div');
+      pad.textContent = a.pad ? InputMap.keyLabel(a.pad) : '';
+      pad.style.minWidth = '70px'; pad.style.opacity = '0.75'; pad.style.textAlign = 'center';
+      for (let slot = 0; slot < MAX_BINDINGS; slot++) {
+        const code = _bindingsOf(a.id)[slot];
+        const b = document.createElement('button');
+        b.textContent = code ? InputMap.keyLabel(code) : '—';
+        b.setAttribute('aria-label', I18n.t('action.' + a.id) + ' ' + (slot + 1) + ': ' + (code ? InputMap.keyLabel(code) : I18n.t('controls.unbound')));
+        b.style.fontFamily = 'Cinzel, serif'; b.style.fontSize = '15px'; b.style.minWidth = '120px'; b.style.padding = '6px 10px'; b.style.border = '1px solid rgba(255,255,255,0.5)'; b.style.borderRadius = '8px'; b.style.background = 'rgba(0,0,0,0.55)'; b.style.color = '#fff'; b.style.cursor = 'pointer';
+        b.addEventListener('click', (ev) => {
+          ev.stopPropagation();
+          _capture = { action: a.id, slot, button: b };
+          b.textContent = I18n.t('controls.waiting');
+        });
+        row.appendChild(b);
+      }
+      row.appendChild(pad);
+      list.appendChild(row);
+    }
+  }
+
+  // Capture-phase handler: while the panel is open it owns the keyboard (Escape closes it instead of
+  // toggling the pause menu underneath).
+  function _onPanelKey(e) {
+    if (!_panel || _panel.style.display === 'none') return;
+    // gamepad buttons navigate the panel; they can't be bound to keyboard slots
+    if (e.code && e.code.startsWith('Gamepad')) {
+      e.stopImmediatePropagation();
+      if (!_capture) GamepadInput.menuNav(e, _panel, () => InputMap.closeSettings());
+      return;
+    }
+    // outside a capture only Escape is taken, so Tab/Enter keep working on the panel buttons
+    if (!_capture && e.code !== 'Escape') return;
+    e.preventDefault(); e.stopImmediatePropagation();
+    if (!_capture) { InputMap.closeSettings(); return; }
+    const { action, slot } = _capture;
+    _capture = null;
+    if (e.code === 'Escape') { _renderPanel(); return; }
+    if (e.code === 'Backspace' || e.code === 'Delete') InputMap.setBinding(action, slot, null);
+    else InputMap.setBinding(action, slot, e.code);
+    _renderPanel();
+  }
+
+  function _buildPanel() {
+    const wrap = document.createElement('div'); wrap.id = 'lk_bindings_panel';
+    wrap.setAttribute('role', 'dialog'); wrap.setAttribute('aria-modal', 'true'); I18n.bind(wrap, 'pause.controls', 'aria-label');
+    wrap.style.position = 'fixed'; wrap.style.left = '0'; wrap.style.top = '0'; wrap.style.width = '100%'; wrap.style.height = '100%'; wrap.style.display = 'none'; wrap.style.alignItems = 'center'; wrap.style.justifyContent = 'center'; wrap.style.background = 'rgba(0,0,0,0.7)'; wrap.style.zIndex = 10000001;
+    const box = document.createElement('div');
+    box.style.fontFamily = 'Cinzel, serif'; box.style.color = '#fff'; box.style.background = 'rgba(10,10,14,0.92)'; box.style.border = '1px solid rgba(255,255,255,0.4)'; box.style.borderRadius = '12px'; box.style.padding = '18px 22px'; box.style.maxHeight = '86vh'; box.style.overflowY = 'auto';
+    const title = document.createElement('div');
+    I18n.bind(title, 'controls.title'); title.style.fontWeight = '900'; title.style.fontSize = '32px'; title.style.letterSpacing = '3px'; title.style.marginBottom = '6px';
+    const hint = document.createElement('div');
+    I18n.bind(hint, 'controls.hint'); hint.style.fontSize = '13px'; hint.style.opacity = '0.8'; hint.style.marginBottom = '12px';
+    const list = document.createElement('div'); list.className = 'lk_bind_list';
+    list.style.display = 'flex'; list.style.flexDirection = 'column'; list.style.gap = '6px';
+    const footer = document.createElement('div');
+    footer.style.display = 'flex'; footer.style.gap = '12px'; footer.style.justifyContent = 'flex-end'; footer.style.marginTop = '14px';
+    function makeButton(key, onClick) {
+      const b = document.createElement('button');
+      I18n.bind(b, key);
+      b.style.fontFamily = 'Cinzel, serif'; b.style.fontWeight = '700'; b.style.fontSize = '16px'; b.style.padding = '8px 18px'; b.style.border = '1px solid rgba(255,255,255,0.6)'; b.style.borderRadius = '10px'; b.style.background = 'rgba(0,0,0,0.55)'; b.style.color = '#fff'; b.style.cursor = 'pointer';
+      b.addEventListener('click', (ev) => { ev.stopPropagation(); onClick(); });
+      footer.appendChild(b);
+    }
+    makeButton('controls.reset', () => { InputMap.resetDefaults(); _renderPanel(); });
+    makeButton('controls.close', () => InputMap.closeSettings());
+    box.appendChild(title); box.appendChild(hint); box.appendChild(list); box.appendChild(footer);
+    wrap.appendChild(box);
+    document.body.appendChild(wrap);
+    window.addEventListener('keydown', _onPanelKey, true);
+    // key buttons and aria labels are rebuilt rather than bound
+    I18n.onChange(() => _renderPanel());
+    return wrap;
+  }
+
+  return {
+    // Start tracking held keys (once per page).
+    init() {
+      if (_inited) return;
+      _inited = true;
+      if (!_bindings) _load();
+      window.addEventListener('keydown', _onKeyDown);
+      window.addEventListener('keyup', _onKeyUp);
+      window.addEventListener('blur', _onBlur);
+    },
+
+    actions() { return ACTIONS.map(a => ({ id: a.id, group: a.group, label: I18n.t('action.' + a.id), pad: a.pad || null })); },
+
+    getBindings(action) { return _bindingsOf(action).slice(); },
+
+    // True while any key bound to `action` is held
+    isDown(action) {
+      for (const code of _codesOf(action)) if (_pressed.has(code)) return true;
+      return false;
+    },
+
+    // True when a keyboard event (or a KeyboardEvent.code string) is bound to `action`
+    matches(eventOrCode, action) {
+      const code = (typeof eventOrCode === 'string') ? eventOrCode : (eventOrCode && eventOrCode.code);
+      return !!code && _codesOf(action).includes(code);
+    },
+
+    // Forget held keys (scene unload, pause); keyup events for them may never arrive
+    clearState() { _pressed.clear(); },
+
+    // Bind `code` to slot 0/1 of `action` (null clears the slot). The key is removed from any
+    // action it would conflict with.
+    setBinding(action, slot, code) {
+      const def = ACTIONS.find(a => a.id === action);
+      if (!def || slot < 0 || slot >= MAX_BINDINGS) return false;
+      if (!_bindings) _load();
+      if (code) {
+        for (const other of ACTIONS) {
+          if (!_conflicts(def, other)) continue;
+          const codes = _bindings[other.id];
+          if (codes.includes(code)) { _bindings[other.id] = codes.filter(c => c !== code); console.log('InputMap: unbound', code, 'from', other.id); }
+        }
+      }
+      const codes = _bindings[action].filter(c => c !== code);
+      codes[slot] = code || undefined;
+      _bindings[action] = codes.filter(Boolean).slice(0, MAX_BINDINGS);
+      _save();
+      return true;
+    },
+
+    resetDefaults() {
+      _bindings = _defaults();
+      try { if (window.localStorage) window.localStorage.removeItem(STORAGE_KEY); } catch (e) {}
+    },
+
+    // Human readable label for a code, using the player's keyboard layout when the browser exposes it
+    keyLabel(code) {
+      if (!code) return '';
+      if (code.startsWith('Gamepad')) {
+        if (I18n.has('key.' + code)) return I18n.t('key.' + code);
+        const pad = { GamepadStart: 'Start', GamepadBack: 'Select' };
+        return pad[code] || code.slice(7);
+      }
+      if (_layout && _layout.get(code)) return _layout.get(code).toUpperCase();
+      if (code.startsWith('Key')) return code.slice(3);
+      if (code.startsWith('Digit')) return code.slice(5);
+      if (I18n.has('key.' + code)) return I18n.t('key.' + code);
+      const names = { ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→', ShiftLeft: 'Shift', Escape: 'Esc', ControlLeft: 'Ctrl' };
+      return names[code] || code;
+    },
+
+    // Label of the first binding of an action ('' when unbound)
+    label(action) { return this.keyLabel(_bindingsOf(action)[0]); },
+
+    openSettings() {
+      if (!_panel) _panel = _buildPanel();
+      // keyboard layout names (e.g. 'Z' for KeyW on AZERTY) when supported
+      try {
+        if (!_layout && navigator.keyboard && navigator.keyboard.getLayoutMap) {
+          navigator.keyboard.getLayoutMap().then((m) => { _layout = m; _renderPanel(); }).catch(() => {});
+        }
+      } catch (e) {}
+      _capture = null;
+      _renderPanel();
+      _panel.style.display = 'flex';
+      try { const first = _panel.querySelector('button'); if (first) first.focus(); } catch(e) {}
+    },
+
+    closeSettings() {
+      _capture = null;
+      if (_panel) _panel.style.display = 'none';
+    },
+
+    isSettingsOpen() { return !!_panel && _panel.style.display !== 'none'; }
+  };
+})();
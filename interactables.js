@@ -0,0 +1,159 @@
+// Interactables: the things in a scene the player can use (the painting panel, later notes and doors).
+// Each one registers an object and a prompt; every frame update(camera, dt) casts a ray from the
+// centre of the view and targets the closest object it hits within that object's reach, so a large
+// panel is aimed at anywhere on its surface, not only near its middle. The target is outlined with a
+// pulsing glow (highlight.js) and its prompt shows in the interact bubble (#lk_interact, styled by
+// main.js). The interact action (F, pad A, the touch button) or a click on the bubble runs that
+// target's activate().
+// createInteractables({ occluders }): occluders() returns the scene's solid objects (the stairs
+// scene passes its tower copies); a target with one of them in front of it along the ray is not
+// targeted, so nothing is aimed at or outlined through a wall.
+//
+// register({ id, object, maxDist, label, icon?, enabled?, activate, onFocus?, highlight? }):
+//   object        THREE.Object3D; the ray is tested against the meshes under it (hidden ones too, so an
+//                 invisible marker mesh works as a hit zone)
+//   maxDist       metres from the camera to the hit
+//   label         i18n key of the prompt, or a function returning one (re-read every frame)
+//   icon          prompt icon url (default: the F key)
+//   enabled()     false leaves it out (e.g. a puzzle that is not ready yet)
+//   activate()    runs on interact
+//   onFocus(on)   called when it becomes / stops being the target
+//   highlight     false: no outline (default true)
+// Returns a remover. Ids are unique: registering an id again replaces the old entry.
+
+import * as THREE from './vendor/three/build/three.module.js';
+import { I18n } from './i18n.js';
+import { createHighlight } from './highlight.js';
+
+const DEFAULT_ICON = './assets/vectors/Fkey.svg';
+const OCCLUSION_SLACK = 0.05; // metres: a wall less than this in front of the target (its window frame) does not block it
+
+export function createInteractables({ occluders = null } = {}) {
+  const entries = new Map();
+  let target = null;
+  let bubble = null;
+  const highlight = createHighlight();
+  const raycaster = new THREE.Raycaster();
+  const _center = new THREE.Vector2(0, 0);
+
+  const _label = (e) => (typeof e.label === 'function' ? e.label() : e.label);
+
+  // true when something in occluders() is hit before `dist` along the current ray (not `object` itself)
+  function _blocked(object, dist) {
+    const solids = occluders ? occluders() : null;
+    if (!solids || !solids.length) return false;
+    raycaster.far = dist;
+    for (const hit of raycaster.intersectObjects(solids, true)) {
+      let o = hit.object;
+      while (o && o !== object) o = o.parent;
+      if (!o) return hit.distance < dist - OCCLUSION_SLACK;
+    }
+    return false;
+  }
+
+  function _setTarget(e) {
+    if (e === target) return;
+    const prev = target;
+    target = e;
+    if (prev && prev.onFocus) { try { prev.onFocus(false); } catch(err) { console.warn('interactables: onFocus failed', prev.id, err); } }
+    if (e && e.onFocus) { try { e.onFocus(true); } catch(err) { console.warn('interactables: onFocus failed', e.id, err); } }
+    highlight.attach(e && e.highlight !== false ? e.object : null);
+  }
+
+  // The bubble may be removed by other HUD code (the puzzle clears it on hide); it is rebuilt on demand
+  function _bubble() {
+    if (bubble && bubble.isConnected) return bubble;
+    bubble = document.getElementById('lk_interact');
+    if (bubble) return bubble;
+    bubble = document.createElement('div'); bubble.id = 'lk_interact';
+    bubble.style.cursor = 'pointer'; bubble.style.display = 'none';
+    bubble.innerHTML = '<div class="lk_dialog"><img id="lk_interact_icon" class="lk_dialog_icon" alt=""/><div class="lk_dialog_text"><div class="lk_dialog_line1" id="lk_interact_text"></div></div></div>';
+    bubble.setAttribute('role', 'button'); bubble.tabIndex = 0; bubble.style.pointerEvents = 'auto';
+    bubble.addEventListener('click', (ev) => { ev.stopPropagation(); api.activate(); });
+    bubble.addEventListener('keydown', (ev) => {
+      if (ev.key !== 'Enter' && ev.key !== ' ') return;
+      ev.preventDefault(); ev.stopPropagation();
+      api.activate();
+    });
+    document.body.appendChild(bubble);
+    return bubble;
+  }
+
+  function _showPrompt(e) {
+    const b = _bubble();
+    const icon = b.querySelector('#lk_interact_icon');
+    const text = b.querySelector('#lk_interact_text');
+    const src = e.icon || DEFAULT_ICON;
+    if (icon && icon.getAttribute('src') !== src) icon.setAttribute('src', src);
+    const key = _label(e);
+    if (text && key && text.getAttribute('data-i18n') !== key) I18n.bind(text, key);
+    b.style.display = 'block';
+  }
+
+  function _hidePrompt() {
+    const b = bubble && bubble.isConnected ? bubble : document.getElementById('lk_interact');
+    if (b) b.style.display = 'none';
+  }
+
+  const api = {
+    register(def) {
+      if (!def || !def.id || !def.object || typeof def.activate !== 'function') throw new Error('interactables: register needs id, object and activate');
+      const e = Object.assign({ maxDist: 2.5 }, def);
+      const old = entries.get(e.id);
+      if (old && old === target) _setTarget(null);
+      entries.set(e.id, e);
+      return () => {
+        if (entries.get(e.id) !== e) return;
+        if (target === e) { _setTarget(null); _hidePrompt(); }
+        entries.delete(e.id);
+      };
+    },
+
+    // Target the closest enabled interactable hit by the view's centre ray within its reach and not
+    // behind an occluder, outline it and show its prompt. Returns it (or null).
+    update(camera, dt = 0) {
+      let best = null;
+      let bestDist = Infinity;
+      if (camera) {
+        camera.updateMatrixWorld();
+        raycaster.setFromCamera(_center, camera);
+        for (const e of entries.values()) {
+          if (e.enabled && !e.enabled()) continue;
+          raycaster.far = Math.min(e.maxDist, bestDist);
+          const hit = raycaster.intersectObject(e.object, true)[0];
+          if (!hit) continue;
+          best = e; bestDist = hit.distance;
+        }
+        // anything farther is behind the same wall
+        if (best && _blocked(best.object, bestDist)) best = null;
+      }
+      _setTarget(best);
+      if (best) _showPrompt(best); else _hidePrompt();
+      highlight.update(dt);
+      return best;
+    },
+
+    // Run the current target's activate(); false when there is none
+    activate() {
+      if (!target) return false;
+      try { target.activate(); } catch(e) { console.warn('interactables: activate failed', target.id, e); }
+      return true;
+    },
+
+    current() { return target ? target.id : null; },
+
+    isLookingAt(id) { return !!target && target.id === id; },
+
+    // Forget every entry and remove the bubble
+    dispose() {
+      _setTarget(null);
+      entries.clear();
+      highlight.dispose();
+      try { if (bubble && bubble.parentNode) bubble.parentNode.removeChild(bubble); } catch(e) {}
+      bubble = null;
+    },
+
+    _state() { return { ids: Array.from(entries.keys()), target: this.current() }; }
+  };
+  return api;
+}
@@ -0,0 +1,120 @@
+// LevelManifest: reads assets/levels.json, the ordered description of the whole game chain.
+// Each level entry names the SceneDirector scene that runs it, the module that registers that scene,
+// its assets, music key, narrator cues and completion condition. Several consecutive entries may share
+// one scene (the philosophy scene plays every constellation level in order).
+//
+// Entry shape:
+// {
+//   id: 'ursa_minor', scene: 'philosophy', module: './philosophy.js', parent?: 'stairs',
+//   assets: { ... }, music: 'philosophy:main' | null, // assets: urls (or url lists) plus sounds: [AudioManager keys]; preloader.js warms them
+//   narrator: { enter?: key, repeat?: [keys] }, // repeat: wrap cues of the stairs story (stairs_story.js)
+//   completion: { event: 'wrapUp' | 'puzzleSolved' | 'constellationComplete', flag?: SceneDirector flag },
+//   triggers?: [trigger],            // the level's story as data (see triggers.js); stairs only for now,
+//                                    // and it replaces stairs_story.js
+//   tower?: url                      // stairs only: tower calibration file (see tower_config.js)
+// }
+//
+// load() also registers the manifest's audio keys with BackgroundMusic and NarratorManager, so new
+// levels only need a JSON edit. Until load() resolves (or when the fetch fails) every getter returns
+// null/[] and callers fall back to their built-in defaults.
+
+import { SceneDirector } from './scene_director.js';
+import { BackgroundMusic } from './audio_manager.js';
+import { NarratorManager } from './narrator_manager.js';
+
+const MANIFEST_URL = './assets/levels.json';
+
+export const LevelManifest = (function(){
+  let _data = null;
+  let _loading = null;
+
+  function _validate(data) {
+    if (!data || !Array.isArray(data.levels) || data.levels.length === 0) throw new Error('manifest has no levels');
+    const ids = new Set();
+    for (const lvl of data.levels) {
+      if (!lvl || !lvl.id || !lvl.scene || !lvl.module) throw new Error('level entry needs id, scene and module: ' + JSON.stringify(lvl));
+      if (ids.has(lvl.id)) throw new Error('duplicate level id ' + lvl.id);
+      ids.add(lvl.id);
+    }
+    return data;
+  }
+
+  function _registerAudio(audio) {
+    if (!audio) return;
+    for (const [key, src] of Object.entries(audio.music || {})) BackgroundMusic.register(key, src);
+    for (const [key, src] of Object.entries(audio.narrator || {})) NarratorManager.register(key, src);
+  }
+
+  return {
+    // Fetch and validate the manifest once; later calls share the same promise. Resolves to the data or null.
+    load(url = MANIFEST_URL) {
+      if (_data) return Promise.resolve(_data);
+      if (_loading) return _loading;
+      _loading = (async () => {
+        try {
+          const res = await fetch(url, { cache: 'no-cache' });
+          if (!res.ok) throw new Error('HTTP ' + res.status);
+          _data = _validate(await res.json());
+          _registerAudio(_data.audio);
+          return _data;
+        } catch (e) {
+          console.warn('LevelManifest: failed to load ' + url + ', using built-in defaults', e);
+          _loading = null;
+          return null;
+        }
+      })();
+      return _loading;
+    },
+
+    isLoaded() { return !!_data; },
+
+    levels() { return _data ? _data.levels.slice() : []; },
+
+    get(id) { return _data ? (_data.levels.find(l => l.id === id) || null) : null; },
+
+    // Levels played by one scene, in manifest order
+    levelsForScene(scene) { return _data ? _data.levels.filter(l => l.scene === scene) : []; },
+
+    // Resolve a ?start= value: a level id first, then the first level of a scene with that name
+    resolve(name) {
+      if (!_data || !name) return null;
+      return this.get(name) || _data.levels.find(l => l.scene === name) || null;
+    },
+
+    // First level after `id` that runs in a different scene (nested levels with a parent are skipped)
+    nextScene(id) {
+      if (!_data) return null;
+      const i = _data.levels.findIndex(l => l.id === id);
+      if (i < 0) return null;
+      const from = _data.levels[i];
+      return _data.levels.slice(i + 1).find(l => l.scene !== from.scene && !l.parent) || null;
+    },
+
+    ending() { return (_data && _data.ending) || null; },
+
+    // True when `event` satisfies the level's completion condition (and its flag, if any, is set)
+    isComplete(id, event) {
+      const lvl = this.get(id);
+      const c = lvl && lvl.completion;
+      if (!c) return false;
+      if (c.event && c.event !== event) return false;
+      if (c.flag && !SceneDirector.get(c.flag)) return false;
+      return true;
+    },
+
+    // Register a lazy SceneDirector entry for every manifest scene not registered yet
+    registerScenes() {
+      if (!_data) return 0;
+      let n = 0;
+      for (const lvl of _data.levels) {
+        if (SceneDirector.has(lvl.scene)) continue;
+        SceneDirector.registerModule(lvl.scene, lvl.module);
+        n++;
+      }
+      return n;
+    },
+
+    // Expose internal state for debugging
+    _state() { return _data; }
+  };
+})();
@@ -0,0 +1,167 @@
+// Loading screens: one THREE.LoadingManager per scene load, with a progress overlay.
+// - createLoadingScreen(label, opts) shows the overlay at once; opts.backdrop = false shows a small
+//   progress badge instead of covering the screen (assets fetched mid-play, e.g. the slide puzzle).
+// - Build every loader with the screen's manager (new GLTFLoader(loading.manager)) so its bytes count
+//   towards the bar; anything that is not a three.js loader (audio, fetch) goes through track().
+// - load(loader, url, { critical, fallback }) / track(promise, url, opts): critical items gate
+//   isReady(); fallback marks an item whose failure the caller handles (a placeholder model, coloured
+//   tiles), so it is not reported.
+// - finish() says every critical item has been requested. Once they have all settled the overlay
+//   closes and whenReady() resolves; a critical failure without a fallback keeps the overlay up with
+//   the failed files and a Retry button instead. Optional failures are listed briefly, then it closes.
+// Scenes gate movement / interaction on isReady() and call dispose() from their exit hook.
+
+import * as THREE from './vendor/three/build/three.module.js';
+import { I18n } from './i18n.js';
+
+const FADE_MS = 300;
+const WARNING_MS = 2500; // optional-failure notice stays up this long
+
+export function createLoadingScreen(label = 'scene', opts = {}) {
+  const backdrop = opts.backdrop !== false;
+  const manager = new THREE.LoadingManager();
+  const pending = new Set(); // critical urls not settled yet
+  const quiet = new Set(); // urls whose failure the caller handles
+  const critical = new Set();
+  const failed = []; // { url, critical }
+  let finished = false;
+  let ready = false;
+  let disposed = false;
+  let loaded = 0, total = 0;
+  let el = null, bar = null, status = null, errors = null;
+  let closeTimer = null;
+  let resolveReady;
+  const readyPromise = new Promise((r) => { resolveReady = r; });
+
+  function _build() {
+    el = document.createElement('div'); el.className = 'lk_loading';
+    el.setAttribute('role', 'status'); el.setAttribute('aria-live', 'polite');
+    el.style.position = 'fixed'; el.style.zIndex = 9999990; el.style.display = 'flex'; el.style.flexDirection = 'column'; el.style.alignItems = 'center'; el.style.gap = '10px'; el.style.color = '#fff'; el.style.fontFamily = 'Cinzel, serif'; el.style.pointerEvents = 'none'; el.style.transition = `opacity ${FADE_MS}ms`;
+    if (backdrop) {
+      // below the title overlay (9999999), which stays usable while the scene loads
+      el.style.left = '0'; el.style.top = '0'; el.style.width = '100%'; el.style.height = '100%'; el.style.justifyContent = 'flex-end'; el.style.paddingBottom = '12vh'; el.style.boxSizing = 'border-box'; el.style.background = '#0b0b10';
+    } else {
+      el.style.left = '50%'; el.style.bottom = '24px'; el.style.transform = 'translateX(-50%)'; el.style.padding = '8px 14px'; el.style.borderRadius = '8px'; el.style.background = 'rgba(0,0,0,0.7)';
+    }
+    status = document.createElement('div'); status.style.fontSize = backdrop ? '18px' : '14px';
+    const track = document.createElement('div');
+    track.style.width = backdrop ? 'min(60vw, 420px)' : '180px'; track.style.height = '6px'; track.style.borderRadius = '3px'; track.style.background = 'rgba(255,255,255,0.18)'; track.style.overflow = 'hidden';
+    bar = document.createElement('div'); bar.style.height = '100%'; bar.style.width = '0%'; bar.style.background = '#e0f7fa'; bar.style.transition = 'width 150ms';
+    track.appendChild(bar);
+    errors = document.createElement('div'); errors.style.fontFamily = 'monospace'; errors.style.fontSize = '12px'; errors.style.maxWidth = '80vw'; errors.style.textAlign = 'center'; errors.style.whiteSpace = 'pre-line'; errors.style.color = '#ffab91';
+    el.appendChild(status); el.appendChild(track); el.appendChild(errors);
+    document.body.appendChild(el);
+  }
+
+  function _render() {
+    if (!el || disposed) return;
+    bar.style.width = (total ? Math.round((loaded / total) * 100) : 0) + '%';
+    status.textContent = I18n.t('loading.progress', { loaded, total });
+  }
+
+  function _showErrors(fatal) {
+    const names = failed.filter(f => fatal ? f.critical : true).map(f => f.url.split('/').pop());
+    errors.textContent = (fatal ? I18n.t('loading.failed') : I18n.t('loading.optionalFailed')) + '\n' + names.join('\n');
+    if (!fatal) return;
+    status.textContent = I18n.t('loading.error');
+    bar.style.background = '#ff5252';
+    el.style.pointerEvents = 'auto';
+    const retry = document.createElement('button'); retry.type = 'button';
+    I18n.bind(retry, 'loading.retry');
+    retry.style.fontFamily = 'Cinzel, serif'; retry.style.fontWeight = '700'; retry.style.fontSize = '18px'; retry.style.padding = '8px 20px'; retry.style.border = '1px solid rgba(255,255,255,0.6)'; retry.style.borderRadius = '10px'; retry.style.background = 'rgba(0,0,0,0.55)'; retry.style.color = '#fff'; retry.style.cursor = 'pointer';
+    retry.addEventListener('click', (ev) => { ev.stopPropagation(); location.reload(); });
+    el.appendChild(retry);
+    try { retry.focus(); } catch(e) {}
+  }
+
+  function _close(delay) {
+    if (!el) return;
+    const target = el;
+    closeTimer = setTimeout(() => {
+      closeTimer = null;
+      target.style.opacity = '0';
+      setTimeout(() => { try { if (target.parentNode) target.parentNode.removeChild(target); } catch(e) {} }, FADE_MS);
+      if (el === target) el = null;
+    }, delay);
+  }
+
+  // Called whenever a critical item settles or finish() runs
+  function _check() {
+    if (disposed || ready || !finished || pending.size) return;
+    if (failed.some(f => f.critical)) {
+      console.warn('loading: ' + label + ' is missing critical assets', failed.filter(f => f.critical).map(f => f.url));
+      _showErrors(true);
+      return;
+    }
+    ready = true;
+    console.log('loading: ' + label + ' ready', { loaded, total, failed: failed.length });
+    resolveReady();
+    if (failed.length) { _showErrors(false); _close(WARNING_MS); }
+    else _close(0);
+  }
+
+  // onStart only fires for the first item of a batch, so count every start for the total
+  const itemStart = manager.itemStart;
+  manager.itemStart = (url) => { itemStart(url); total++; _render(); };
+  manager.onProgress = (url, l, t) => { loaded = l; total = t; _render(); };
+  manager.onError = (url) => {
+    if (quiet.has(url)) return;
+    failed.push({ url, critical: critical.has(url) });
+    console.warn('loading: failed to load', url);
+  };
+
+  function _mark(url, o) {
+    if (o.fallback) quiet.add(url);
+    if (o.critical) { critical.add(url); pending.add(url); }
+  }
+
+  function _settle(url) {
+    if (!pending.delete(url)) return;
+    _check();
+  }
+
+  _build();
+  _render();
+
+  return {
+    manager,
+
+    // loader.load(url) through this screen; resolves with the loaded asset
+    load(loader, url, o = {}) {
+      _mark(url, o);
+      // three's loaders report to the manager (itemError) right after calling back, so settle a
+      // microtask later to see the failure
+      return new Promise((resolve, reject) => {
+        loader.load(url, (res) => { resolve(res); queueMicrotask(() => _settle(url)); }, undefined, (err) => { reject(err); queueMicrotask(() => _settle(url)); });
+      });
+    },
+
+    // Count a non-loader download (audio, fetch) as one item. Returns `promise`.
+    track(promise, url, o = {}) {
+      _mark(url, o);
+      manager.itemStart(url);
+      Promise.resolve(promise).then(
+        () => { manager.itemEnd(url); _settle(url); },
+        () => { manager.itemError(url); manager.itemEnd(url); _settle(url); }
+      );
+      return promise;
+    },
+
+    // Every critical item has been requested
+    finish() { finished = true; _check(); },
+
+    isReady() { return ready; },
+
+    whenReady() { return readyPromise; },
+
+    dispose() {
+      disposed = true;
+      if (closeTimer) { clearTimeout(closeTimer); closeTimer = null; }
+      try { if (el && el.parentNode) el.parentNode.removeChild(el); } catch(e) {}
+      el = null;
+      manager.onStart = manager.onProgress = manager.onError = manager.onLoad = undefined;
+    },
+
+    _state() { return { label, loaded, total, pending: Array.from(pending), failed: failed.slice(), finished, ready }; }
+  };
+}
@@ -0,0 +1,69 @@
+// Locomotion feedback for the stairs scene: turns the distance walked along the helix into step
+// events and a head-bob offset.
+// update(dt, { theta, radius, running }) is called once per frame with the helix angle
+// (helix.lastTheta); the arc length |Δθ| * radius is the distance walked. Every stride a step event
+// fires (onStep listeners get { foot, running }), running takes longer strides at a quicker cadence.
+// bob() is the camera's vertical offset for this frame: it dips once per step, fades in when walking
+// starts and out when the player stops. Apply it around the render only (add, render, subtract) so it
+// never feeds back into movement. It is 0 while MotionPrefs.headBob() is off (reduced motion turns it
+// off too).
+// Angle jumps larger than any single frame of walking (level restart, the move to the painting panel)
+// are not counted.
+
+import { MotionPrefs } from './motion_prefs.js';
+
+const WALK_STRIDE = 0.75; // metres per step
+const RUN_STRIDE = 1.0;
+const WALK_BOB = 0.022; // metres of dip per step
+const RUN_BOB = 0.035;
+const BOB_FADE = 8; // 1/s: how fast the bob fades in / out
+const MIN_SPEED = 0.2; // m/s: slower counts as standing still
+const MAX_FRAME_THETA = 0.5; // radians: larger changes are teleports
+
+export function createLocomotion() {
+  const listeners = new Set();
+  let lastTheta = null;
+  let phase = 0; // strides walked; a step lands on every half-integer
+  let amp = 0; // current bob amplitude
+  let running = false;
+  let foot = 'right';
+
+  return {
+    update(dt, { theta, radius, running: run = false }) {
+      running = !!run;
+      let dist = 0;
+      if (lastTheta !== null && Number.isFinite(theta)) {
+        const d = Math.abs(theta - lastTheta);
+        if (d <= MAX_FRAME_THETA) dist = d * radius;
+      }
+      lastTheta = Number.isFinite(theta) ? theta : null;
+      const moving = dt > 0 && dist / dt >= MIN_SPEED;
+      if (moving) {
+        const before = Math.floor(phase + 0.5);
+        phase += dist / (running ? RUN_STRIDE : WALK_STRIDE);
+        if (Math.floor(phase + 0.5) > before) {
+          foot = foot === 'left' ? 'right' : 'left';
+          const ev = { foot, running };
+          for (const fn of Array.from(listeners)) { try { fn(ev); } catch(e) { console.warn('locomotion: step listener failed', e); } }
+        }
+      }
+      const target = moving ? (running ? RUN_BOB : WALK_BOB) : 0;
+      if (dt > 0) amp += (target - amp) * (1 - Math.exp(-BOB_FADE * dt));
+    },
+
+    // Vertical camera offset for this frame (<= 0)
+    bob() {
+      if (!MotionPrefs.headBob() || amp < 1e-4) return 0;
+      const s = Math.sin(Math.PI * phase);
+      return -amp * s * s;
+    },
+
+    // Forget the last angle (the next update() only sets a new reference)
+    reset() { lastTheta = null; amp = 0; },
+
+    // Call `fn({ foot, running })` on every step. Returns a remover.
+    onStep(fn) { listeners.add(fn); return () => listeners.delete(fn); },
+
+    _state() { return { phase, amp, running, foot, lastTheta }; }
+  };
+}
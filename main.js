@@ -4,16 +4,40 @@
 //  Click canvas: lock pointer (look around)
 //  W A S D : move
 //  Q / E   : descend / ascend camera
-import * as THREE from 'https://unpkg.com/three@0.164.1/build/three.module.js';
-import { GLTFLoader } from 'https://unpkg.com/three@0.164.1/examples/jsm/loaders/GLTFLoader.js';
-import { RGBELoader } from 'https://unpkg.com/three@0.164.1/examples/jsm/loaders/RGBELoader.js';
-import { PointerLockControls } from 'https://unpkg.com/three@0.164.1/examples/jsm/controls/PointerLockControls.js';
+//  Gamepad : left stick move, right stick look, LB / RB descend / ascend, A interact
+//  Touch   : on-screen joystick move, drag to look, on-screen F / ▲ / ▼ / pause buttons
+import * as THREE from './vendor/three/build/three.module.js';
+import { GLTFLoader } from './vendor/three/examples/jsm/loaders/GLTFLoader.js';
+import { RGBELoader } from './vendor/three/examples/jsm/loaders/RGBELoader.js';
+import { PointerLockControls } from './vendor/three/examples/jsm/controls/PointerLockControls.js';
 import * as SlidePuzzle from './slide_puzzle.js';
 import { NarratorManager } from './narrator_manager.js';
-import { BackgroundMusic } from './audio_manager.js';
+import { AudioManager, BackgroundMusic } from './audio_manager.js';
+import { SceneDirector } from './scene_director.js';
+import { SaveManager } from './save_manager.js';
+import { LevelManifest } from './level_manifest.js';
+import { PauseMenu } from './pause_menu.js';
+import { InputMap } from './input_map.js';
+import { GamepadInput } from './gamepad_input.js';
+import { TouchInput } from './touch_input.js';
+import { I18n } from './i18n.js';
+import { TowerConfig } from './tower_config.js';
+import { DevPanel } from './dev_panel.js';
+import { StatsOverlay } from './stats_overlay.js';
+import { QualityManager } from './quality_manager.js';
+import { createLoadingScreen } from './loading_screen.js';
+import { Preloader } from './preloader.js';
+import { createStairCollider } from './stair_collision.js';
+import { createTowerStream } from './tower_stream.js';
+import { createTriggers } from './triggers.js';
+import { stairsTriggers, DEFAULT_REPEAT_CUES } from './stairs_story.js';
+import { createInteractables } from './interactables.js';
+import { createLocomotion } from './locomotion.js';
+import { createListenerGroup, disposeObject3D, reportRendererLeaks } from './disposal.js';
 
 // --- Scene Setup ---
-// Intro overlay: show title and start prompt, fade on first interaction
+// Intro overlay: show title and start prompt, fade on first interaction.
+// When a save snapshot exists the prompt is replaced by Continue / New game buttons.
 function createIntroOverlay() {
   try {
     // inject Cinzel font
@@ -22,14 +46,41 @@ function createIntroOverlay() {
     wrap.style.position = 'fixed'; wrap.style.left = '0'; wrap.style.top = '0'; wrap.style.width = '100%'; wrap.style.height = '100%'; wrap.style.display = 'flex'; wrap.style.alignItems = 'center'; wrap.style.justifyContent = 'center'; wrap.style.flexDirection = 'column'; wrap.style.background = 'linear-gradient(180deg, rgba(0,0,0,0.0), rgba(0,0,0,0.25))'; wrap.style.zIndex = 9999999; wrap.style.pointerEvents = 'auto';
 
     const title = document.createElement('div');
-    title.textContent = 'LOST KNOWLEDGE';
+    I18n.bind(title, 'intro.title');
     title.style.fontFamily = 'Cinzel, serif'; title.style.fontWeight = '900'; title.style.fontSize = '72px'; title.style.letterSpacing = '4px'; title.style.color = '#ffffff'; title.style.textShadow = '0 6px 18px rgba(0,0,0,0.6)'; title.style.marginBottom = '18px';
 
     const prompt = document.createElement('div');
-    prompt.textContent = 'Haz click en cualquier lugar para comenzar';
+    I18n.bind(prompt, 'intro.prompt');
     prompt.style.fontFamily = 'Cinzel, serif'; prompt.style.fontWeight = '400'; prompt.style.fontSize = '20px'; prompt.style.color = 'rgba(255,255,255,0.95)'; prompt.style.opacity = '0.95';
 
-    wrap.appendChild(title); wrap.appendChild(prompt);
+    const saved = SaveManager.load();
+    wrap.appendChild(title);
+    if (saved) {
+      const row = document.createElement('div');
+      row.style.display = 'flex'; row.style.gap = '16px';
+      function makeButton(key) {
+        const b = document.createElement('button');
+        I18n.bind(b, key);
+        b.style.fontFamily = 'Cinzel, serif'; b.style.fontWeight = '700'; b.style.fontSize = '20px'; b.style.padding = '10px 22px'; b.style.border = '1px solid rgba(255,255,255,0.6)'; b.style.borderRadius = '10px'; b.style.background = 'rgba(0,0,0,0.55)'; b.style.color = '#fff'; b.style.cursor = 'pointer';
+        row.appendChild(b);
+        return b;
+      }
+      const continueBtn = makeButton('intro.continue');
+      const newBtn = makeButton('intro.newGame');
+      continueBtn.addEventListener('click', (ev) => { ev.stopPropagation(); startMusic(); dismiss(); restoreProgress(saved); });
+      newBtn.addEventListener('click', (ev) => { ev.stopPropagation(); SaveManager.clear(); startMusic(); dismiss(); });
+      wrap.appendChild(row);
+      document.body.appendChild(wrap);
+      try { continueBtn.focus(); } catch(e) {}
+      // gamepad: D-pad picks a button, A presses it
+      function onPadNav(e) {
+        if (!wrap.isConnected) { window.removeEventListener('keydown', onPadNav); return; }
+        if (GamepadInput.menuNav(e, row)) e.preventDefault();
+      }
+      window.addEventListener('keydown', onPadNav);
+      return;
+    }
+    wrap.appendChild(prompt);
     document.body.appendChild(wrap);
 
     // fade-out on first interaction (click or keydown)
@@ -45,21 +96,34 @@ function createIntroOverlay() {
       }
       requestAnimationFrame(step);
     }
-    function onFirst(e) { try { try { if (BackgroundMusic && typeof BackgroundMusic.init === 'function') BackgroundMusic.init(); if (BackgroundMusic && typeof BackgroundMusic.play === 'function') BackgroundMusic.play(); } catch(ex) { console.warn('BackgroundMusic play failed', ex); } dismiss(); } catch(e) {} }
+    function startMusic() { try { if (BackgroundMusic && typeof BackgroundMusic.init === 'function') BackgroundMusic.init(); if (BackgroundMusic && typeof BackgroundMusic.play === 'function') BackgroundMusic.play(); } catch(ex) { console.warn('BackgroundMusic play failed', ex); } }
+    function onFirst(e) { try { startMusic(); dismiss(); } catch(e) {} }
     window.addEventListener('click', onFirst, { once: true });
     window.addEventListener('keydown', onFirst, { once: true });
   } catch(e) { console.warn('createIntroOverlay failed', e); }
 }
 
-// Small floating UI to toggle background music mute state
+// Small floating UI to toggle background music mute state, plus the language selector
 function createMusicToggleUI() {
   try {
+    // persists across scenes; only build it once per page
+    if (document.getElementById('lk_music_wrap')) return;
+    // placement and sizes live in a stylesheet so they can follow the screen size: clear of the
+    // notch / home bar, finger-sized on touch screens, narrower slider (or none) on small phones
+    const style = document.createElement('style');
+    style.id = 'lk_music_style';
+    style.textContent = `
+    #lk_music_wrap { right: calc(12px + env(safe-area-inset-right, 0px)); bottom: calc(12px + env(safe-area-inset-bottom, 0px)); }
+    #lk_music_wrap input[type=range] { width: 110px; }
+    @media (max-width: 600px) { #lk_music_wrap input[type=range] { width: 72px; } }
+    @media (max-width: 380px) { #lk_music_wrap input[type=range] { display: none; } }
+    @media (pointer: coarse) { #lk_music_toggle { min-width: 44px; min-height: 44px; font-size: 20px; } }
+    `;
+    document.head.appendChild(style);
     // container to hold mute button + volume slider
     const wrap = document.createElement('div');
     wrap.id = 'lk_music_wrap';
     wrap.style.position = 'fixed';
-    wrap.style.right = '12px';
-    wrap.style.bottom = '12px';
     wrap.style.zIndex = 1000000;
     wrap.style.display = 'flex';
     wrap.style.alignItems = 'center';
@@ -67,7 +131,7 @@ function createMusicToggleUI() {
 
     const btn = document.createElement('button');
     btn.id = 'lk_music_toggle';
-    btn.title = 'Alternar música de fondo';
+    I18n.bind(btn, 'music.toggle', 'title');
     btn.style.border = 'none';
     btn.style.padding = '8px 10px';
     btn.style.borderRadius = '8px';
@@ -82,8 +146,7 @@ function createMusicToggleUI() {
     slider.min = '0';
     slider.max = '100';
     slider.step = '1';
-    slider.title = 'Volumen música';
-    slider.style.width = '110px';
+    I18n.bind(slider, 'music.volume', 'title');
     slider.style.appearance = 'none';
     slider.style.cursor = 'pointer';
 
@@ -115,8 +178,23 @@ function createMusicToggleUI() {
       } catch(e) { console.warn('music volume change failed', e); }
     });
 
+    // language selector (the choice is remembered by I18n like the music settings)
+    const lang = document.createElement('select');
+    lang.id = 'lk_locale_select';
+    I18n.bind(lang, 'locale.select', 'aria-label');
+    lang.style.border = 'none'; lang.style.padding = '6px 8px'; lang.style.borderRadius = '8px'; lang.style.background = 'rgba(0,0,0,0.6)'; lang.style.color = '#fff'; lang.style.fontFamily = 'sans-serif'; lang.style.cursor = 'pointer'; lang.style.pointerEvents = 'auto';
+    for (const l of I18n.locales()) {
+      const opt = document.createElement('option');
+      opt.value = l.code; opt.textContent = l.name;
+      lang.appendChild(opt);
+    }
+    lang.value = I18n.getLocale();
+    // blur after choosing so arrow keys go back to the game instead of cycling languages
+    lang.addEventListener('change', () => { I18n.setLocale(lang.value); lang.blur(); });
+
     wrap.appendChild(btn);
     wrap.appendChild(slider);
+    wrap.appendChild(lang);
     document.body.appendChild(wrap);
     // ensure BackgroundMusic initialized
     try { if (BackgroundMusic && typeof BackgroundMusic.init === 'function') BackgroundMusic.init(); } catch(e) {}
@@ -125,28 +203,35 @@ function createMusicToggleUI() {
 }
 
 let scene, camera, renderer, controls;
+// every DOM listener this scene adds goes through this group so unloadStairsScene() can remove them
+const _listeners = createListenerGroup('stairs');
+let _wrapReadyTimer = null;
+let _detachTouchLook = null;
 let slidePuzzleInited = false;
-// track how many times the camera has been wrapped down since puzzle-ready
-let _wrapDownCount = 0;
 let stairsRef = null;          // base stairs segment
 let towerRef = null;           // tower root
 let stairsGroup = null;        // group containing all stair segments for whole-stack transforms
+let _interiorLights = [];      // point lights up the tower axis (tower file lighting.interior)
+let _stream = null;            // createTowerStream(): tower copies recycled above / below the player
+let _wraps = 0;                // wraps counted up minus down; the wrap anchor is this many wrap distances from the start
+let _triggers = null;          // createTriggers(): the stairs level's story (manifest triggers)
+let _interactables = null;     // createInteractables(): what the interact action uses (the painting panel)
+let _qualityOff = null;        // removes the QualityManager listener
+let _loading = null;           // createLoadingScreen() of the current entry (models gate movement)
+let _collider = null;          // createStairCollider() over the towers and stairs (null: analytic helix height)
+let _eyeHeight = 0;            // camera height above the step under it, with _collider
+let _locomotion = null;        // createLocomotion(): footsteps and head-bob from the distance walked
+let _stepOff = null;           // removes the footstep listener
 // Visibility limiter planes (follow camera)
 let topLimiter = null;
 let bottomLimiter = null;
 // Interaction plane and UI
 let interactivePlane = null;
-let interactivePlaneVisible = false;
-const INTERACT_MAX_DIST = 2.5; // meters (will be used along with responsive checks)
-const INTERACT_DOT_THRESHOLD = 0.95; // forward dot threshold (how directly the camera must point)
+const INTERACT_MAX_DIST = 2.5; // meters from the camera to where the view ray meets the panel
 
-// Provided JSON data (may include unsorted Y values & manual tweaks)
-const stairsSegmentsData = [
-  { "position": { "x": -2, "y": 6.25, "z": 17.4 }, "rotation": { "x": 0, "y": 0, "z": 0 }, "scale": { "x": 0.574, "y": 0.53, "z": 0.574 } },
-  { "position": { "x": -2, "y": 10.572143951743062, "z": 17.4 }, "rotation": { "x": 0, "y": 0, "z": 0 }, "scale": { "x": 0.574, "y": 0.53, "z": 0.574 } },
-  { "position": { "x": -2, "y": 1.9292879034861175, "z": 17.4 }, "rotation": { "x": 0, "y": 0, "z": 0 }, "scale": { "x": 0.574, "y": 0.53, "z": 0.574 } },
-  { "position": { "x": -2, "y": 14.896431855229162, "z": 17.4 }, "rotation": { "x": 0, "y": 0, "z": 0 }, "scale": { "x": 0.574, "y": 0.53, "z": 0.574 } }
-];
+// Tower calibration (models, helix band, wrap, stair segments, stream) from the tower file;
+// loaded by main() before the scene is built (see tower_config.js)
+let _tower = TowerConfig.get();
 
 
 function initScene() {
@@ -159,8 +244,9 @@ function initScene() {
     0.1,
     1000
   );
-  // Start camera at the corrected TOP sample position
-  camera.position.set(0.9745185184179505, 11.516213485322599, -2.2217748539252415);
+  // Start camera at the tower's start position (top of the stairs)
+  const start = _tower.start.position;
+  camera.position.set(start.x, start.y, start.z);
 
   // Save a guaranteed 'start' camera pose here so async model loads can't be influenced
   // by the user moving/looking before models finish loading.
@@ -170,30 +256,43 @@ function initScene() {
     quat: camera.quaternion.clone()
   };
 
+  // the canvas is removed on unload; re-entering the scene (Quit to title) needs a fresh one
+  let canvas = document.querySelector('#myCanvas');
+  if (!canvas) { canvas = document.createElement('canvas'); canvas.id = 'myCanvas'; document.body.insertBefore(canvas, document.body.firstChild); }
+  // antialiasing and the pixel-ratio cap follow the quality tier (quality_manager.js)
   renderer = new THREE.WebGLRenderer({
-    canvas: document.querySelector('#myCanvas'),
-    antialias: false
+    canvas,
+    antialias: QualityManager.settings().antialias
   });
-  // lower pixel ratio to reduce AA/shader cost on slower machines
-  renderer.setPixelRatio(Math.min(window.devicePixelRatio, 1.0));
+  renderer.setPixelRatio(QualityManager.pixelRatio());
   // tone mapping/exposure to reduce overall lightness
   renderer.toneMapping = THREE.ACESFilmicToneMapping;
-  // Slightly increase exposure to brighten interior details
-  renderer.toneMappingExposure = 0.95;
+  // exposure from the tower file (slightly brightened to show interior details)
+  renderer.toneMappingExposure = _tower.lighting.exposure;
   // reduce shadow and PBR cost
   renderer.shadowMap.enabled = false;
   renderer.physicallyCorrectLights = false;
   renderer.setSize(window.innerWidth, window.innerHeight);
+  StatsOverlay.attach({ renderer });
+  _qualityOff = QualityManager.onChange(() => {
+    if (!renderer) return;
+    renderer.setPixelRatio(QualityManager.pixelRatio());
+    renderer.setSize(window.innerWidth, window.innerHeight);
+  });
   try { createMusicToggleUI(); } catch(e) {}
 }
 
 function initControls() {
   controls = new PointerLockControls(camera, renderer.domElement);
-  renderer.domElement.addEventListener('click', () => {
+  _listeners.add(renderer.domElement, 'click', () => {
     // Do not allow pointer lock while the slide puzzle is active
-    try { if (scene && scene.userData && scene.userData.puzzleState === 'active') return; } catch(e) {}
+    try { if (SceneDirector.get('puzzleState') === 'active') return; } catch(e) {}
+    // touch play looks by dragging instead (see TouchInput.attachLook below)
+    if (TouchInput.isActive()) return;
     controls.lock();
   });
+  // (drags in puzzle mode are tile swipes, not look)
+  _detachTouchLook = TouchInput.attachLook(renderer.domElement, () => SceneDirector.getTopName() === 'stairs');
   controls.addEventListener('lock',   () => {
     try {
       console.log('Pointer locked');
@@ -207,7 +306,7 @@ function initControls() {
   controls.addEventListener('lock', () => {
     try {
       if (!_narratorPlayedOnLock) {
-        try { NarratorManager.play('narrator:on-game-start'); } catch(e) { console.warn('Narrator on-game-start failed', e); }
+        try { NarratorManager.play(_levelCue('stairs', 'enter', 'narrator:on-game-start')); } catch(e) { console.warn('Narrator on-game-start failed', e); }
         _narratorPlayedOnLock = true;
       }
     } catch(e) {}
@@ -231,10 +330,14 @@ function initLighting() {
   // Ambient fill (increased) to lift dark interiors
   const ambient = new THREE.AmbientLight(0xffffff, 1.0);
   scene.add(ambient);
-  // mark models as loaded so constraints and wrap logic can safely run
-  scene.userData.modelsLoaded = true;
+  // set once placeTowerAndStairs() has placed the models and anchored the helix
+  scene.userData.modelsLoaded = false;
   // initialize puzzle state machine: 'unloaded' | 'loaded' | 'active' | 'finished'
-  scene.userData.puzzleState = scene.userData.puzzleState || 'unloaded';
+  // (every entry starts fresh; restoreProgress() re-applies saved flags afterwards)
+  SceneDirector.set('puzzleState', 'unloaded');
+  SceneDirector.set('puzzleSolved', false);
+  SceneDirector.set('wrapDownCount', 0);
+  SceneDirector.set('wrapCountingPaused', false);
   // Camera-following point light (headlamp) to brighten immediate surroundings
   const cameraLightGroup = new THREE.Group();
   const camFill = new THREE.PointLight(0xffffff, 2.0, 55, 2);
@@ -308,7 +411,8 @@ function updateLimiterPlanes() {
 
 // --- Interaction helpers ---
 function createInteractivePlane() {
-  // Small red plane to mark the window; size will be proportional to camera fov/screen
+  // Invisible plane over the window: the painting's hit zone for the interact ray, outlined when
+  // aimed at (interactables.js / highlight.js); sized from the start pose in placeTowerAndStairs()
   const geo = new THREE.PlaneGeometry(1.0, 0.6);
   const mat = new THREE.MeshBasicMaterial({ color: 0x00000000, transparent: true, opacity: 0.0, side: THREE.DoubleSide });
   const plane = new THREE.Mesh(geo, mat);
@@ -327,6 +431,7 @@ function createInteractionUI() {
   document.head.appendChild(link);
 
     const style = document.createElement('style');
+    style.id = 'lk_interaction_style';
     style.textContent = `
     /* Dialog wrapper centered at bottom */
     #lk_puzzle_wrap { position: fixed; left: 50%; transform: translateX(-50%); bottom: 6vh; pointer-events: none; z-index: 10000; display: flex; gap: 1rem; justify-content: center; align-items: center; }
@@ -344,55 +449,44 @@ function createInteractionUI() {
   #lk_interact { position: fixed; left: 50%; transform: translateX(-50%); bottom: 6vh; z-index: 100001; }
   #lk_interact .lk_dialog { min-height: 64px; padding: 10px 12px; }
   /* allow only F and specific control dialogs to be interactive */
-  #lk_interact .lk_dialog, #lk_interact_topright .lk_dialog, #lk_dialog_r, #lk_dialog_i, #lk_dialog_h { pointer-events: auto; }
+  #lk_interact .lk_dialog, #lk_interact_topright .lk_dialog, #lk_dialog_moves, #lk_dialog_r, #lk_dialog_i, #lk_dialog_h { pointer-events: auto; }
+  /* keyboard focus on the puzzle dialogs and the accessible board */
+  #lk_interact:focus-visible .lk_dialog, #lk_interact_topright:focus-visible .lk_dialog, .lk_dialog[role="button"]:focus-visible, #lk_puzzle_grid [role="gridcell"]:focus { outline: 3px solid #ffd54a; outline-offset: 2px; }
+  /* read by screen readers, not shown */
+  .lk_sr_only { position: absolute !important; width: 1px; height: 1px; padding: 0; margin: -1px; overflow: hidden; clip: rect(0,0,0,0); white-space: nowrap; border: 0; }
+  /* accessible puzzle board (slide_puzzle.js): visually hidden until keyboard focus enters it */
+  #lk_puzzle_grid { position: fixed; left: 12px; top: 12px; z-index: 100002; display: grid; grid-template-columns: repeat(4, 48px); gap: 4px; padding: 8px; border-radius: 10px; background: rgba(0,0,0,0.75); font-family: 'Cinzel', serif; }
+  #lk_puzzle_grid:not(:focus-within) { width: 1px; height: 1px; padding: 0; overflow: hidden; clip-path: inset(50%); }
+  #lk_puzzle_grid [role="row"] { display: contents; }
+  #lk_puzzle_grid [role="gridcell"] { height: 48px; display: flex; align-items: center; justify-content: center; border: 1px solid rgba(255,255,255,0.5); border-radius: 6px; color: #fff; font-size: 20px; font-weight: 700; cursor: pointer; }
   `;
   document.head.appendChild(style);
 
   // No initial bubble element is created; the small F-bubble is created dynamically when the puzzle is loaded and the player looks at the panel.
 }
 
-function updateInteraction() {
-  if (!interactivePlane || !camera || !scene.userData || !scene.userData.modelsLoaded) return;
-  // compute distance from camera to plane
-  const camPos = camera.position;
-  const planePos = interactivePlane.getWorldPosition(new THREE.Vector3());
-  const toPlane = new THREE.Vector3().subVectors(planePos, camPos);
-  const dist = toPlane.length();
-  // get camera forward
-  const forward = new THREE.Vector3();
-  camera.getWorldDirection(forward);
-  const dot = forward.dot(toPlane.normalize());
-  const qualifies = dist <= INTERACT_MAX_DIST && dot >= INTERACT_DOT_THRESHOLD;
-  interactivePlaneVisible = qualifies;
-  interactivePlane.material.color.set(qualifies ? 0xff6666 : 0xff3333);
-  try { if (SlidePuzzle && typeof SlidePuzzle.updateInteractBubble === 'function') SlidePuzzle.updateInteractBubble(qualifies); } catch(e) { console.warn('interaction UI update failed', e); }
+// The closest interactable under the view's centre gets the outline and the interact bubble
+function updateInteraction(dt) {
+  if (!_interactables || !camera || !scene.userData || !scene.userData.modelsLoaded) return;
+  _interactables.update(camera, dt);
 }
 
 // Key handler for interaction
 // Key handler for interaction: F toggles pointer lock (switch between movement and 'game' mode)
-window.addEventListener('keydown', (e)=>{
-  if (e.code === 'KeyF') {
-    // If puzzle is finished, F should do nothing
-    if (scene && scene.userData && scene.userData.puzzleState === 'finished') return;
+function onInteractKeyDown(e) {
+  if (SceneDirector.isPaused()) return;
+  if (InputMap.matches(e, 'interact')) {
     // If puzzle is active, pressing F exits puzzle solving mode regardless of look direction
     try {
-      if (scene && scene.userData && scene.userData.puzzleState === 'active') {
-        try { if (SlidePuzzle && SlidePuzzle.hide) SlidePuzzle.hide(); } catch(e) {}
+      if (SceneDirector.get('puzzleState') === 'active') {
+        try { SceneDirector.pop(); } catch(e) {}
         return;
       }
     } catch(err) { console.warn('F-key puzzle hide failed', err); }
-    // Only allow entering puzzle when player is looking at panel and the bubble is visible
-    if (!interactivePlaneVisible) return;
-    const bubble = document.getElementById('lk_interact');
-    if (!bubble || bubble.style.display === 'none') return;
-    try {
-      if (scene && scene.userData && scene.userData.puzzleState === 'loaded') {
-        try { if (SlidePuzzle && SlidePuzzle.show) SlidePuzzle.show(); } catch(e) {}
-        return;
-      }
-    } catch(err) { console.warn('F-key puzzle show failed', err); }
+    // Otherwise use whatever the bubble is showing (the painting panel enters the puzzle)
+    if (_interactables) _interactables.activate();
   }
-});
+}
 
 
 
@@ -403,12 +497,13 @@ function onWindowResize() {
 }
 
 // --- Movement (camera) ---
-const keys = {};
 const WALK_SPEED = 3.0;
 const RUN_MULT = 1.8;
 const FLOOR_Y = 0.1; // minimal floor height when flying down
+const STEP_SETTLE = 14; // 1/s: how fast the camera settles onto a new step height (mesh collision)
+const MAX_EYE_HEIGHT = 3; // search depth for the step under the start pose when eyeHeight is measured
 
-// Helical band constraint config
+// Helical band constraint config (calibrated from the tower file by _applyTowerCalibration)
 const helix = {
   enabled: true,
   center: new THREE.Vector2(0, 0), // set to tower XZ after load
@@ -420,51 +515,34 @@ const helix = {
 };
 
 // Convenience flag to indicate inverted winding (pitch sign handled directly)
-// Permanently invert helix as requested
 helix.inverted = true;
 // track continuous angle (radians) so we can span multiple revolutions
 helix.lastTheta = 0;
+// count a wrap when the camera is wrapTriggerRings past the wrap anchor, which then moves wrapDistanceRings
+helix.wrapTriggerRings = 2;
+helix.wrapDistanceRings = 3;
 // small cooldown (ms) to avoid immediate repeated wrapping when near threshold
 helix.wrapCooldown = 250;
 helix._lastWrapTime = 0;
 
-// --- Permanent helix calibration (user-provided) ---
-// These values were measured and should be treated as authoritative for this scene.
-window._helixTop = {
-  x: -0.8308358640774964,
-  y: 19.277361614729536,
-  z: -1.2965045326129125,
-  theta: -33.936299897535235,
-  helixY: 19.277361614729536,
-  radius: 2.213723533344434
-};
-window._helixBottom = {
-  x: -0.8308358640774964,
-  y: 1.9769616146937727,
-  z: -1.2965045326129125,
-  theta: -33.936299897535235,
-  helixY: 1.9769616146937727,
-  radius: 2.213723533344434
-};
-// Number of full helix rings between bottom and top (user-provided)
-window._helixRingsOverride = 8;
-// Measured pitch per revolution (vertical per 2π)
-helix.pitch = 2.16255; // from HelixTopBottomReport.pitchMeasured
-// set lastTheta to the measured continuous theta (prevents initial jumps)
-helix.lastTheta = window._helixTop.theta;
-// Hardcode helix.radius to the requested authoritative value and compute baseY from embedded sample
-helix.radius = 1.943; // hardcoded per user request
-// recompute baseY so that helixY = baseY + sign*(theta/2π)*pitch + offsetY matches measured helixY
-{
-  const sign = helix.inverted ? -1 : 1;
-  const theta = helix.lastTheta;
-  helix.baseY = window._helixTop.helixY - sign * (theta / (2 * Math.PI)) * helix.pitch - helix.offsetY;
+// Copy the tower file's helix and wrap values onto `helix`. The centre and baseY depend on the
+// loaded models and are set in placeTowerAndStairs().
+function _applyTowerCalibration(tower) {
+  helix.radius = tower.helix.radius;
+  helix.thickness = tower.helix.thickness;
+  helix.pitch = tower.helix.pitch;
+  helix.inverted = tower.helix.inverted;
+  helix.wrapTriggerRings = tower.wrap.triggerRings;
+  helix.wrapDistanceRings = tower.wrap.distanceRings;
+  helix.wrapCooldown = tower.wrap.cooldownMs;
 }
 
 
+// Held movement keys are read from InputMap every frame; only the interact action needs a handler
 function setupMovement() {
-  window.addEventListener('keydown', (e) => { keys[e.code] = true; });
-  window.addEventListener('keyup',   (e) => { keys[e.code] = false; });
+  _listeners.add(window, 'keydown', onInteractKeyDown);
+  _locomotion = createLocomotion();
+  _stepOff = _locomotion.onStep((step) => AudioManager.footstep(step));
 }
 
 // Recompute helix.radius using stairs world positions (median or mean)
@@ -506,22 +584,41 @@ const _v_right = new THREE.Vector3();
 const _v_move = new THREE.Vector3();
 const _v_up = new THREE.Vector3(0,1,0);
 
+// A gamepad or the touch controls can walk without pointer lock, but only in the open stairs scene:
+// not behind the title overlay and not while the puzzle mode is pushed on top
+function _unlockedInputCanMove() {
+  if (!GamepadInput.isConnected() && !TouchInput.isActive()) return false;
+  return SceneDirector.getTopName() === 'stairs' && !document.getElementById('lk_intro_overlay');
+}
+
 function updateMovement(dt) {
-  const controlsEnabled = (scene.userData && scene.userData.controlsEnabled) || controls.isLocked;
+  const freeMove = _unlockedInputCanMove();
+  const controlsEnabled = (scene.userData && scene.userData.controlsEnabled) || controls.isLocked || freeMove;
   if (!controlsEnabled) return;
   // If models haven't finished loading, don't allow movement to run (prevents accidental teleports before anchoring)
   if (!scene.userData || !scene.userData.modelsLoaded) return;
-  const speed = (keys.ShiftLeft || keys.ShiftRight) ? WALK_SPEED * RUN_MULT : WALK_SPEED;
+  if (_loading && !_loading.isReady()) return;
+  const speed = InputMap.isDown('run') ? WALK_SPEED * RUN_MULT : WALK_SPEED;
+  const stick = { x: 0, y: 0 };
+  if (freeMove) {
+    const pad = GamepadInput.move(), joy = TouchInput.move();
+    stick.x = pad.x + joy.x; stick.y = pad.y + joy.y;
+    const look = GamepadInput.look(); GamepadInput.applyLook(camera, look.x, look.y, dt);
+    TouchInput.applyLook(camera);
+  }
   // Basic forward/back controls when helix is disabled
   if (!helix.enabled) {
-    if (keys.KeyW) controls.moveForward( speed * dt);
-    if (keys.KeyS) controls.moveForward(-speed * dt);
-    if (keys.KeyA) controls.moveRight(  -speed * dt);
-    if (keys.KeyD) controls.moveRight(   speed * dt);
+    if (InputMap.isDown('moveForward')) controls.moveForward( speed * dt);
+    if (InputMap.isDown('moveBackward')) controls.moveForward(-speed * dt);
+    if (InputMap.isDown('moveLeft')) controls.moveRight(  -speed * dt);
+    if (InputMap.isDown('moveRight')) controls.moveRight(   speed * dt);
+    if (stick.y) controls.moveForward(stick.y * speed * dt);
+    if (stick.x) controls.moveRight(stick.x * speed * dt);
   } else {
     // Convert WASD to a horizontal movement vector (based on camera yaw) and map to helix
-    const f = (keys.KeyW ? 1 : 0) - (keys.KeyS ? 1 : 0);
-    const s = (keys.KeyD ? 1 : 0) - (keys.KeyA ? 1 : 0);
+    // (left stick adds its analog deflection on top of the keys)
+    const f = Math.max(-1, Math.min(1, (InputMap.isDown('moveForward') ? 1 : 0) - (InputMap.isDown('moveBackward') ? 1 : 0) + stick.y));
+    const s = Math.max(-1, Math.min(1, (InputMap.isDown('moveRight') ? 1 : 0) - (InputMap.isDown('moveLeft') ? 1 : 0) + stick.x));
     if (f !== 0 || s !== 0) {
   camera.getWorldDirection(_v_dir);
   _v_dir.y = 0; _v_dir.normalize();
@@ -529,6 +626,8 @@ function updateMovement(dt) {
       _v_move.set(0,0,0);
       _v_move.addScaledVector(_v_dir, f * speed * dt);
       _v_move.addScaledVector(_v_right, s * speed * dt);
+      // mesh collision: slide along the tower walls at waist height
+      if (_collider) _collider.slide(camera.position.x, camera.position.y - _eyeHeight / 2, camera.position.z, _v_move, _tower.collision.radius);
 
       // target XZ after movement attempt
       const cx = helix.center.x, cz = helix.center.y;
@@ -554,26 +653,27 @@ function updateMovement(dt) {
       camera.position.x = cx + rClamped * Math.cos(theta);
       camera.position.z = cz + rClamped * Math.sin(theta);
 
-      // update Y following helix curve + offset (apply inversion)
+      // update Y following helix curve + offset (apply inversion); with mesh collision the Y comes
+      // from the steps in constrainCameraToHelix()
       const sign = helix.inverted ? -1 : 1;
-      camera.position.y = helix.baseY + sign * (theta / (2 * Math.PI)) * helix.pitch + helix.offsetY;
+      if (!_collider) camera.position.y = helix.baseY + sign * (theta / (2 * Math.PI)) * helix.pitch + helix.offsetY;
     }
   }
-  // vertical fly or helix offset
-  if (helix.enabled) {
-    if (keys.KeyE) helix.offsetY += speed * dt;
-    if (keys.KeyQ) helix.offsetY -= speed * dt;
-  } else {
-    if (keys.KeyE) camera.position.y += speed * dt;
-    if (keys.KeyQ) camera.position.y -= speed * dt;
+  // vertical fly or helix offset (standing on real steps, Q/E have nothing to do)
+  if (helix.enabled && !_collider) {
+    if (InputMap.isDown('moveUp')) helix.offsetY += speed * dt;
+    if (InputMap.isDown('moveDown')) helix.offsetY -= speed * dt;
+  } else if (!helix.enabled) {
+    if (InputMap.isDown('moveUp')) camera.position.y += speed * dt;
+    if (InputMap.isDown('moveDown')) camera.position.y -= speed * dt;
     if (camera.position.y < FLOOR_Y) camera.position.y = FLOOR_Y;
   }
 
   // apply helical / cylindrical constraint after movement
-  constrainCameraToHelix();
+  constrainCameraToHelix(dt);
 }
 
-function constrainCameraToHelix() {
+function constrainCameraToHelix(dt = 0) {
   // If models haven't finished loading and anchoring, skip constraint/wrap entirely to avoid teleport-before-load
   if (!scene.userData || !scene.userData.modelsLoaded) return;
   if (!helix.enabled || !camera) return;
@@ -587,105 +687,18 @@ function constrainCameraToHelix() {
   // choose the theta branch nearest lastTheta so motion is continuous over multiple revolutions
   const k = Math.round((helix.lastTheta - wrappedTheta) / (2 * Math.PI));
   let theta = wrappedTheta + k * (2 * Math.PI);
-  // If we have an initial helix reference, compute revolutions relative to that and
-  // teleport back to the saved initial camera position when exceeding ±4 revolutions.
-  // Only consider wrap if we have a valid initial reference and the tower has been placed.
+  // Wraps are logical: the camera keeps climbing on streamed tower copies. Only consider them once
+  // the tower has been placed and the start pose anchored.
   const now = Date.now();
   const wrapReadyAt = scene.userData && scene.userData.wrapReadyAt;
-  if (towerRef && scene.userData && scene.userData.initialHelixRef && scene.userData.wrapReady && wrapReadyAt && (now - wrapReadyAt) > 1000) {
-    const init = scene.userData.initialHelixRef;
-  // use ±2 rings as the wrap trigger threshold (wrap distance remains 3 * pitch)
-  const upThreshold = init.cameraPos.y + 2 * helix.pitch;
-  const downThreshold = init.cameraPos.y - 2 * helix.pitch;
-    // (debug logging removed to reduce console spam)
-  if (camera.position.y >= upThreshold || camera.position.y <= downThreshold) {
-      const now = Date.now();
-      // debug: log the wrap candidate and thresholds
-      try {
-        console.log('main: wrap candidate', { cameraY: camera.position.y, upThreshold, downThreshold, wrapReadyAt, lastWrap: helix._lastWrapTime, now });
-        try { console.log('main: puzzleState flags', { sceneUserPuzzleSolved: !!(scene && scene.userData && (scene.userData.puzzleSolved || scene.userData.puzzleState === 'finished')), globalPuzzleSolved: !!window._puzzleSolved }); } catch(e) {}
-      } catch(e) {}
-      if (now - helix._lastWrapTime < (helix.wrapCooldown || 0)) {
-        // skip wrapping if within cooldown window
-      } else {
-  // Wrap the camera Y by ±3 * helix.pitch so the player stays at the same X/Z and rotation
-  const wrapAmount = 3 * helix.pitch;
-        if (camera.position.y >= upThreshold) {
-          camera.position.y -= wrapAmount;
-          // Narrator: increment wrap-down counter and attempt to play the on-level-repeat clips
-          // Only start counting after the painting/puzzle scene has been initialized
-          try {
-            // Only count wrap-down repeats when the puzzle scene is actively loaded
-            if (slidePuzzleInited && !window._wrapCountingPaused) {
-              _wrapDownCount = (_wrapDownCount || 0) + 1;
-              if (_wrapDownCount >= 1 && _wrapDownCount <= 3) {
-                const nk = 'narrator:on-level-repeat-' + _wrapDownCount;
-                try { const started = NarratorManager.play(nk); console.log('NarratorManager.play', nk, started); } catch(e) { console.warn('Narrator play failed', e); }
-              }
-            }
-          } catch(e) { /* ignore narrator failures */ }
-          // If the player wrapped upward (teleported back down), initialize the puzzle behind the interactive plane
-          try {
-            if (SlidePuzzle && SlidePuzzle.init && interactivePlane && !slidePuzzleInited) {
-              const anchorPos = interactivePlane.getWorldPosition(new THREE.Vector3());
-              const anchorQuat = interactivePlane.getWorldQuaternion(new THREE.Quaternion());
-              // initialize puzzle on first wrap but DO NOT auto-show it; user must press F to start
-              SlidePuzzle.init(scene, camera, controls, anchorPos, anchorQuat)
-                .then(()=>{
-                  slidePuzzleInited = true;
-                  try { _wrapDownCount = 0; } catch(e) {}
-                  try { const started = NarratorManager.play('narrator:on-painting-scene-load'); console.log('NarratorManager.play', 'narrator:on-painting-scene-load', started); } catch(e) { console.warn('Narrator on-painting-scene-load failed', e); }
-                })
-                .catch((err)=>{ console.warn('SlidePuzzle.init failed', err); });
-            }
-          } catch(e) { /* ignore */ }
-          // If the painting puzzle was solved, trigger the transition to the philosophy scene
-          try {
-            const solved = (scene && scene.userData && (scene.userData.puzzleSolved || scene.userData.puzzleState === 'finished')) || !!window._puzzleSolved;
-            console.log('main: upward wrap occurred; puzzle solved?', solved);
-            if (solved) {
-              // schedule switch asynchronously so we don't block the wrap code
-              try { requestSceneSwitch(); } catch(e) { console.warn('scene switch request failed', e); }
-            }
-          } catch(e) {}
-        } else if (camera.position.y <= downThreshold) {
-          camera.position.y += wrapAmount;
-        }
-
-        // Recompute helix.lastTheta so the helix mapping (theta -> helixY) matches the new camera.position.y
-        try {
-          initHelixLastThetaFromCamera();
-        } catch (e) {
-          // fallback: compute wrapped theta from position if init helper isn't available
-          let wrappedAtPos = Math.atan2(camera.position.z - helix.center.y, camera.position.x - helix.center.x);
-          if (wrappedAtPos < 0) wrappedAtPos += Math.PI * 2;
-          const branch = Math.round((helix.lastTheta - wrappedAtPos) / (2 * Math.PI));
-          helix.lastTheta = wrappedAtPos + branch * (2 * Math.PI);
-        }
-
-        // After recomputing lastTheta, set camera.y to the canonical helixY so we don't oscillate
-        try {
-          const sign = helix.inverted ? -1 : 1;
-          const canonicalY = helix.baseY + sign * (helix.lastTheta / (2 * Math.PI)) * helix.pitch + helix.offsetY;
-          camera.position.y = canonicalY;
-        } catch (e) {
-          // ignore
-        }
-
-        // Sync PointerLockControls internal object position so movement/rotation remain seamless
-        try {
-          if (controls && controls.getObject) controls.getObject().position.copy(camera.position);
-        } catch (e) {
-          // ignore if controls not available
-        }
-
-  helix._lastWrapTime = now;
-        // Important: return now so the later helixY recomputation does not overwrite the wrapped Y
-        return;
-      }
-    }
+  if (towerRef && scene.userData && scene.userData.initialHelixRef && scene.userData.wrapReady && wrapReadyAt && (now - wrapReadyAt) > 1000
+      && now - helix._lastWrapTime >= (helix.wrapCooldown || 0)) {
+    const anchorY = _wrapAnchorY();
+    const trigger = helix.wrapTriggerRings * helix.pitch;
+    if (camera.position.y >= anchorY + trigger) _onWrap(1);
+    else if (camera.position.y <= anchorY - trigger) _onWrap(-1);
   }
-  // otherwise update continuous theta normally
+  // the angle is continuous, so the helix height keeps climbing with it
   helix.lastTheta = theta;
 
   // compute desired radius (clamp into band)
@@ -701,15 +714,76 @@ function constrainCameraToHelix() {
   // if helix mapping is desired, set camera Y to follow helix curve
   const sign = helix.inverted ? -1 : 1;
   const helixY = helix.baseY + sign * (theta / (2 * Math.PI)) * helix.pitch + helix.offsetY;
-  camera.position.y = helixY;
+  camera.position.y = _collider ? _stepHeight(helixY, dt) : helixY;
+}
+
+// A wrap was crossed (dir 1: up, -1: down): move the wrap anchor and everything tied to it (the
+// painting panel, the puzzle behind it, the interior lights) one wrap distance that way, so the player
+// keeps meeting them as they climb. What a wrap means for the story
+// (narrator lines, the puzzle, leaving) is up to the level's triggers ('wrapUp' / 'wrapDown').
+function _onWrap(dir) {
+  const dy = dir * helix.wrapDistanceRings * helix.pitch;
+  _wraps += dir;
+  helix._lastWrapTime = Date.now();
+  _shiftWrapAnchored(dy);
+  console.log('main: wrap', { dir, wraps: _wraps, cameraY: camera.position.y });
+  if (_triggers) _triggers.fire(dir > 0 ? 'wrapUp' : 'wrapDown');
+}
+
+// Height the wrap thresholds are measured from: the start, moved one wrap distance per wrap
+function _wrapAnchorY() {
+  return scene.userData.initialHelixRef.cameraPos.y + _wraps * helix.wrapDistanceRings * helix.pitch;
+}
+
+// Move what is tied to the wrap anchor by dy metres
+function _shiftWrapAnchored(dy) {
+  if (!dy) return;
+  if (interactivePlane) interactivePlane.position.y += dy;
+  const pose = scene.userData.initialPanelPose;
+  if (pose) pose.pos.y += dy;
+  for (const pl of _interiorLights) pl.position.y += dy;
+  if (slidePuzzleInited) SlidePuzzle.shiftAnchor(dy);
+}
+
+// Mesh collision: eye height over the step under the camera, settling over a few frames so steps
+// read as steps without a hard jolt. Where no step is found (a gap, a missing mesh) the helix
+// height is used for that frame.
+function _stepHeight(helixY, dt) {
+  const c = _tower.collision;
+  const feet = camera.position.y - _eyeHeight;
+  const floorY = _collider.floorBelow(camera.position.x, feet + c.maxStep, camera.position.z, c.maxStep + c.maxDrop);
+  if (floorY === null) return helixY;
+  const target = floorY + _eyeHeight;
+  return camera.position.y + (target - camera.position.y) * (1 - Math.exp(-STEP_SETTLE * dt));
+}
+
+// Collision mode from the tower file. 'mesh' ray casts against the tower and stair meshes (the base
+// tower and every streamed copy); it falls back to the helix when there is no step under
+// the start pose, e.g. a tower file whose models do not match its calibration.
+function _setupCollision(startPos) {
+  _collider = null;
+  const c = _tower.collision;
+  if (c.mode !== 'mesh') { console.log('main: helix collision (tower file)'); return; }
+  scene.updateMatrixWorld(true);
+  const towers = _stream ? _stream.objects() : [towerRef];
+  const collider = createStairCollider({ floors: towers, walls: towers });
+  let eye = c.eyeHeight;
+  if (eye === null) {
+    const floorY = collider.floorBelow(startPos.x, startPos.y, startPos.z, MAX_EYE_HEIGHT);
+    eye = floorY === null ? null : startPos.y - floorY;
+  }
+  if (!(eye > 0)) { console.warn('main: no step under the start position, using helix collision'); return; }
+  _collider = collider;
+  _eyeHeight = eye;
+  helix.offsetY = 0;
+  console.log('main: mesh collision', collider.counts(), { eyeHeight: Number(eye.toFixed(3)) });
 }
 
 // --- Model Loading ---
+// through the entry's loading screen: the tower and stairs are critical
 function loadGLTF(url) {
-  return new Promise((resolve, reject) => {
-    const loader = new GLTFLoader();
-    loader.load(url, (g) => resolve(g.scene), undefined, reject);
-  });
+  const loader = new GLTFLoader(_loading.manager);
+  return _loading.load(loader, url, { critical: true }).then((g) => g.scene);
 }
 
 function centerAndFloor(obj) {
@@ -755,65 +829,154 @@ function computeHelixLastThetaFromPosition(worldPos) {
   return wrappedTheta + k * (2 * Math.PI);
 }
 
-// Request a scene switch from painting -> philosophy: fade to black, unload, load philosophy.js, fade back in
-async function requestSceneSwitch() {
-  try {
-    if (window._sceneSwitchInProgress) return;
-    window._sceneSwitchInProgress = true;
-    console.log('requestSceneSwitch: starting transition to philosophy');
-    const overlay = document.createElement('div');
-    overlay.style.position = 'fixed'; overlay.style.left = '0'; overlay.style.top = '0'; overlay.style.width = '100%'; overlay.style.height = '100%';
-    overlay.style.background = '#000000'; overlay.style.opacity = '0'; overlay.style.zIndex = 99999999; overlay.style.pointerEvents = 'none';
-    document.body.appendChild(overlay);
-
-    // fade to black over ~5s
-    await new Promise((res) => {
-      const dur = 5000; const start = performance.now();
-      function step(now){ const t = Math.min(1, (now-start)/dur); overlay.style.opacity = String(t); if (t<1) requestAnimationFrame(step); else res(); }
-      requestAnimationFrame(step);
-    });
+// Initialize the puzzle behind the interactive plane (first upward wrap, or a restored save).
+// The puzzle is NOT auto-shown; the user must press F to start.
+// restore: saved stairs section ({ board, ... }) to rebuild instead of shuffling.
+let _slidePuzzleIniting = false;
+function initSlidePuzzle(restore) {
+  if (!SlidePuzzle || !SlidePuzzle.init || !interactivePlane || slidePuzzleInited || _slidePuzzleIniting) return;
+  _slidePuzzleIniting = true;
+  const anchorPos = interactivePlane.getWorldPosition(new THREE.Vector3());
+  const anchorQuat = interactivePlane.getWorldQuaternion(new THREE.Quaternion());
+  SlidePuzzle.init(scene, camera, controls, anchorPos, anchorQuat, { board: restore ? restore.board : null })
+    .then(()=>{
+      slidePuzzleInited = true;
+      if (restore) return;
+      try { SceneDirector.set('wrapDownCount', 0); } catch(e) {}
+      const cue = _levelCue('painting', 'enter', 'narrator:on-painting-scene-load');
+      try { const started = NarratorManager.play(cue); console.log('NarratorManager.play', cue, started); } catch(e) { console.warn('Narrator on-painting-scene-load failed', e); }
+    })
+    .catch((err)=>{ console.warn('SlidePuzzle.init failed', err); })
+    .finally(()=>{ _slidePuzzleIniting = false; });
+}
 
-    // best-effort dispose of scene resources
-    try {
-      if (scene) {
-        scene.traverse((o) => {
-          try { if (o.geometry) o.geometry.dispose(); } catch(e) {}
-          try { if (o.material) { if (Array.isArray(o.material)) o.material.forEach(m=>m.dispose && m.dispose()); else o.material.dispose && o.material.dispose(); } } catch(e) {}
-        });
-      }
-    } catch(e) { console.warn('dispose during switch failed', e); }
+// Restore progress from a save snapshot (intro overlay "Continue").
+// Philosophy saves switch straight to that level; stairs saves re-apply the progress flags and
+// rebuild the puzzle with its saved board once the tower and interactive plane are placed.
+// Continue can be pressed while main() still awaits the manifest and tower file: the flags are
+// then held until initLighting() has reset them for the new entry.
+let _pendingStairsRestore = null;
+let _pendingPuzzleRestore = null;
+function restoreProgress(snapshot) {
+  if (!snapshot) return;
+  console.log('main: restoring saved progress', snapshot);
+  if (snapshot.scene === 'philosophy') {
+    SceneDirector.switchTo('philosophy', { fadeOutMs: 600, holdMs: 300, fadeInMs: 800, enterOptions: { restore: snapshot.philosophy || {} } });
+    return;
+  }
+  const st = snapshot.stairs || {};
+  if (!scene) { _pendingStairsRestore = st; return; }
+  _restoreStairs(st);
+}
 
-    // remove canvas to avoid conflicts (philosophy will create its own renderer)
-    try { const canvas = document.querySelector('#myCanvas'); if (canvas && canvas.parentNode) canvas.parentNode.removeChild(canvas); } catch(e) {}
+function _restoreStairs(st) {
+  SceneDirector.set('wrapDownCount', st.wrapDownCount || 0);
+  SceneDirector.set('wrapCountingPaused', !!st.wrapCountingPaused);
+  if (st.puzzleSolved) SceneDirector.set('puzzleSolved', true);
+  if (!st.puzzleInited) return;
+  if (interactivePlane) initSlidePuzzle(st);
+  else _pendingPuzzleRestore = st;
+}
 
-    // dynamically load philosophy module as a script so it self-initializes
-    await new Promise((res, rej) => {
-      try {
-        const s = document.createElement('script'); s.type = 'module'; s.src = './philosophy.js';
-        s.onload = () => { console.log('philosophy.js loaded'); res(); };
-        s.onerror = (err) => { console.warn('philosophy.js failed to load', err); rej(err); };
-        document.head.appendChild(s);
-      } catch (e) { rej(e); }
-    });
+// Narrator cue for a manifest level (narrator.enter / narrator.repeat), or the built-in default
+function _levelCue(levelId, which, fallback) {
+  const lvl = LevelManifest.get(levelId);
+  const cue = lvl && lvl.narrator ? lvl.narrator[which] : null;
+  return cue || fallback;
+}
 
-    // brief pause then fade back in quickly
-    await new Promise(r=>setTimeout(r, 300));
-    await new Promise((res) => {
-      const dur = 800; const start = performance.now();
-      function step(now){ const t = Math.min(1, (now-start)/dur); overlay.style.opacity = String(1 - t); if (t<1) requestAnimationFrame(step); else res(); }
-      requestAnimationFrame(step);
-    });
-    try { if (overlay && overlay.parentNode) overlay.parentNode.removeChild(overlay); } catch(e) {}
-    window._sceneSwitchInProgress = false;
-  } catch (e) { console.warn('requestSceneSwitch error', e); window._sceneSwitchInProgress = false; }
+// The stairs story (stairs_story.js), unless the manifest's stairs entry authors its own triggers
+function _stairsTriggers(level) {
+  if (level && Array.isArray(level.triggers)) return level.triggers;
+  return stairsTriggers(_levelCue('stairs', 'repeat', DEFAULT_REPEAT_CUES));
+}
+
+// Request a scene switch to the next scene in the level manifest (philosophy): slow fade to black,
+// then the director exits the stairs scene (unloadStairsScene), imports that module and fades back in
+function requestSceneSwitch() {
+  if (SceneDirector.isTransitioning()) return;
+  const next = LevelManifest.nextScene('stairs');
+  const target = next ? next.scene : 'philosophy';
+  // usually already warm since the puzzle was solved; otherwise it gets the fade to catch up
+  if (next) Preloader.warm(next.id);
+  console.log('requestSceneSwitch: starting transition to', target);
+  return SceneDirector.switchTo(target, { color: '#000000', fadeOutMs: 5000, holdMs: 300, fadeInMs: 800, enterOptions: next ? { levelId: next.id } : undefined });
+}
+
+// Director restart hook (pause menu "Restart level"): back to the start pose on the stairs and,
+// while the painting is still unsolved, a fresh shuffle of the puzzle
+function restartStairsScene() {
+  const init = scene && scene.userData ? scene.userData.initialHelixRef : null;
+  if (!init) return;
+  camera.position.copy(init.cameraPos);
+  camera.quaternion.copy(init.cameraQuat);
+  helix.lastTheta = init.theta;
+  helix._lastWrapTime = Date.now();
+  // back to the first wrap anchor; the stream re-fills around the start on the next frame
+  _shiftWrapAnchored(-_wraps * helix.wrapDistanceRings * helix.pitch);
+  _wraps = 0;
+  if (_triggers) _triggers.reset();
+  if (_locomotion) _locomotion.reset();
+  InputMap.clearState();
+  if (slidePuzzleInited && SceneDirector.get('puzzleState') !== 'finished') SlidePuzzle.reshuffle();
+  console.log('main: stairs level restarted');
+}
+
+// Director exit hook: full unload of the stairs scene. Once the director drops this scene from its
+// loop no frame runs updateStairsScene() again; here we remove every listener main.js and
+// slide_puzzle.js registered, dispose geometries/materials/textures (HDR sky included) and the
+// renderer, report anything the renderer still tracks, and release the canvas.
+function unloadStairsScene() {
+  const listenersRemoved = _listeners.removeAll();
+  try { if (_detachTouchLook) _detachTouchLook(); } catch(e) {}
+  _detachTouchLook = null;
+  try { if (_wrapReadyTimer) clearTimeout(_wrapReadyTimer); } catch(e) {}
+  _wrapReadyTimer = null;
+  try { if (controls) { controls.unlock(); controls.dispose(); } } catch(e) { console.warn('controls dispose failed', e); }
+  try { if (SlidePuzzle && SlidePuzzle.dispose) SlidePuzzle.dispose(); } catch(e) { console.warn('SlidePuzzle dispose failed', e); }
+  try { const st = document.getElementById('lk_interaction_style'); if (st && st.parentNode) st.parentNode.removeChild(st); } catch(e) {}
+  try { DevPanel.close(); } catch(e) {}
+  StatsOverlay.detach();
+  if (_qualityOff) { _qualityOff(); _qualityOff = null; }
+  if (_loading) { _loading.dispose(); _loading = null; }
+  if (_stepOff) { _stepOff(); _stepOff = null; }
+  _locomotion = null;
+  if (_triggers) { _triggers.dispose(); _triggers = null; }
+  if (_interactables) { _interactables.dispose(); _interactables = null; }
+
+  let counts = null;
+  try {
+    counts = disposeObject3D(scene);
+    // the headlamp group is parented to the camera, which is not part of the scene graph
+    if (camera) disposeObject3D(camera);
+  } catch(e) { console.warn('dispose during switch failed', e); }
+  reportRendererLeaks(renderer, 'stairs');
+  try { if (renderer) renderer.dispose(); } catch(e) { console.warn('renderer dispose failed', e); }
+
+  // remove canvas to avoid conflicts (philosophy will create its own renderer)
+  try { const canvas = document.querySelector('#myCanvas'); if (canvas && canvas.parentNode) canvas.parentNode.removeChild(canvas); } catch(e) {}
+  console.log('main: stairs scene unloaded', { listenersRemoved, disposed: counts });
+
+  InputMap.clearState();
+  scene = null; camera = null; renderer = null; controls = null;
+  stairsRef = null; towerRef = null; stairsGroup = null; _collider = null;
+  _interiorLights = []; _stream = null; _wraps = 0;
+  topLimiter = null; bottomLimiter = null;
+  interactivePlane = null;
+  slidePuzzleInited = false;
+  _pendingStairsRestore = null;
+  _pendingPuzzleRestore = null;
 }
 
 async function placeTowerAndStairs() {
+  const targetScene = scene;
   try {
     const [tower, stairs] = await Promise.all([
-      loadGLTF('./assets/models/TowerSection.glb'),
-      loadGLTF('./assets/models/SpiralStairs.glb'),
+      loadGLTF(_tower.models.tower),
+      loadGLTF(_tower.models.stairs),
     ]);
+    // the scene may have been unloaded while the models were downloading
+    if (scene !== targetScene) { disposeObject3D(tower); disposeObject3D(stairs); return; }
 
   const { size: towerSize }  = centerAndFloor(tower);
   // We no longer auto-center & scale stairs; keep its authored proportions.
@@ -828,54 +991,49 @@ async function placeTowerAndStairs() {
   towerRef.add(stairsGroup);
 
   // Use first data entry to set base transform before cloning others
-  const first = stairsSegmentsData[0];
+  const first = _tower.stairs[0];
   stairs.position.set(first.position.x, first.position.y, first.position.z);
   stairs.rotation.set(first.rotation.x, first.rotation.y, first.rotation.z);
   stairs.scale.set(first.scale.x, first.scale.y, first.scale.z);
   stairs.updateMatrixWorld(true);
   stairsGroup.add(stairs);
   stairsRef = stairs;
-  rebuildStairsFromData(stairsRef, stairsSegmentsData); // clones go into group
+  rebuildStairsFromData(stairsRef, _tower.stairs); // clones go into group
 
   // Initialize helix center + radius using tower bounding box if available
   try {
     const tbox = new THREE.Box3().setFromObject(towerRef);
   const center = tbox.getCenter(new THREE.Vector3());
-  helix.center.set(center.x, center.z);
-  // keep hardcoded helix.radius; do not overwrite from tower bounds
+  // helix centre from the tower file, or the tower bounds when the file leaves it null
+  if (_tower.helix.center) helix.center.set(_tower.helix.center.x, _tower.helix.center.z);
+  else helix.center.set(center.x, center.z);
   // set baseY to lowest stair Y
-    const ys = stairsSegmentsData.map(d => d.position.y);
+    const ys = _tower.stairs.map(d => d.position.y);
   helix.baseY = Math.min(...ys);
-  // Elevate the helix so the whole winding is shifted up by the measured delta (~0.3525)
-  helix.baseY += 0.3525;
+  // Elevate the helix so the winding lines up with the steps (measured per tower)
+  helix.baseY += _tower.helix.baseYOffset;
     // Place several interior point lights along the tower Y extent to evenly light the inside
     try {
       const tmin = tbox.min.y, tmax = tbox.max.y;
-      const lights = 3;
-      for (let i=0;i<lights;i++) {
-        const y = tmin + (i / (lights - 1 || 1)) * (tmax - tmin);
-        // stronger interior points for better visibility
-        const pl = new THREE.PointLight(0xfff6e0, 0.9, 28, 2);
+      const li = _tower.lighting.interior;
+      for (let i=0;i<li.count;i++) {
+        const y = tmin + (i / (li.count - 1 || 1)) * (tmax - tmin);
+        const pl = new THREE.PointLight(li.color, li.intensity, li.distance, li.decay);
         pl.position.set(center.x, y, center.z);
         scene.add(pl);
+        _interiorLights.push(pl);
       }
   // interior lights added
     } catch (e) {
       console.warn('Failed to add interior lights', e);
     }
-      // Add clones following the pattern: ±3 and ±6 rings from the base tower
+      // Tower copies stacked stream.periodRings apart, recycled around the player as they climb
+      // (filled around the start pose below, then every frame in updateStairsScene)
       try {
-        const d1 = 3 * helix.pitch;
-        const d2 = 6 * helix.pitch;
-        const clones = [ -d2, -d1, d1, d2 ];
-        for (const dy of clones) {
-          const c = tower.clone(true);
-          c.position.copy(tower.position);
-          c.position.y += dy;
-          scene.add(c);
-        }
+        const st = _tower.stream;
+        _stream = createTowerStream({ base: towerRef, periodY: st.periodRings * helix.pitch, above: st.above, below: st.below, originY: _tower.start.position.y });
       } catch (e) {
-        console.warn('Failed to create tower clones', e);
+        console.warn('Failed to create the tower stream', e);
       }
   } catch (e) {
     console.warn('Helix init failed, using defaults', e);
@@ -894,6 +1052,8 @@ async function placeTowerAndStairs() {
     cameraPos: startPose.pos.clone(),
     cameraQuat: startPose.quat.clone()
   };
+  if (_stream) _stream.update(startPose.pos.y);
+  _setupCollision(startPose.pos);
   // mark models as loaded so constraints and wrap logic can safely run
   scene.userData.modelsLoaded = true;
   // create the interactive plane marker and UI
@@ -913,10 +1073,8 @@ async function placeTowerAndStairs() {
   interactivePlane.position.copy(target);
   // orient plane to face the initial camera position
   interactivePlane.lookAt(init.cameraPos);
-  // DO NOT make the interactive plane visible yet. It should only appear when
-  // the puzzle module has finished preparing textures so the panel doesn't show
-  // empty/placeholder content. slide_puzzle.init will set scene.userData.puzzleLoaded
-  // and updateInteraction() will flip visibility when that flag appears.
+  // The plane itself stays hidden; its outline appears when the player aims at it once the
+  // puzzle behind it is ready (puzzleState 'loaded'), see the painting interactable below.
       // scale plane based on initial distance so it appears consistent
       const d = init.cameraPos.distanceTo(interactivePlane.position);
       const scale = Math.max(0.5, Math.min(1.6, d * 0.35));
@@ -925,66 +1083,122 @@ async function placeTowerAndStairs() {
   try { scene.userData.initialPanelPose = { pos: interactivePlane.getWorldPosition(new THREE.Vector3()), quat: interactivePlane.getWorldQuaternion(new THREE.Quaternion()) }; } catch(e) {}
   // provide a camera reference for the puzzle module
   try { scene.userData.camera = camera; } catch(e) {}
+  // the panel's prompt shows once the puzzle behind it is ready (and not while it is being solved)
+  _interactables.register({
+    id: 'painting', object: interactivePlane,
+    maxDist: INTERACT_MAX_DIST,
+    label: 'puzzle.recover',
+    enabled: () => SceneDirector.get('puzzleState') === 'loaded',
+    activate: () => SceneDirector.push('painting')
+  });
     }
   } catch (e) {
     console.warn('Interactive plane setup failed', e);
   }
   // Do not initialize the slide puzzle now; initialize on upward wrap or when the player explicitly activates it.
+  // (A save restored from the intro overlay before the tower finished loading is applied here.)
+  if (_pendingPuzzleRestore) { initSlidePuzzle(_pendingPuzzleRestore); _pendingPuzzleRestore = null; }
+  // ?dev=1: live calibration panel (dev_panel.js)
+  if (DevPanel.isEnabled()) {
+    DevPanel.open({
+      scene, camera, renderer, helix, tower: _tower, lights: _interiorLights,
+      interact: { maxDist: INTERACT_MAX_DIST },
+      getInteractivePlane: () => interactivePlane,
+      onHelixChange: () => { if (_stream) _stream.setPeriod(_tower.stream.periodRings * helix.pitch); },
+      // switching writes the tower's collision.mode, so Export keeps it
+      collision: {
+        get: () => (_collider ? 'mesh' : 'helix'),
+        set: (mode) => { _tower.collision.mode = mode; _setupCollision(camera.position); }
+      }
+    });
+  }
   // Now that models are loaded and initial references are stored, allow wrap to occur after a brief delay
-  setTimeout(() => {
+  _wrapReadyTimer = setTimeout(() => {
+    _wrapReadyTimer = null;
     scene.userData.wrapReady = true;
     scene.userData.wrapReadyAt = Date.now();
-    // refresh initial cameraPos anchor so enabling wrap doesn't immediately teleport
+    // refresh initial cameraPos anchor so enabling wrap doesn't immediately count one
     if (scene.userData.initialHelixRef && camera) scene.userData.initialHelixRef.cameraPos = camera.position.clone();
   }, 1000);
 
   } catch (e) {
     console.error('Model load error', e);
   }
+  // every critical asset of the entry has settled (a failed model shows the loading screen's error)
+  if (_loading && scene === targetScene) _loading.finish();
 }
 
 // --- Animation Loop ---
-// Create one shared clock for the animation loop
-const __globalClock = new THREE.Clock();
-function animate() {
-  function loop() {
-    requestAnimationFrame(loop);
-    const dt = __globalClock.getDelta();
-    updateMovement(dt);
-    // keep limiter planes aligned with camera
-    updateLimiterPlanes();
+// Per-frame update, driven by SceneDirector's shared loop (the slide puzzle's own update hook
+// runs after this one while the 'painting' mode is pushed)
+function updateStairsScene(dt) {
+  // main() is still waiting for the tower calibration
+  if (!renderer) return;
+  updateMovement(dt);
+  // steps follow the angle actually walked on the helix (not the keys held), so sliding along a
+  // wall or standing against the band edge is silent
+  if (_locomotion && helix.enabled && scene.userData.modelsLoaded) {
+    _locomotion.update(dt, { theta: helix.lastTheta, radius: helix.radius, running: InputMap.isDown('run') });
+  }
+  DevPanel.update();
+  if (_stream && scene.userData.modelsLoaded) _stream.update(camera.position.y);
+  if (_triggers && scene.userData.modelsLoaded) _triggers.update(dt);
+  // keep limiter planes aligned with camera
+  updateLimiterPlanes();
   // update interactive UI state
-  try { updateInteraction(); } catch (e) { /* ignore */ }
-  // update slide puzzle if active
-  try { if (SlidePuzzle && SlidePuzzle.update) SlidePuzzle.update(dt); } catch(e) {}
-    renderer.render(scene, camera);
-    // update stats overlay if present
-    try {
-      if (window._statsOverlay && window._statsOverlay.update) window._statsOverlay.update(dt);
-    } catch (e) {
-      // ignore
-    }
+  try { updateInteraction(dt); } catch (e) { /* ignore */ }
+  // with the painting solved only the climb is left: fetch the next scene meanwhile (preloader.js)
+  if (SceneDirector.get('puzzleSolved') && LevelManifest.isLoaded() && !Preloader.isWarming()) {
+    const next = LevelManifest.nextScene('stairs');
+    if (next) Preloader.warm(next.id);
   }
-  loop();
+  // head-bob only moves the rendered view, never the position movement and collision work from
+  const bob = _locomotion ? _locomotion.bob() : 0;
+  camera.position.y += bob;
+  renderer.render(scene, camera);
+  camera.position.y -= bob;
 }
 
 // --- Main Entry ---
 
-function main() {
+// Director enter hook for the stairs scene
+async function main() {
   // Create initial intro overlay before anything else so the user sees the title/prompt
   try { createIntroOverlay(); } catch(e) {}
+  // progress overlay under the title until the tower is in (loading_screen.js)
+  _loading = createLoadingScreen('stairs');
+  // tower calibration: the stairs level may name its own tower file in the manifest
+  await LevelManifest.load();
+  const level = LevelManifest.get('stairs');
+  _tower = await TowerConfig.load((level && level.tower) || undefined);
+  _applyTowerCalibration(_tower);
   initScene();
   initControls();
   initLighting();
+  // a Continue pressed during the awaits above
+  if (_pendingStairsRestore) { _restoreStairs(_pendingStairsRestore); _pendingStairsRestore = null; }
   setupMovement();
-  window.addEventListener('resize', onWindowResize);
+  _interactables = createInteractables({ occluders: () => (_stream ? _stream.objects() : (towerRef ? [towerRef] : [])) });
+  _triggers = createTriggers(_stairsTriggers(level), {
+    level: 'stairs',
+    probes: {
+      heightRings: () => (scene.userData.initialHelixRef ? (camera.position.y - _wrapAnchorY()) / helix.pitch : null),
+      lookingAt: (id) => !!_interactables && _interactables.isLookingAt(id),
+      // without a manifest: an upward wrap once the painting is solved
+      complete: (event) => event === 'wrapUp' && (!!SceneDirector.get('puzzleSolved') || SceneDirector.get('puzzleState') === 'finished')
+    },
+    actions: { init: { painting: () => initSlidePuzzle() }, switchScene: requestSceneSwitch }
+  });
+  _listeners.add(window, 'resize', onWindowResize);
   // Create limiter planes that follow the camera
   createLimiterPlanes();
   // Attempt to load an HDR sky at assets/textures/Skybox.hdr and apply as environment/background
   async function _tryLoadHDRSky() {
+    const targetScene = scene;
     try {
-      const rgbe = new RGBELoader();
-      const data = await new Promise((resolve, reject)=> rgbe.load('./assets/skyboxes/Skybox.hdr', resolve, undefined, reject));
+      const rgbe = new RGBELoader(_loading.manager);
+      const data = await _loading.load(rgbe, './assets/skyboxes/Skybox.hdr', { fallback: true });
+      if (scene !== targetScene) { data.dispose(); return; }
       // PMREM generator to get an env map suitable for PBR
       const pmrem = new THREE.PMREMGenerator(renderer);
       pmrem.compileEquirectangularShader();
@@ -994,6 +1208,8 @@ function main() {
     const env = pmrem.fromEquirectangular(data).texture;
     try { if (env && env.center) env.center.set(0.5, 0.5); if (env) env.rotation = Math.PI; } catch(e) {}
   // use HDR as background only to avoid the cost of a full environment for PBR
+  // (a previous background texture would otherwise leak)
+  try { if (scene.background && scene.background.isTexture) scene.background.dispose(); } catch(e) {}
   scene.background = env;
       data.dispose();
       pmrem.dispose();
@@ -1003,12 +1219,31 @@ function main() {
     }
   }
   _tryLoadHDRSky().catch(()=>{});
-  // Removed runtime tweaking and capture handlers - scene runs with embedded calibration only.
-
-  // Removed in-page FPS/stats overlay per project standardization.
+  // puzzle sounds, so the first tile move is not silent
+  for (const key of ['painting:move-tile', 'painting:scene-victory']) _loading.track(AudioManager.preload(key), AudioManager.src(key));
+  // Calibration comes from the tower file; ?dev=1 opens the calibration panel once the tower is placed.
+  // F3 (or ?stats=1) shows the performance overlay (stats_overlay.js), attached in initScene().
 
-  animate();
   placeTowerAndStairs();
 }
 
-main();
+// Director hooks, so the manifest can also lazy-load this module like any other level
+export { main as enter, unloadStairsScene as exit, updateStairsScene as update, restartStairsScene as restart };
+
+SceneDirector.register('stairs', { enter: main, exit: unloadStairsScene, update: updateStairsScene, restart: restartStairsScene });
+InputMap.init();
+PauseMenu.init();
+GamepadInput.init();
+TouchInput.init();
+StatsOverlay.init();
+QualityManager.init();
+// Later scenes come from assets/levels.json; without a manifest only the built-in chain is known
+LevelManifest.load().then((data) => {
+  if (data) LevelManifest.registerScenes();
+  else if (!SceneDirector.has('philosophy')) SceneDirector.registerModule('philosophy', './philosophy.js');
+});
+// Standalone entry: when no scene owns the page yet (the usual index.html start), start the stairs here
+if (!SceneDirector.getCurrentName() && !SceneDirector.isTransitioning()) {
+  SceneDirector.start();
+  SceneDirector.switchTo('stairs', { fadeOutMs: 0, holdMs: 0, fadeInMs: 0 });
+}
@@ -0,0 +1,86 @@
+// MotionPrefs: the reduced-motion / photosensitivity preference every full-screen effect checks.
+// When on: scene fades are capped to a short dip (SceneDirector.switchTo), the philosophy scene
+// drops the film grain and the bloom pulse and turns its sky layers slowly, the end sequence fades
+// slowly to a muted off-white instead of flashing to white.
+// Until the player picks a value in the pause menu (stored in localStorage as 'lk_reduced_motion')
+// it follows the OS setting (prefers-reduced-motion), including live changes.
+// The walking head-bob (locomotion.js) has its own pause-menu toggle ('lk_head_bob', on by default);
+// reduced motion turns it off whatever that toggle says.
+
+const STORAGE_KEY = 'lk_reduced_motion';
+const BOB_STORAGE_KEY = 'lk_head_bob';
+const QUERY = '(prefers-reduced-motion: reduce)';
+const MAX_FADE_MS = 300; // longest scene fade while reduced
+const SKY_SPEED = 0.25; // sky layer rotation multiplier while reduced
+
+export const MotionPrefs = (function(){
+  let _stored = undefined; // true / false (player's choice) or null (follow the OS)
+  let _bob = true; // head-bob toggle
+  let _media = null;
+  const _listeners = new Set();
+
+  function _load() {
+    if (_stored !== undefined) return;
+    _stored = null;
+    try {
+      const raw = window.localStorage && window.localStorage.getItem(STORAGE_KEY);
+      if (raw === '1' || raw === '0') _stored = raw === '1';
+      if (window.localStorage && window.localStorage.getItem(BOB_STORAGE_KEY) === '0') _bob = false;
+    } catch(e) { console.warn('MotionPrefs: failed to read preference', e); }
+    try {
+      _media = window.matchMedia ? window.matchMedia(QUERY) : null;
+      if (_media && typeof _media.addEventListener === 'function') _media.addEventListener('change', () => { if (_stored === null) _notify(); });
+    } catch(e) { _media = null; }
+  }
+
+  function _notify() {
+    const on = MotionPrefs.isReduced();
+    for (const fn of Array.from(_listeners)) { try { fn(on); } catch(e) { console.warn('MotionPrefs: listener failed', e); } }
+  }
+
+  return {
+    isReduced() {
+      _load();
+      if (_stored !== null) return _stored;
+      return !!(_media && _media.matches);
+    },
+
+    // Store the player's choice (null forgets it and follows the OS again)
+    setReduced(on) {
+      _load();
+      _stored = (on === null) ? null : !!on;
+      try {
+        if (window.localStorage) {
+          if (_stored === null) window.localStorage.removeItem(STORAGE_KEY);
+          else window.localStorage.setItem(STORAGE_KEY, _stored ? '1' : '0');
+        }
+      } catch(e) { console.warn('MotionPrefs: failed to save preference', e); }
+      console.log('MotionPrefs: reduced motion', this.isReduced());
+      _notify();
+    },
+
+    // Call `fn(reduced)` whenever the effective value changes. Returns a remover.
+    onChange(fn) { _listeners.add(fn); return () => _listeners.delete(fn); },
+
+    // Head-bob while walking: the player's toggle, and never with reduced motion
+    headBob() { return this.headBobSetting() && !this.isReduced(); },
+
+    headBobSetting() { _load(); return _bob; },
+
+    setHeadBob(on) {
+      _load();
+      _bob = !!on;
+      try { if (window.localStorage) window.localStorage.setItem(BOB_STORAGE_KEY, _bob ? '1' : '0'); } catch(e) { console.warn('MotionPrefs: failed to save preference', e); }
+      console.log('MotionPrefs: head bob', _bob);
+      _notify();
+    },
+
+    // Fade duration to use for a full-screen fade of `ms` milliseconds
+    fadeMs(ms) { return this.isReduced() ? Math.min(ms, MAX_FADE_MS) : ms; },
+
+    // Multiplier for ambient rotation (sky layers)
+    skySpeed() { return this.isReduced() ? SKY_SPEED : 1; },
+
+    _state() { return { stored: _stored, os: !!(_media && _media.matches), reduced: this.isReduced(), headBob: _bob }; }
+  };
+})();
@@ -1,5 +1,8 @@
 // NarratorManager: ensures at most one narrator clip from assets/audio/narrator/ plays at a time.
 // Narrator audio may overlap with sound effects (they use a different manager).
+// Every clip is captioned through Subtitles (assets/captions/<locale>/<name>.vtt).
+
+import { Subtitles } from './subtitles.js';
 
 const NARRATOR_MAP = {
   'narrator:on-game-start': './assets/audio/narrator/on-game-start.m4a',
@@ -12,6 +15,7 @@ const NARRATOR_MAP = {
 
 let _currentAudio = null;
 let _currentKey = null;
+let _pausedByUser = false;
 
 export const NarratorManager = {
   // Attempt to play narrator clip. Will only start if no other narrator clip is playing.
@@ -33,16 +37,18 @@ export const NarratorManager = {
       }
       const a = new Audio(NARRATOR_MAP[key]);
       a.preload = 'auto';
-      a.addEventListener('ended', () => { try { _currentAudio = null; _currentKey = null; } catch(e){} });
+      a.addEventListener('ended', () => { try { _currentAudio = null; _currentKey = null; } catch(e){} Subtitles.detach(a); });
+      Subtitles.attach(a, key);
       const p = a.play();
       if (p && typeof p.then === 'function') {
-        p.then(() => { _currentAudio = a; _currentKey = key; }).catch((err) => { console.warn('NarratorManager: play rejected', err); _currentAudio = null; _currentKey = null; });
+        p.then(() => { _currentAudio = a; _currentKey = key; }).catch((err) => { console.warn('NarratorManager: play rejected', err); _currentAudio = null; _currentKey = null; Subtitles.detach(a); });
       } else {
         _currentAudio = a; _currentKey = key;
       }
       return true;
     } catch (e) {
       console.warn('NarratorManager: play failed', e);
+      Subtitles.detach();
       _currentAudio = null; _currentKey = null;
       return false;
     }
@@ -50,7 +56,29 @@ export const NarratorManager = {
 
   stopAll() {
     try { if (_currentAudio) { _currentAudio.pause(); _currentAudio.currentTime = 0; } } catch(e) {}
-    _currentAudio = null; _currentKey = null;
+    Subtitles.detach();
+    _currentAudio = null; _currentKey = null; _pausedByUser = false;
+  },
+
+  // Pause the current clip (pause menu); resume() continues it from the same position
+  pause() {
+    try { if (_currentAudio && !_currentAudio.paused && !_currentAudio.ended) { _currentAudio.pause(); _pausedByUser = true; } } catch(e) {}
+  },
+
+  resume() {
+    if (!_pausedByUser) return;
+    _pausedByUser = false;
+    try {
+      const p = _currentAudio ? _currentAudio.play() : null;
+      if (p && typeof p.then === 'function') p.catch((err) => console.warn('NarratorManager: resume rejected', err));
+    } catch(e) { console.warn('NarratorManager: resume failed', e); }
+  },
+
+  // Add or override a NARRATOR_MAP entry (the level manifest registers its cues here)
+  register(key, src) {
+    if (!key || !src) return false;
+    NARRATOR_MAP[key] = src;
+    return true;
   },
 
   _state() { return { key: _currentKey, isPlaying: !!_currentAudio && !_currentAudio.ended }; }
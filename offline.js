@@ -0,0 +1,109 @@
+// Offline: registers the service worker (sw.js) that precaches the game for play without a network,
+// and shows an update prompt when a new version has been deployed and installed in the background.
+// "Update" activates the waiting worker and reloads the page once it has taken over; "Later" keeps
+// playing the cached version (the prompt comes back on the next page load).
+// Service workers need a secure context: https, or http://localhost from a local static server.
+// ?sw=off unregisters the worker and deletes its caches (development: edits show up on reload).
+
+import { I18n } from './i18n.js';
+
+const SW_URL = './sw.js';
+const CACHE_PREFIX = 'lk-';
+
+export const Offline = (function(){
+  let _inited = false;
+  let _reg = null;
+  let _prompt = null;
+  let _reloading = false;
+  let _version = null; // VERSION of the controlling worker
+
+  function _supported() {
+    return typeof navigator !== 'undefined' && 'serviceWorker' in navigator && (typeof isSecureContext === 'undefined' || isSecureContext);
+  }
+
+  async function _disable() {
+    try {
+      for (const reg of await navigator.serviceWorker.getRegistrations()) await reg.unregister();
+      if (typeof caches !== 'undefined') {
+        for (const key of await caches.keys()) if (key.startsWith(CACHE_PREFIX)) await caches.delete(key);
+      }
+      console.log('Offline: service worker removed (?sw=off)');
+    } catch(e) { console.warn('Offline: failed to remove the service worker', e); }
+  }
+
+  function _hidePrompt() {
+    try { if (_prompt && _prompt.parentNode) _prompt.parentNode.removeChild(_prompt); } catch(e) {}
+    _prompt = null;
+  }
+
+  function _showPrompt(worker) {
+    if (_prompt) return;
+    const el = document.createElement('div'); el.id = 'lk_update_prompt';
+    el.setAttribute('role', 'alertdialog'); el.setAttribute('aria-live', 'polite');
+    el.style.position = 'fixed'; el.style.left = '16px'; el.style.bottom = '16px'; el.style.zIndex = 100007; el.style.display = 'flex'; el.style.alignItems = 'center'; el.style.gap = '12px'; el.style.padding = '10px 14px'; el.style.borderRadius = '10px'; el.style.background = 'rgba(0,0,0,0.8)'; el.style.color = '#fff'; el.style.fontFamily = 'Cinzel, serif'; el.style.fontSize = '15px'; el.style.pointerEvents = 'auto';
+    const text = document.createElement('span');
+    I18n.bind(text, 'offline.update');
+    const makeButton = (key, onClick) => {
+      const b = document.createElement('button'); b.type = 'button';
+      I18n.bind(b, key);
+      b.style.fontFamily = 'Cinzel, serif'; b.style.fontWeight = '700'; b.style.fontSize = '15px'; b.style.padding = '6px 14px'; b.style.border = '1px solid rgba(255,255,255,0.6)'; b.style.borderRadius = '8px'; b.style.background = 'rgba(0,0,0,0.55)'; b.style.color = '#fff'; b.style.cursor = 'pointer';
+      b.addEventListener('click', (ev) => { ev.stopPropagation(); onClick(); });
+      return b;
+    };
+    const update = makeButton('offline.reload', () => {
+      _reloading = true;
+      worker.postMessage({ type: 'skipWaiting' });
+      _hidePrompt();
+    });
+    const later = makeButton('offline.later', _hidePrompt);
+    el.appendChild(text); el.appendChild(update); el.appendChild(later);
+    // keep clicks off the canvas (pointer lock) and the title overlay
+    el.addEventListener('click', (ev) => ev.stopPropagation());
+    document.body.appendChild(el);
+    _prompt = el;
+    console.log('Offline: update ready');
+  }
+
+  // A worker that finished installing while another one controls the page is an update
+  function _watch(worker) {
+    if (!worker) return;
+    const check = () => { if (worker.state === 'installed' && navigator.serviceWorker.controller) _showPrompt(worker); };
+    check();
+    worker.addEventListener('statechange', check);
+  }
+
+  async function _register() {
+    try {
+      _reg = await navigator.serviceWorker.register(SW_URL);
+      if (_reg.waiting) _watch(_reg.waiting);
+      _reg.addEventListener('updatefound', () => _watch(_reg.installing));
+      // a classroom machine that comes back online picks up a deploy without a reload
+      window.addEventListener('online', () => { try { _reg.update(); } catch(e) {} });
+    } catch(e) { console.warn('Offline: service worker registration failed', e); }
+  }
+
+  return {
+    // Register the service worker once per page
+    init() {
+      if (_inited) return;
+      _inited = true;
+      if (!_supported()) { console.log('Offline: service workers unavailable (needs https or localhost)'); return; }
+      let off = false;
+      try { off = new URLSearchParams(location.search).get('sw') === 'off'; } catch(e) {}
+      if (off) { _disable(); return; }
+      navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (_reloading) location.reload();
+      });
+      navigator.serviceWorker.addEventListener('message', (ev) => {
+        if (ev.data && ev.data.type === 'version') _version = ev.data.version;
+      });
+      if (navigator.serviceWorker.controller) navigator.serviceWorker.controller.postMessage({ type: 'version' });
+      _register();
+    },
+
+    // True when a service worker serves this page (the game can be reloaded without a network)
+    isActive() { return _supported() && !!navigator.serviceWorker.controller; },
+
+    _state() { return { registered: !!_reg, active: this.isActive(), version: _version, updatePrompt: !!_prompt }; }
+  };
+})();
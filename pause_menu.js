@@ -0,0 +1,219 @@
+// PauseMenu: Escape (or losing pointer lock mid-game) opens a pause overlay that freezes the
+// SceneDirector loop and pauses BackgroundMusic and NarratorManager.
+// Options: Continuar (resume, re-locking the pointer when the pause came from an unlock),
+// Reiniciar nivel (SceneDirector.restart(): reshuffle the puzzle / reload the constellation),
+// Controles (InputMap key rebinding panel), the subtitle toggle and size (Subtitles), the
+// reduced-motion and head-bob toggles (MotionPrefs), the quality setting (QualityManager: automatic or a pinned
+// tier) and Salir al título (switch back to the first manifest scene, which shows the title overlay).
+// The pause key is the InputMap 'pause' action (Escape, or Start on a gamepad, whose D-pad / A / B
+// also navigate the menu).
+//
+// Scenes that release pointer lock on purpose (entering the puzzle, the end sequence) call
+// expectUnlock() first so that unlock does not open the menu.
+
+import { SceneDirector } from './scene_director.js';
+import { AudioManager, BackgroundMusic } from './audio_manager.js';
+import { NarratorManager } from './narrator_manager.js';
+import { LevelManifest } from './level_manifest.js';
+import { InputMap } from './input_map.js';
+import { GamepadInput } from './gamepad_input.js';
+import { I18n } from './i18n.js';
+import { Subtitles } from './subtitles.js';
+import { MotionPrefs } from './motion_prefs.js';
+import { QualityManager } from './quality_manager.js';
+
+export const PauseMenu = (function(){
+  let _inited = false;
+  let _el = null;
+  let _open = false;
+  let _openedAt = 0;
+  let _musicWasPlaying = false;
+  let _expectUnlock = false;
+  let _lastLockTarget = null; // element that held pointer lock before the pause
+  let _relockOnResume = false;
+  let _subtitleButtons = null; // { subs, subSize }
+  let _motionButton = null;
+  let _bobButton = null;
+  let _qualityButton = null;
+
+  function _canPause() {
+    if (!SceneDirector.getCurrentName() || SceneDirector.isTransitioning()) return false;
+    // the title overlay is its own "paused" state
+    if (document.getElementById('lk_intro_overlay')) return false;
+    return true;
+  }
+
+  function _build() {
+    const wrap = document.createElement('div'); wrap.id = 'lk_pause_menu';
+    wrap.setAttribute('role', 'dialog'); wrap.setAttribute('aria-modal', 'true'); I18n.bind(wrap, 'action.pause', 'aria-label');
+    wrap.style.position = 'fixed'; wrap.style.left = '0'; wrap.style.top = '0'; wrap.style.width = '100%'; wrap.style.height = '100%'; wrap.style.display = 'none'; wrap.style.alignItems = 'center'; wrap.style.justifyContent = 'center'; wrap.style.flexDirection = 'column'; wrap.style.gap = '14px'; wrap.style.background = 'rgba(0,0,0,0.6)'; wrap.style.zIndex = 10000000; wrap.style.pointerEvents = 'auto';
+
+    const title = document.createElement('div');
+    I18n.bind(title, 'pause.title');
+    title.style.fontFamily = 'Cinzel, serif'; title.style.fontWeight = '900'; title.style.fontSize = '56px'; title.style.letterSpacing = '4px'; title.style.color = '#ffffff'; title.style.textShadow = '0 6px 18px rgba(0,0,0,0.6)'; title.style.marginBottom = '12px';
+    wrap.appendChild(title);
+
+    // key = null: the caller fills in the label (labels with a changing value)
+    function makeButton(key, onClick) {
+      const b = document.createElement('button');
+      if (key) I18n.bind(b, key);
+      b.style.fontFamily = 'Cinzel, serif'; b.style.fontWeight = '700'; b.style.fontSize = '20px'; b.style.padding = '10px 22px'; b.style.minWidth = '260px'; b.style.border = '1px solid rgba(255,255,255,0.6)'; b.style.borderRadius = '10px'; b.style.background = 'rgba(0,0,0,0.55)'; b.style.color = '#fff'; b.style.cursor = 'pointer';
+      b.addEventListener('click', (ev) => { ev.stopPropagation(); onClick(); });
+      wrap.appendChild(b);
+      return b;
+    }
+    makeButton('pause.resume', () => PauseMenu.close());
+    makeButton('pause.restart', () => PauseMenu.restartLevel());
+    makeButton('pause.controls', () => InputMap.openSettings());
+    const subs = makeButton(null, () => { Subtitles.setEnabled(!Subtitles.isEnabled()); _labelSubtitleButtons(); });
+    const subSize = makeButton(null, () => {
+      const sizes = Subtitles.sizes();
+      Subtitles.setSize(sizes[(sizes.indexOf(Subtitles.getSize()) + 1) % sizes.length]);
+      _labelSubtitleButtons();
+    });
+    _subtitleButtons = { subs, subSize };
+    _labelSubtitleButtons();
+    I18n.onChange(_labelSubtitleButtons);
+    _motionButton = makeButton(null, () => MotionPrefs.setReduced(!MotionPrefs.isReduced()));
+    _bobButton = makeButton(null, () => MotionPrefs.setHeadBob(!MotionPrefs.headBobSetting()));
+    _labelMotionButton();
+    I18n.onChange(_labelMotionButton);
+    MotionPrefs.onChange(_labelMotionButton);
+    _qualityButton = makeButton(null, () => {
+      const modes = QualityManager.modes();
+      QualityManager.setMode(modes[(modes.indexOf(QualityManager.getMode()) + 1) % modes.length]);
+      _labelQualityButton();
+    });
+    _labelQualityButton();
+    I18n.onChange(_labelQualityButton);
+    QualityManager.onChange(_labelQualityButton);
+    makeButton('pause.quit', () => PauseMenu.quitToTitle());
+    document.body.appendChild(wrap);
+    return wrap;
+  }
+
+  function _labelSubtitleButtons() {
+    if (!_subtitleButtons) return;
+    _subtitleButtons.subs.textContent = I18n.t('pause.subtitles', { state: I18n.t(Subtitles.isEnabled() ? 'common.yes' : 'common.no') });
+    _subtitleButtons.subSize.textContent = I18n.t('pause.subtitleSize', { size: I18n.t('subtitles.size.' + Subtitles.getSize()) });
+  }
+
+  function _labelMotionButton() {
+    if (!_motionButton) return;
+    _motionButton.textContent = I18n.t('pause.reducedMotion', { state: I18n.t(MotionPrefs.isReduced() ? 'common.yes' : 'common.no') });
+    // reduced motion always turns the head-bob off
+    _bobButton.textContent = I18n.t('pause.headBob', { state: I18n.t(MotionPrefs.headBob() ? 'common.yes' : 'common.no') });
+    _bobButton.disabled = MotionPrefs.isReduced();
+    _bobButton.style.opacity = _bobButton.disabled ? '0.5' : '1';
+  }
+
+  function _labelQualityButton() {
+    if (!_qualityButton) return;
+    const mode = QualityManager.getMode();
+    const quality = mode === 'auto' ? I18n.t('quality.auto', { tier: I18n.t('quality.' + QualityManager.getTier()) }) : I18n.t('quality.' + mode);
+    _qualityButton.textContent = I18n.t('pause.quality', { quality });
+  }
+
+  function _hide() {
+    if (_el) _el.style.display = 'none';
+    _open = false;
+  }
+
+  function _resumeAudio() {
+    try { if (_musicWasPlaying) BackgroundMusic.play(); } catch(e) {}
+    try { NarratorManager.resume(); } catch(e) {}
+    _musicWasPlaying = false;
+  }
+
+  function _onKeyDown(e) {
+    // gamepad: D-pad / A pick an option, B resumes
+    if (_open && GamepadInput.menuNav(e, _el, () => PauseMenu.close())) { e.preventDefault(); return; }
+    if (!InputMap.matches(e, 'pause')) return;
+    // the Escape press that released pointer lock may also arrive as a keydown right after
+    if (_open && performance.now() - _openedAt < 250) return;
+    e.preventDefault();
+    PauseMenu.toggle();
+  }
+
+  function _onPointerLockChange() {
+    const el = document.pointerLockElement;
+    if (el) { _lastLockTarget = el; return; }
+    if (_expectUnlock) { _expectUnlock = false; return; }
+    if (!_open && _canPause()) PauseMenu.open({ fromUnlock: true });
+  }
+
+  return {
+    // Attach the global Escape / pointer-lock listeners once per page.
+    init() {
+      if (_inited) return;
+      _inited = true;
+      window.addEventListener('keydown', _onKeyDown);
+      document.addEventListener('pointerlockchange', _onPointerLockChange);
+    },
+
+    // The next pointer unlock is intentional and must not pause the game.
+    expectUnlock() { if (document.pointerLockElement) _expectUnlock = true; },
+
+    open(opts = {}) {
+      if (_open || !_canPause()) return false;
+      if (!_el) _el = _build();
+      _open = true; _openedAt = performance.now();
+      _relockOnResume = !!opts.fromUnlock;
+      SceneDirector.pause();
+      try { _musicWasPlaying = BackgroundMusic.isPlaying(); if (_musicWasPlaying) BackgroundMusic.pause(); } catch(e) {}
+      try { NarratorManager.pause(); } catch(e) {}
+      _el.style.display = 'flex';
+      try { const first = _el.querySelector('button'); if (first) first.focus(); } catch(e) {}
+      console.log('PauseMenu: paused', SceneDirector.getTopName());
+      return true;
+    },
+
+    close() {
+      if (!_open) return;
+      _hide();
+      SceneDirector.resume();
+      _resumeAudio();
+      // a click is a user gesture, so the pointer can be re-locked straight away
+      if (_relockOnResume && _lastLockTarget && _lastLockTarget.isConnected) {
+        try {
+          const p = _lastLockTarget.requestPointerLock();
+          if (p && typeof p.catch === 'function') p.catch(() => {});
+        } catch(e) {}
+      }
+      _relockOnResume = false;
+    },
+
+    toggle() { if (_open) this.close(); else this.open(); },
+
+    isOpen() { return _open; },
+
+    async restartLevel() {
+      if (!_open) return;
+      _hide();
+      SceneDirector.resume();
+      _resumeAudio();
+      const ok = await SceneDirector.restart();
+      if (!ok) console.warn('PauseMenu: current scene has no restart hook', SceneDirector.getTopName());
+    },
+
+    async quitToTitle() {
+      if (!_open) return;
+      // a page that started on a later level (philosophy.html) has not registered the title scene yet
+      await LevelManifest.load();
+      LevelManifest.registerScenes();
+      const first = LevelManifest.levels()[0];
+      const title = first ? first.scene : 'stairs';
+      if (!SceneDirector.has(title) && title === 'stairs') SceneDirector.registerModule('stairs', './main.js');
+      if (!SceneDirector.has(title)) { console.warn('PauseMenu: no title scene to quit to', title); return; }
+      _hide();
+      _musicWasPlaying = false;
+      try { NarratorManager.stopAll(); } catch(e) {}
+      try { AudioManager.stopAll(); } catch(e) {}
+      try { BackgroundMusic.stop(); } catch(e) {}
+      SceneDirector.resume();
+      const ok = await SceneDirector.switchTo(title, { color: '#000000', fadeOutMs: 600, holdMs: 200, fadeInMs: 600 });
+      // the director has put the previous scene back (or kept it) by now
+      if (!ok) console.warn('PauseMenu: quit to title failed, staying in', SceneDirector.getTopName());
+    }
+  };
+})();
@@ -3,20 +3,32 @@
 // - If model loading fails, shows a clear placeholder
 // - Simple free-flight movement (WASD, Q/E vertical, Shift to speed)
 
-import * as THREE from 'https://unpkg.com/three@0.164.1/build/three.module.js';
-import { GLTFLoader } from 'https://unpkg.com/three@0.164.1/examples/jsm/loaders/GLTFLoader.js';
-import { PointerLockControls } from 'https://unpkg.com/three@0.164.1/examples/jsm/controls/PointerLockControls.js';
-import { OrbitControls } from 'https://unpkg.com/three@0.164.1/examples/jsm/controls/OrbitControls.js';
-import { EffectComposer } from 'https://unpkg.com/three@0.164.1/examples/jsm/postprocessing/EffectComposer.js';
-import { RenderPass } from 'https://unpkg.com/three@0.164.1/examples/jsm/postprocessing/RenderPass.js';
-import { UnrealBloomPass } from 'https://unpkg.com/three@0.164.1/examples/jsm/postprocessing/UnrealBloomPass.js';
-import { FilmPass } from 'https://unpkg.com/three@0.164.1/examples/jsm/postprocessing/FilmPass.js';
+import * as THREE from './vendor/three/build/three.module.js';
+import { GLTFLoader } from './vendor/three/examples/jsm/loaders/GLTFLoader.js';
+import { PointerLockControls } from './vendor/three/examples/jsm/controls/PointerLockControls.js';
+import { OrbitControls } from './vendor/three/examples/jsm/controls/OrbitControls.js';
+import { EffectComposer } from './vendor/three/examples/jsm/postprocessing/EffectComposer.js';
+import { RenderPass } from './vendor/three/examples/jsm/postprocessing/RenderPass.js';
+import { UnrealBloomPass } from './vendor/three/examples/jsm/postprocessing/UnrealBloomPass.js';
+import { FilmPass } from './vendor/three/examples/jsm/postprocessing/FilmPass.js';
 import { ConstellationGame } from './constellation.js';
 import { AudioManager, BackgroundMusic } from './audio_manager.js';
 import { NarratorManager } from './narrator_manager.js';
-
-let scene, camera, renderer, clock;
-let _freeKeys = {};
+import { SceneDirector } from './scene_director.js';
+import { SaveManager } from './save_manager.js';
+import { LevelManifest } from './level_manifest.js';
+import { PauseMenu } from './pause_menu.js';
+import { InputMap } from './input_map.js';
+import { GamepadInput } from './gamepad_input.js';
+import { TouchInput } from './touch_input.js';
+import { MotionPrefs } from './motion_prefs.js';
+import { StatsOverlay } from './stats_overlay.js';
+import { QualityManager } from './quality_manager.js';
+import { createLoadingScreen } from './loading_screen.js';
+import { Preloader } from './preloader.js';
+import { disposeObject3D } from './disposal.js';
+
+let scene, camera, renderer;
 const _freeSpeed = 4.2;
 // Movement controller state
 let _movementController = null; // { update(dt), dispose(), center: Vector3, radius, minY, maxY }
@@ -24,12 +36,26 @@ let _movementController = null; // { update(dt), dispose(), center: Vector3, rad
 let composer = null;
 let bgLayers = [];
 let bgComposerReady = false;
-let bgClock = null;
+let _bgTime = 0; // seconds of unpaused play, advanced by update(dt) so it stops while paused
 let bgComposerPasses = null;
 let controls = null; // PointerLockControls instance (single shared)
+let _restore = null; // saved { levelId, matchedEdges } to resume from (see SaveManager)
+let _startLevelId = null; // manifest level id to begin at (index.html?start=<id>, main.js scene switch)
+let _sequenceTimer = null; // pending start of the constellation sequence
+let _restartLevel = null; // reloads the current constellation level (pause menu "Restart level")
+let _loadGen = 0; // bumped by every level load, restart and exit: an older load stops at its next await
+let _ownsCanvas = false; // true when init() created the canvas (exit() removes it again)
+let _quality = null; // QualityManager.settings() in use
+let _qualityOff = null; // removes the QualityManager listener
+let _keyLight = null; // shadow-casting directional light
+let _particles = null; // near-camera star field (THREE.Points)
+let _loading = null; // createLoadingScreen(): movement waits for the tower model (or its placeholder)
 
 // initialize the scene
-function init() {
+function init(opts = {}) {
+  _restore = opts.restore || null;
+  _startLevelId = opts.levelId || null;
+  _loading = createLoadingScreen('philosophy');
   scene = new THREE.Scene();
   scene.background = new THREE.Color(0x111118);
 
@@ -40,21 +66,24 @@ function init() {
 
   // reuse host canvas if present
   const existingCanvas = document.querySelector('#myCanvas');
-  if (existingCanvas) renderer = new THREE.WebGLRenderer({ canvas: existingCanvas, antialias: true });
-  else renderer = new THREE.WebGLRenderer({ antialias: true });
+  // pixel ratio, antialiasing and the rest of the expensive settings follow the quality tier
+  _quality = QualityManager.settings();
+  if (existingCanvas) renderer = new THREE.WebGLRenderer({ canvas: existingCanvas, antialias: _quality.antialias });
+  else renderer = new THREE.WebGLRenderer({ antialias: _quality.antialias });
 
-  renderer.setPixelRatio(window.devicePixelRatio);
+  renderer.setPixelRatio(QualityManager.pixelRatio());
   renderer.setSize(window.innerWidth, window.innerHeight);
   try { renderer.shadowMap.enabled = true; renderer.shadowMap.type = THREE.PCFSoftShadowMap; } catch (e) {}
   if (!existingCanvas) document.body.appendChild(renderer.domElement);
+  _ownsCanvas = !existingCanvas;
 
-  clock = new THREE.Clock();
-  // Background clock (shared)
-  bgClock = new THREE.Clock();
+  // Background time (shared by sky layers and the bloom pulse)
+  _bgTime = 0;
+  bgLayers = [];
 
   // Setup a moving layered skybox and postprocessing composer (non-blocking)
   try {
-    const texLoader = new THREE.TextureLoader();
+    const texLoader = new THREE.TextureLoader(_loading.manager);
     const definitions = [
       { file: './assets/skyboxes/philosophy/layer1.png', radius: 1000, speed: 0.00001, opacity: 1.0, blending: THREE.NormalBlending },
       // lower brightness of layer 2 slightly
@@ -72,15 +101,18 @@ function init() {
       composer.addPass(bloom);
       composer.addPass(film);
       bgComposerReady = true;
-      bgComposerPasses = { bloom };
+      bgComposerPasses = { bloom, film };
+      bloom.enabled = _quality.bloom;
     } catch (e) { console.warn('philosophy: composer setup failed', e); }
+    // per-pass times in the performance overlay (F3)
+    StatsOverlay.attach({ renderer, composer });
 
-    // Layered skydomes: use the (older) flat layer filenames if present
-    // We'll fall back to the assets/skyboxes/philosophy/X files if they exist.
+    // Layered skydomes from assets/skyboxes/philosophy/<layer>/ (loaded through the loading screen,
+    // which reports any that fail)
     const defs = [
-      { file: './assets/skyboxes/philosophy/0/layer00.png', radius: 1000, speed: 0.0001, opacity: 1.0, blending: THREE.NormalBlending },
+      { file: './assets/skyboxes/philosophy/0/layer01.jpg', radius: 1000, speed: 0.0001, opacity: 1.0, blending: THREE.NormalBlending },
       { file: './assets/skyboxes/philosophy/1/layer10.png', radius: 990,  speed: 0.0003, opacity: 0.8, blending: THREE.AdditiveBlending },
-      { file: './assets/skyboxes/philosophy/2/layer20.png', radius: 980,  speed: 0.00006, opacity: 0.8, blending: THREE.AdditiveBlending },
+      { file: './assets/skyboxes/philosophy/2/layer21.png', radius: 980,  speed: 0.00006, opacity: 0.8, blending: THREE.AdditiveBlending },
       { file: './assets/skyboxes/philosophy/3/layer30.png', radius: 970,  speed: 0.0005,  opacity: 0.6, blending: THREE.AdditiveBlending },
     ];
     defs.forEach((def, i) => {
@@ -88,9 +120,9 @@ function init() {
         const tex = texLoader.load(def.file, () => {}, undefined, () => {});
         try { tex.mapping = THREE.EquirectangularReflectionMapping; } catch(e) {}
         const mat = new THREE.MeshBasicMaterial({ map: tex, side: THREE.BackSide, transparent: true, opacity: def.opacity, blending: def.blending, depthWrite: false });
-        const geo = new THREE.SphereGeometry(def.radius, 64, 64);
+        const geo = new THREE.SphereGeometry(def.radius, _quality.skySegments, _quality.skySegments);
         const mesh = new THREE.Mesh(geo, mat);
-        mesh.userData = { speed: def.speed, offset: i * 0.15 };
+        mesh.userData = { speed: def.speed, offset: i * 0.15, radius: def.radius };
         mesh.rotation.x = 0.2 + Math.random() * 0.1;
         scene.add(mesh);
         bgLayers.push(mesh);
@@ -100,7 +132,7 @@ function init() {
     // Particle field (near camera shimmer)
     try {
       const starGeo = new THREE.BufferGeometry();
-      const starCount = 1000;
+      const starCount = 1000; // the high tier's count; lower tiers draw a prefix (setDrawRange)
       const positions = new Float32Array(starCount * 3);
       const colors = new Float32Array(starCount * 3);
       const color = new THREE.Color();
@@ -118,7 +150,9 @@ function init() {
       starGeo.setAttribute('color', new THREE.BufferAttribute(colors, 3));
       const starMat = new THREE.PointsMaterial({ size: 0.4, vertexColors: true, transparent: true, opacity: 0.8, blending: THREE.AdditiveBlending });
       const stars = new THREE.Points(starGeo, starMat);
+      starGeo.setDrawRange(0, Math.min(starCount, _quality.particles));
       scene.add(stars);
+      _particles = stars;
     } catch (e) { console.warn('philosophy: star field failed', e); }
 
     // Gradient dome
@@ -134,8 +168,10 @@ function init() {
   // lighting
   const dir = new THREE.DirectionalLight(0xffffff, 1.8);
   dir.position.set(6, 10, 6);
-  try { dir.castShadow = true; dir.shadow.mapSize.set(2048, 2048); } catch (e) {}
+  try { dir.castShadow = true; dir.shadow.mapSize.set(_quality.shadowMapSize, _quality.shadowMapSize); } catch (e) {}
   scene.add(dir);
+  _keyLight = dir;
+  _qualityOff = QualityManager.onChange(_applyQuality);
 
   const fill = new THREE.DirectionalLight(0xfff6e0, 0.9);
   fill.position.set(-6, 6, -4);
@@ -147,67 +183,88 @@ function init() {
   // ground plane removed per user request (keeps scene unobstructed beneath tower)
 
   window.addEventListener('resize', onWindowResize);
-  window.addEventListener('keydown', (e) => { _freeKeys[e.code] = true; });
-  window.addEventListener('keyup', (e) => { _freeKeys[e.code] = false; });
 
   // Initialize a single PointerLockControls instance (like in main.js/painting.js)
   try {
     controls = new PointerLockControls(camera, renderer.domElement);
-    renderer.domElement.addEventListener('click', () => {
-      try { controls.lock(); } catch (e) {}
-    });
+    renderer.domElement.addEventListener('click', _onCanvasClick);
     controls.addEventListener('lock', () => console.log('philosophy: pointer locked'));
     controls.addEventListener('unlock', () => console.log('philosophy: pointer unlocked'));
   } catch (e) { console.warn('philosophy: pointer lock init failed', e); }
 
   // Keybinding: press L to log current camera pose (position + quaternion) for easy anchoring
-  window.addEventListener('keydown', (e) => {
-    if (e.code === 'KeyL') {
-      try {
-        console.log('philosophy: camera pose (L):', { pos: camera.position.clone(), quat: camera.quaternion.clone() });
-      } catch (err) {}
-    }
-  });
+  window.addEventListener('keydown', _onPoseLogKey);
 
-  // attempt to load the model
-  initModel();
+  // attempt to load the model; the loading screen closes once it (or the placeholder) is placed
+  const loading = _loading;
+  initModel().finally(() => loading.finish());
+  for (const key of ['philosophy:on-level-start', 'philosophy:on-star-link']) loading.track(AudioManager.preload(key), AudioManager.src(key));
 
   // Initialize constellation minigame at skybox distance. This uses
   // the star assets in ./assets/vectors and displays gameplay in the sky.
   try {
     // small delay to ensure renderer and camera exist
-    setTimeout(() => {
+    const targetScene = scene;
+    _sequenceTimer = setTimeout(() => {
+      _sequenceTimer = null;
       try {
         // Load level list from assets/constellations and start sequence
         (async function startSequence() {
           const levelFiles = await fetchLevelList();
-          let idx = 0;
+          // saves name the manifest entry, so a constellation that fails to fetch does not shift them
+          // (snapshots written before levelId stored a levelIndex into this list)
+          const restoreId = _restore && (_restore.levelId || (levelFiles[_restore.levelIndex] || {}).id);
+          const startId = _restore ? restoreId : _startLevelId;
+          const idx = startId ? Math.max(0, levelFiles.findIndex(l => l.id === startId)) : 0;
           let cg = null;
           async function loadLevel(i) {
+            // exit() may have run while a level was loading or its victory image was showing
+            if (scene !== targetScene) return;
+            const gen = ++_loadGen;
             if (cg) { try { cg.dispose(); } catch(e) {} }
             if (i >= levelFiles.length) { console.log('philosophy: all constellation levels complete'); await runEndSequence(); return; }
             const entry = levelFiles[i];
+            // set before the await so a restart during the fetch reloads this level, not the previous one
+            _restartLevel = () => loadLevel(i);
+            // edges already linked in this level when resuming a save; consumed once
+            const restoredEdges = (_restore && restoreId === entry.id && Array.isArray(_restore.matchedEdges)) ? _restore.matchedEdges : [];
+            _restore = null;
+            // the whole section: drops what an older snapshot kept there (levelIndex)
+            try { SaveManager.checkpoint({ scene: 'philosophy', philosophy: { levelId: entry.id, matchedEdges: restoredEdges } }, { replace: ['philosophy'] }); } catch(e) {}
             console.log('philosophy: loading constellation', entry.json);
-            const data = await fetch(entry.json).then(r=>r.json()).catch(()=>null);
+            const data = await Preloader.json(entry.json); // warmed by the stairs scene when it could
+            // exited, or restarted / moved on meanwhile: that newer load owns the level now
+            if (scene !== targetScene || gen !== _loadGen) return;
             cg = new ConstellationGame(scene, camera, renderer, { radius: 900 });
             try { AudioManager.play('philosophy:on-level-start'); } catch(e) {}
-            try { if (BackgroundMusic && typeof BackgroundMusic.playFor === 'function') BackgroundMusic.playFor('philosophy:main'); } catch(e) {}
+            try { if (BackgroundMusic && typeof BackgroundMusic.playFor === 'function') BackgroundMusic.playFor(entry.music || 'philosophy:main'); } catch(e) {}
             if (data) {
               cg.sample = { image: entry.png, stars: data.stars || [], edges: data.edges || [], shooting: data.shooting || [] };
             } else {
               cg.sample = { image: entry.png, stars: [], edges: [], shooting: [] };
             }
             cg.creationMode = false;
-            cg.load(cg.sample);
+            cg.onProgress = function() {
+              try { SaveManager.checkpoint({ philosophy: { levelId: entry.id, matchedEdges: Array.from(cg.matchedEdges) } }); } catch(e) {}
+            };
             window._constellationGame = cg;
             // when level completes, show the png for 5s then fade and load next
             cg.onComplete = async function() {
+          if (gen !== _loadGen) return;
           await showLevelImageThenFade(entry.png, 5000, 800, 0.22);
+          // a restart during the victory image replaces this level instead of advancing it
+          if (gen !== _loadGen) return;
           // clear drawn lines now that the victory image finished fading out
           try { if (cg && typeof cg.clearAllLines === 'function') cg.clearAllLines(); } catch(e) { /* non-fatal */ }
           // load next level once fade completes
           await loadLevel(i+1);
             };
+            await cg.load(cg.sample);
+            // the newer load already disposed this game
+            if (gen !== _loadGen) return;
+            if (restoredEdges.length) cg.restoreMatchedEdges(restoredEdges);
+            // everything the stairs scene warmed has been picked up by now
+            Preloader.release();
           }
           // start first level
           loadLevel(idx);
@@ -216,15 +273,18 @@ function init() {
     }, 400);
   } catch (e) { console.warn('philosophy: constellation setup failed', e); }
 
-  // helper: fetch list of level json/png pairs sorted by filename
+  // helper: constellation levels in order. The level manifest (assets/levels.json) lists them;
+  // without it fall back to the known files in assets/constellations
   async function fetchLevelList() {
-    // pre-known folder; list files via fetch isn't possible without server side listing, so use hard-coded discovery
-    // We'll attempt sequential basenames: 00_*, 01_*, etc. Fall back to known files in assets/constellations
+    await LevelManifest.load();
     const base = './assets/constellations/';
-    const candidates = [
-      { json: base + '00_ursa_minor.json', png: base + '00_ursa_minor.png' },
-      { json: base + '01_cassiopeia.json', png: base + '01_cassiopeia.png' }
-    ];
+    const levels = LevelManifest.levelsForScene('philosophy');
+    const candidates = levels.length
+      ? levels.map(l => ({ id: l.id, json: l.assets && l.assets.json, png: l.assets && l.assets.png, music: l.music }))
+      : [
+        { id: 'ursa_minor', json: base + '00_ursa_minor.json', png: base + '00_ursa_minor.png' },
+        { id: 'cassiopeia', json: base + '01_cassiopeia.json', png: base + '01_cassiopeia.png' }
+      ];
     // Filter to those that actually fetch successfully
     const out = [];
     for (const c of candidates) {
@@ -258,34 +318,75 @@ function init() {
     });
   }
 
-  // Called when all levels complete: fade in a success skybox image, then fade the whole screen to white.
+  // Called when all levels complete: fade in a success skybox image, then fade the whole screen to white
+  // (reduced motion: a slow fade to a muted off-white instead of the quick white flash).
   async function runEndSequence() {
     try {
-      try { NarratorManager.play('narrator:on-game-end-fade-white'); } catch(e) {}
+      const ending = LevelManifest.ending();
+      try { NarratorManager.play((ending && ending.narrator) || 'narrator:on-game-end-fade-white'); } catch(e) {}
+      // the game is complete: nothing left to continue
+      try { SaveManager.clear(); } catch(e) {}
       // Simple fade-to-white overlay (no success skybox image)
       const whiteDiv = document.createElement('div');
       whiteDiv.style.position = 'fixed'; whiteDiv.style.left = '0'; whiteDiv.style.top = '0';
+      whiteDiv.id = 'lk_end_white';
       whiteDiv.style.width = '100%'; whiteDiv.style.height = '100%'; whiteDiv.style.pointerEvents = 'none';
-      whiteDiv.style.background = '#ffffff'; whiteDiv.style.opacity = '0'; whiteDiv.style.zIndex = 9999999;
+      const reduced = MotionPrefs.isReduced();
+      whiteDiv.style.background = reduced ? '#d9d5cc' : '#ffffff'; whiteDiv.style.opacity = '0'; whiteDiv.style.zIndex = 9999999;
       document.body.appendChild(whiteDiv);
-      // fade to white over ~1.2s
+      // fade to white over ~1.2s; with reduced motion a slower 4s fade to a muted off-white
       await new Promise((res) => {
-        const dur = 1200; const start = performance.now();
+        const dur = reduced ? 4000 : 1200; const start = performance.now();
         function step(now){ const t = Math.min(1, (now-start)/dur); whiteDiv.style.opacity = String(t); if (t<1) requestAnimationFrame(step); else res(); }
         requestAnimationFrame(step);
       });
-      // final state: white screen. Optionally unlock pointer out.
-      try { if (controls && typeof controls.unlock === 'function') controls.unlock(); } catch(e) {}
+      // final state: white (or off-white) screen. Optionally unlock pointer out.
+      try { if (controls && typeof controls.unlock === 'function') { PauseMenu.expectUnlock(); controls.unlock(); } } catch(e) {}
     } catch (e) { console.warn('philosophy: end sequence failed', e); }
   }
 }
 
+// touch play turns the sky by dragging (ConstellationGame) instead of pointer lock
+function _onCanvasClick() { if (TouchInput.isActive()) return; try { if (controls) controls.lock(); } catch (e) {} }
+function _onPoseLogKey(e) {
+  if (InputMap.matches(e, 'logPose')) {
+    try {
+      console.log('philosophy: camera pose (L):', { pos: camera.position.clone(), quat: camera.quaternion.clone() });
+    } catch (err) {}
+  }
+}
+
 function onWindowResize() {
   camera.aspect = window.innerWidth / window.innerHeight;
   camera.updateProjectionMatrix();
   renderer.setSize(window.innerWidth, window.innerHeight);
 }
 
+// QualityManager listener: re-apply everything except antialiasing (fixed when the renderer is made)
+function _applyQuality(q) {
+  if (!renderer) return;
+  _quality = q;
+  renderer.setPixelRatio(QualityManager.pixelRatio());
+  renderer.setSize(window.innerWidth, window.innerHeight);
+  try { if (composer) { composer.setPixelRatio(QualityManager.pixelRatio()); composer.setSize(window.innerWidth, window.innerHeight); } } catch (e) {}
+  if (bgComposerPasses && bgComposerPasses.bloom) bgComposerPasses.bloom.enabled = q.bloom;
+  // film.enabled is set every frame in update() (it also depends on reduced motion)
+  try {
+    if (_keyLight && _keyLight.shadow.mapSize.x !== q.shadowMapSize) {
+      _keyLight.shadow.mapSize.set(q.shadowMapSize, q.shadowMapSize);
+      // the shadow map is reallocated at the new size on the next render
+      if (_keyLight.shadow.map) { _keyLight.shadow.map.dispose(); _keyLight.shadow.map = null; }
+    }
+  } catch (e) {}
+  for (const layer of bgLayers) {
+    const p = layer.geometry && layer.geometry.parameters;
+    if (!p || p.widthSegments === q.skySegments) continue;
+    layer.geometry.dispose();
+    layer.geometry = new THREE.SphereGeometry(layer.userData.radius, q.skySegments, q.skySegments);
+  }
+  try { if (_particles) _particles.geometry.setDrawRange(0, Math.min(_particles.geometry.attributes.position.count, q.particles)); } catch (e) {}
+}
+
 // Layered skybox helper
 // Composes images from folders `basePath/0/`, `basePath/1/`, `basePath/2/`, `basePath/3/`
 async function applyLayeredSkybox(scene, renderer, basePath = './assets/models/skyboxes/philosophy', opts = {}) {
@@ -353,7 +454,7 @@ async function applyLayeredSkybox(scene, renderer, basePath = './assets/models/s
 
 // Try loading a set of candidate models; if none load, create a placeholder
 async function initModel() {
-  const loader = new GLTFLoader();
+  const loader = new GLTFLoader(_loading.manager);
   const candidates = [
     './assets/models/TowerTop.glb',
     './assets/models/kickelhahn_tower.glb',
@@ -361,10 +462,14 @@ async function initModel() {
     './assets/models/SpiralStairs.glb'
   ];
 
+  const targetScene = scene;
   for (const p of candidates) {
     try {
       console.log('philosophy: attempting', p);
-      const gltf = await new Promise((res, rej) => loader.load(p, res, undefined, rej));
+      // a missing candidate is expected: the next one (or the placeholder) takes over
+      const gltf = await _loading.load(loader, p, { critical: true, fallback: true });
+      // the scene may have been exited while the model was downloading
+      if (scene !== targetScene) { if (gltf && gltf.scene) disposeObject3D(gltf.scene); return; }
       if (gltf && gltf.scene) {
         placeModel(gltf.scene);
         console.log('philosophy: loaded', p);
@@ -373,6 +478,7 @@ async function initModel() {
     } catch (e) { console.warn('philosophy: load failed', p, e); }
   }
 
+  if (scene !== targetScene) return;
   console.warn('philosophy: no model loaded; creating placeholder');
   createPlaceholder();
 }
@@ -455,24 +561,46 @@ function createPlaceholder() {
   } catch(e) { console.warn('philosophy: failed to create movement controller for placeholder', e); }
 }
 
-function animate() {
-  requestAnimationFrame(animate);
-  const dt = clock.getDelta();
+// --- SceneDirector hooks ---
+// opts.restore: saved philosophy progress ({ levelId, matchedEdges }) to resume
+// opts.levelId: manifest level id to start at (ignored when restoring)
+export function enter(opts) {
+  init(opts || {});
+}
 
-  // free-flight movement: WASD + Q/E vertical + Shift speed
+// Per-frame update, driven by SceneDirector's shared loop
+export function update(dt) {
+
+  // free-flight movement: move actions (WASD), fly actions (arrows), up/down (E/Q) and run (Shift)
+  // from InputMap, plus the gamepad left stick and the touch joystick
+  // (held until the loading screen has the model in)
+  if (!_loading || _loading.isReady()) {
+    try {
+      const pad = GamepadInput.move(), joy = TouchInput.move();
+      const stick = { x: Math.max(-1, Math.min(1, pad.x + joy.x)), y: Math.max(-1, Math.min(1, pad.y + joy.y)) };
+      const held = (move, fly) => InputMap.isDown(move) || InputMap.isDown(fly);
+      const forward = held('moveForward', 'flyForward') ? 1 : (held('moveBackward', 'flyBackward') ? -1 : stick.y);
+      const right = held('moveRight', 'flyRight') ? 1 : (held('moveLeft', 'flyLeft') ? -1 : stick.x);
+      const up = InputMap.isDown('moveUp') ? 1 : (InputMap.isDown('moveDown') ? -1 : 0);
+      const speed = _freeSpeed * dt * (InputMap.isDown('run') ? 2 : 1);
+    const dir = new THREE.Vector3(); camera.getWorldDirection(dir); dir.y = 0; dir.normalize();
+    // Use dir x up to get the right-hand movement vector. The previous code used up x dir
+    // which produced an inverted left/right feel. Swapping the cross order (dir, up)
+    // flips the sign so L/R behave as expected for this level.
+    const rightVec = new THREE.Vector3(); rightVec.crossVectors(dir, camera.up).normalize();
+    camera.position.addScaledVector(dir, forward * speed);
+    camera.position.addScaledVector(rightVec, right * speed);
+      camera.position.y += up * speed;
+    } catch (e) {}
+  }
+
+  // gamepad right stick: drives the constellation reticle (A draws); whatever the reticle can't
+  // use at the edge of its box turns the camera
   try {
-    const forward = (_freeKeys.KeyW || _freeKeys.ArrowUp) ? 1 : ((_freeKeys.KeyS || _freeKeys.ArrowDown) ? -1 : 0);
-    const right = (_freeKeys.KeyD || _freeKeys.ArrowRight) ? 1 : ((_freeKeys.KeyA || _freeKeys.ArrowLeft) ? -1 : 0);
-    const up = (_freeKeys.KeyE) ? 1 : ((_freeKeys.KeyQ) ? -1 : 0);
-    const speed = _freeSpeed * dt * ((_freeKeys.ShiftLeft || _freeKeys.ShiftRight) ? 2 : 1);
-  const dir = new THREE.Vector3(); camera.getWorldDirection(dir); dir.y = 0; dir.normalize();
-  // Use dir x up to get the right-hand movement vector. The previous code used up x dir
-  // which produced an inverted left/right feel. Swapping the cross order (dir, up)
-  // flips the sign so L/R behave as expected for this level.
-  const rightVec = new THREE.Vector3(); rightVec.crossVectors(dir, camera.up).normalize();
-  camera.position.addScaledVector(dir, forward * speed);
-  camera.position.addScaledVector(rightVec, right * speed);
-    camera.position.y += up * speed;
+    const look = GamepadInput.look();
+    const cg = window._constellationGame;
+    const rest = cg ? cg.updateReticle(dt, look, GamepadInput.isButtonDown('GamepadA')) : look;
+    GamepadInput.applyLook(camera, rest.x, rest.y, dt);
   } catch (e) {}
 
   // If a movement controller exists (created when the model/platform is placed),
@@ -480,17 +608,22 @@ function animate() {
   try { if (_movementController && typeof _movementController.update === 'function') _movementController.update(dt); } catch (e) {}
   // Update background layers if present
   try {
-    const t = bgClock ? bgClock.getElapsedTime() : 0;
+    _bgTime += dt;
+    const t = _bgTime;
+    const reduced = MotionPrefs.isReduced();
+    const skySpeed = MotionPrefs.skySpeed();
     if (bgLayers && bgLayers.length) {
       bgLayers.forEach((l) => {
-        l.rotation.y += (l.userData && l.userData.speed) ? l.userData.speed : 0.00002;
-        l.rotation.z = Math.sin(t * 0.05 + ((l.userData && l.userData.offset) ? l.userData.offset : 0)) * 0.05;
+        l.rotation.y += ((l.userData && l.userData.speed) ? l.userData.speed : 0.00002) * skySpeed;
+        l.rotation.z = Math.sin(t * 0.05 * skySpeed + ((l.userData && l.userData.offset) ? l.userData.offset : 0)) * 0.05;
       });
     }
-    // pulse bloom if composer present
+    // pulse bloom if composer present (held steady in reduced-motion mode)
     if (bgComposerReady && bgComposerPasses && bgComposerPasses.bloom) {
-      try { bgComposerPasses.bloom.strength = 1.1 + Math.sin((bgClock ? bgClock.getElapsedTime() : 0) * 0.5) * 0.2; } catch(e) {}
+      try { bgComposerPasses.bloom.strength = reduced ? 1.1 : 1.1 + Math.sin(_bgTime * 0.5) * 0.2; } catch(e) {}
     }
+    // no film grain in reduced-motion mode or below the high quality tier
+    if (bgComposerPasses && bgComposerPasses.film) bgComposerPasses.film.enabled = !reduced && !!(_quality && _quality.film);
   } catch (e) {}
 
   try {
@@ -533,6 +666,50 @@ function createMovementController(cameraRef, opts = {}) {
   };
 }
 
-// start
-init();
-animate();
+export function exit() {
+  try { if (_sequenceTimer) clearTimeout(_sequenceTimer); } catch(e) {}
+  _sequenceTimer = null; _restartLevel = null; _loadGen++;
+  try { if (window._constellationGame) { window._constellationGame.dispose(); window._constellationGame = null; } } catch(e) {}
+  try { if (_movementController) { _movementController.dispose(); _movementController = null; } } catch(e) {}
+  window.removeEventListener('resize', onWindowResize);
+  window.removeEventListener('keydown', _onPoseLogKey);
+  InputMap.clearState();
+  // full teardown so another scene (Quit to title) can take over the page
+  try { if (renderer) renderer.domElement.removeEventListener('click', _onCanvasClick); } catch(e) {}
+  try { if (controls) { controls.unlock(); controls.dispose(); } } catch(e) {}
+  try { const w = document.getElementById('lk_end_white'); if (w && w.parentNode) w.parentNode.removeChild(w); } catch(e) {}
+  StatsOverlay.detach();
+  if (_qualityOff) { _qualityOff(); _qualityOff = null; }
+  if (_loading) { _loading.dispose(); _loading = null; }
+  Preloader.release();
+  try { if (composer) composer.dispose(); } catch(e) {}
+  try { disposeObject3D(scene); } catch(e) { console.warn('philosophy: dispose failed', e); }
+  try { if (renderer) renderer.dispose(); } catch(e) {}
+  try { if (_ownsCanvas && renderer && renderer.domElement.parentNode) renderer.domElement.parentNode.removeChild(renderer.domElement); } catch(e) {}
+  scene = null; camera = null; renderer = null; controls = null; composer = null;
+  bgLayers = []; bgComposerReady = false; bgComposerPasses = null; _ownsCanvas = false;
+  _keyLight = null; _particles = null;
+}
+
+// Director restart hook (pause menu "Restart level"): reload the current constellation from scratch
+export function restart() {
+  if (!_restartLevel) return;
+  _loadGen++; // the level being loaded or showing its victory image stops where it is
+  try { SaveManager.checkpoint({ philosophy: { matchedEdges: [] } }); } catch(e) {}
+  return _restartLevel();
+}
+
+InputMap.init();
+PauseMenu.init();
+GamepadInput.init();
+TouchInput.init();
+StatsOverlay.init();
+QualityManager.init();
+
+// Standalone entry (philosophy.html or index.html?start=philosophy): when no scene owns the page yet,
+// register and start here. When main.js switches to this level the director imports the hooks itself.
+if (!SceneDirector.getCurrentName() && !SceneDirector.isTransitioning()) {
+  SceneDirector.register('philosophy', { enter, exit, update, restart });
+  SceneDirector.start();
+  SceneDirector.switchTo('philosophy', { fadeOutMs: 0, holdMs: 0, fadeInMs: 0 });
+}
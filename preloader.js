@@ -0,0 +1,130 @@
+// Preloader: fetches and decodes the next scene's assets while the current scene is still playing, so
+// the switch finds them warm and the black screen between scenes stays short.
+// warm(levelId) imports the level's scene module and every asset its manifest entry lists
+// (assets/levels.json, see level_manifest.js). Asset values are a url or a list of urls and the kind
+// follows the extension:
+// - .glb / .gltf / .bin / .hdr: raw bytes through THREE.FileLoader
+// - images (.png, .jpg, .svg, ...): THREE.ImageLoader, then decoded (img.decode()) off the main thread
+// - .json: fetched and parsed; the scene reads it back with json(url)
+// - assets.sounds: AudioManager keys, buffered through AudioManager.preload()
+// While anything is warm THREE.Cache is on, so the scene's own loaders (GLTFLoader, TextureLoader,
+// RGBELoader with any LoadingManager) get the files from memory instead of the network; the loading
+// screen still counts them. The entered scene calls release() once its first level is up (and on
+// exit), which empties the cache and turns it off again so later loads are not kept for the session.
+// Failures only mean a cold load later: the scene reports them itself.
+
+import * as THREE from './vendor/three/build/three.module.js';
+import { LevelManifest } from './level_manifest.js';
+import { AudioManager } from './audio_manager.js';
+
+const BINARY_EXT = ['glb', 'gltf', 'bin', 'hdr'];
+const IMAGE_EXT = ['png', 'jpg', 'jpeg', 'webp', 'gif', 'svg'];
+
+export const Preloader = (function(){
+  let _levelId = null; // level being warmed (or warm)
+  let _promise = null; // settles once every item has
+  let _generation = 0; // bumped by release(): results of an older warm() are dropped
+  let _items = []; // [{ url, kind, ok }]
+  const _json = new Map(); // url -> Promise<data | null>
+
+  function _ext(url) {
+    const m = /\.([a-z0-9]+)(?:[?#].*)?$/i.exec(url);
+    return m ? m[1].toLowerCase() : '';
+  }
+
+  function _urls(value) {
+    if (typeof value === 'string') return [value];
+    return Array.isArray(value) ? value.filter(v => typeof v === 'string') : [];
+  }
+
+  function _warmBinary(url) {
+    const loader = new THREE.FileLoader();
+    loader.setResponseType('arraybuffer'); // what GLTFLoader / RGBELoader ask for, so the cache entry matches
+    return loader.loadAsync(url);
+  }
+
+  function _warmImage(url) {
+    return new THREE.ImageLoader().loadAsync(url).then((img) => {
+      // decode now rather than on the first frame that draws it
+      if (img && typeof img.decode === 'function') return img.decode().catch(() => {});
+    });
+  }
+
+  function _warmJSON(url) {
+    const p = fetch(url).then((r) => { if (!r.ok) throw new Error('HTTP ' + r.status); return r.json(); });
+    _json.set(url, p.catch(() => null));
+    return p;
+  }
+
+  function _warmItem(url, kind, gen) {
+    const item = { url, kind, ok: null };
+    _items.push(item);
+    let p;
+    if (kind === 'sound') p = AudioManager.preload(url);
+    else if (kind === 'binary') p = _warmBinary(url);
+    else if (kind === 'image') p = _warmImage(url);
+    else if (kind === 'json') p = _warmJSON(url);
+    else if (kind === 'module') p = import(url);
+    else p = fetch(url).then((r) => { if (!r.ok) throw new Error('HTTP ' + r.status); return r.arrayBuffer(); });
+    return p.then(
+      () => { if (gen === _generation) item.ok = true; },
+      (e) => { if (gen === _generation) { item.ok = false; console.warn('Preloader: failed to warm', url, e); } }
+    );
+  }
+
+  return {
+    // Start warming the scene and assets of manifest level `levelId`. Calling it again for the same
+    // level returns the same promise; a different level replaces the previous warm set.
+    warm(levelId) {
+      if (levelId && levelId === _levelId && _promise) return _promise;
+      const lvl = LevelManifest.get(levelId);
+      if (!lvl) return Promise.resolve(false);
+      this.release();
+      const gen = _generation;
+      _levelId = levelId;
+      THREE.Cache.enabled = true;
+      const started = performance.now();
+      const jobs = [_warmItem(lvl.module, 'module', gen)];
+      for (const [key, value] of Object.entries(lvl.assets || {})) {
+        for (const url of _urls(value)) {
+          const ext = _ext(url);
+          const kind = key === 'sounds' ? 'sound'
+            : BINARY_EXT.includes(ext) ? 'binary'
+            : IMAGE_EXT.includes(ext) ? 'image'
+            : ext === 'json' ? 'json' : 'file';
+          jobs.push(_warmItem(url, kind, gen));
+        }
+      }
+      console.log('Preloader: warming', levelId, '(' + jobs.length + ' items)');
+      _promise = Promise.all(jobs).then(() => {
+        if (gen !== _generation) return false;
+        const failed = _items.filter(i => i.ok === false).length;
+        console.log('Preloader: warm', levelId, { items: _items.length, failed, ms: Math.round(performance.now() - started) });
+        return failed === 0;
+      });
+      return _promise;
+    },
+
+    // Parsed JSON for `url`: the warmed copy when there is one, otherwise a fresh fetch. Resolves to
+    // null when the file cannot be read.
+    json(url) {
+      if (_json.has(url)) return _json.get(url);
+      return fetch(url).then((r) => r.json()).catch(() => null);
+    },
+
+    // True once warm() has run for `levelId` (or for any level), whether or not it has finished
+    isWarming(levelId) { return !!_promise && (!levelId || levelId === _levelId); },
+
+    // Drop the warm set: empty THREE.Cache and turn it off again
+    release() {
+      _generation++;
+      if (_levelId) console.log('Preloader: released', _levelId);
+      _levelId = null; _promise = null; _items = [];
+      _json.clear();
+      THREE.Cache.clear();
+      THREE.Cache.enabled = false;
+    },
+
+    _state() { return { levelId: _levelId, cacheEnabled: THREE.Cache.enabled, items: _items.map(i => ({ url: i.url, kind: i.kind, ok: i.ok })), json: Array.from(_json.keys()) }; }
+  };
+})();
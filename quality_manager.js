@@ -0,0 +1,136 @@
+// QualityManager: rendering quality tiers (low / medium / high) picked from measured frame time.
+// A tier sets the pixel-ratio cap, antialiasing, the bloom and film passes, the shadow map size, the
+// sky sphere tessellation and the particle count; scenes read settings() when they build and
+// re-apply on onChange(). Antialiasing can only be chosen when a WebGLRenderer is created, so a tier
+// change reaches it on the next scene load.
+// In 'auto' mode a SceneDirector system averages frame time over ~2 s windows: a slow window
+// (< 45 FPS) steps down at once, three fast windows in a row (≈ 60 FPS) step up again, but never
+// back above a tier that already proved too slow this session. The last auto tier is remembered, so
+// a slow machine starts low next time. The pause menu can pin a tier instead (manual override).
+// Stored in localStorage as 'lk_quality'.
+
+import { SceneDirector } from './scene_director.js';
+
+const STORAGE_KEY = 'lk_quality';
+const TIER_NAMES = ['low', 'medium', 'high'];
+const TIERS = {
+  low:    { maxPixelRatio: 0.75, antialias: false, bloom: false, film: false, shadowMapSize: 512,  skySegments: 24, particles: 250 },
+  medium: { maxPixelRatio: 1.0,  antialias: false, bloom: true,  film: false, shadowMapSize: 1024, skySegments: 40, particles: 600 },
+  high:   { maxPixelRatio: 2.0,  antialias: true,  bloom: true,  film: true,  shadowMapSize: 2048, skySegments: 64, particles: 1000 }
+};
+const DEFAULT_AUTO_TIER = 'medium';
+const WINDOW_MS = 2000; // frame time averaged over this much play
+const SLOW_MS = 1000 / 45; // average frame time that steps down
+const FAST_MS = 1000 / 57; // average frame time that counts towards stepping up
+const UPGRADE_WINDOWS = 3; // fast windows in a row before stepping up
+const MAX_SAMPLE_MS = 250; // longer frames (tab switch, loading hitch) are ignored
+
+export const QualityManager = (function(){
+  let _settings = null; // { mode: 'auto' | tier, tier: last auto tier }
+  let _inited = false;
+  let _ceiling = TIER_NAMES.length - 1; // highest tier auto may climb back to this session
+  let _sum = 0, _frames = 0;
+  let _fastWindows = 0;
+  let _skipWindow = false; // the window right after a change warms up (shader compiles, reallocation)
+  const _listeners = new Set();
+
+  function _load() {
+    if (_settings) return;
+    _settings = { mode: 'auto', tier: DEFAULT_AUTO_TIER };
+    try {
+      const raw = window.localStorage && window.localStorage.getItem(STORAGE_KEY);
+      const data = raw ? JSON.parse(raw) : null;
+      if (data && (data.mode === 'auto' || TIERS[data.mode])) _settings.mode = data.mode;
+      if (data && TIERS[data.tier]) _settings.tier = data.tier;
+    } catch(e) { console.warn('QualityManager: failed to read settings', e); }
+  }
+
+  function _save() {
+    try { if (window.localStorage) window.localStorage.setItem(STORAGE_KEY, JSON.stringify(_settings)); } catch(e) { console.warn('QualityManager: failed to save settings', e); }
+  }
+
+  function _notify() {
+    const tier = QualityManager.getTier();
+    const s = QualityManager.settings();
+    for (const fn of Array.from(_listeners)) { try { fn(s, tier); } catch(e) { console.warn('QualityManager: listener failed', e); } }
+  }
+
+  function _resetWindow() { _sum = 0; _frames = 0; }
+
+  function _setAutoTier(index, reason) {
+    _settings.tier = TIER_NAMES[index];
+    _save();
+    _resetWindow(); _fastWindows = 0; _skipWindow = true;
+    console.log('QualityManager: auto tier', _settings.tier, reason);
+    _notify();
+  }
+
+  // SceneDirector system: measure while a scene is actually running
+  function _tick(dt) {
+    if (_settings.mode !== 'auto') return;
+    if (!(dt > 0) || SceneDirector.isTransitioning() || document.hidden) return;
+    const ms = dt * 1000;
+    if (ms > MAX_SAMPLE_MS) return;
+    _sum += ms; _frames++;
+    if (_sum < WINDOW_MS) return;
+    const avg = _sum / _frames;
+    _resetWindow();
+    if (_skipWindow) { _skipWindow = false; return; }
+    const index = TIER_NAMES.indexOf(_settings.tier);
+    if (avg > SLOW_MS) {
+      _fastWindows = 0;
+      if (index > 0) {
+        _ceiling = Math.min(_ceiling, index - 1);
+        _setAutoTier(index - 1, `(average ${avg.toFixed(1)} ms)`);
+      }
+    } else if (avg < FAST_MS) {
+      _fastWindows++;
+      if (_fastWindows >= UPGRADE_WINDOWS && index < _ceiling) _setAutoTier(index + 1, `(average ${avg.toFixed(1)} ms)`);
+    } else {
+      _fastWindows = 0;
+    }
+  }
+
+  return {
+    // Start measuring (once per page)
+    init() {
+      if (_inited) return;
+      _inited = true;
+      _load();
+      SceneDirector.addSystem(_tick);
+    },
+
+    // 'auto' or a tier name pinned from the pause menu
+    getMode() { _load(); return _settings.mode; },
+
+    modes() { return ['auto'].concat(TIER_NAMES); },
+
+    setMode(mode) {
+      _load();
+      if (mode !== 'auto' && !TIERS[mode]) return false;
+      const before = this.getTier();
+      _settings.mode = mode;
+      _save();
+      _resetWindow(); _fastWindows = 0; _skipWindow = true;
+      // choosing auto again gives every tier another chance
+      if (mode === 'auto') _ceiling = TIER_NAMES.length - 1;
+      console.log('QualityManager: mode', mode);
+      if (this.getTier() !== before) _notify();
+      return true;
+    },
+
+    // Tier in use: the pinned one, or the one auto picked
+    getTier() { _load(); return _settings.mode === 'auto' ? _settings.tier : _settings.mode; },
+
+    // Copy of the tier's settings: { maxPixelRatio, antialias, bloom, film, shadowMapSize, skySegments, particles }
+    settings() { return Object.assign({}, TIERS[this.getTier()]); },
+
+    // Pixel ratio for renderer.setPixelRatio() under the current tier
+    pixelRatio() { return Math.min(window.devicePixelRatio || 1, TIERS[this.getTier()].maxPixelRatio); },
+
+    // Call `fn(settings, tier)` whenever the tier changes. Returns a remover.
+    onChange(fn) { _listeners.add(fn); return () => _listeners.delete(fn); },
+
+    _state() { _load(); return { mode: _settings.mode, tier: this.getTier(), ceiling: TIER_NAMES[_ceiling], windowMs: _sum, frames: _frames, fastWindows: _fastWindows }; }
+  };
+})();
@@ -0,0 +1,75 @@
+// SaveManager: persists game progress to localStorage as a versioned snapshot.
+// Modules call checkpoint(patch) at meaningful moments (puzzle shuffled/moved/solved, wrap counted,
+// constellation level started/edge linked); the patch is merged section by section into the stored
+// snapshot. createIntroOverlay() in main.js uses load() to offer "Continue".
+//
+// Snapshot shape (SAVE_VERSION 1):
+// {
+//   version: 1, savedAt: <ms epoch>,
+//   scene: 'stairs' | 'philosophy',
+//   stairs: { puzzleInited, board: [12 ints, 0 = blank], puzzleSolved, wrapDownCount, wrapCountingPaused },
+//   philosophy: { levelId (manifest level id), matchedEdges: ['a-b', ...] }
+// }
+
+const STORAGE_KEY = 'lk_save';
+const SAVE_VERSION = 1;
+
+export const SaveManager = (function(){
+  let _snapshot = null;
+
+  function _empty() {
+    return { version: SAVE_VERSION, savedAt: 0, scene: 'stairs', stairs: {}, philosophy: {} };
+  }
+
+  function _read() {
+    try {
+      const raw = window.localStorage && window.localStorage.getItem(STORAGE_KEY);
+      if (!raw) return null;
+      const data = JSON.parse(raw);
+      if (!data || data.version !== SAVE_VERSION) {
+        console.warn('SaveManager: discarding snapshot with unsupported version', data && data.version);
+        return null;
+      }
+      return data;
+    } catch (e) { console.warn('SaveManager: failed to read snapshot', e); return null; }
+  }
+
+  return {
+    // Return the stored snapshot (or null when there is nothing compatible to continue).
+    load() {
+      _snapshot = _read();
+      return _snapshot;
+    },
+
+    hasSave() { return !!(_snapshot || _read()); },
+
+    // Merge a partial snapshot and write it. Sections (stairs, philosophy) merge key by key, except
+    // those named in opts.replace, which the patch's section replaces whole (dropping stale keys).
+    checkpoint(patch = {}, opts = {}) {
+      try {
+        const base = _snapshot || _read() || _empty();
+        const replace = opts.replace || [];
+        const next = Object.assign({}, base, patch);
+        for (const section of ['stairs', 'philosophy']) {
+          next[section] = replace.includes(section)
+            ? Object.assign({}, patch[section])
+            : Object.assign({}, base[section], patch[section]);
+        }
+        next.version = SAVE_VERSION;
+        next.savedAt = Date.now();
+        _snapshot = next;
+        if (window.localStorage) window.localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+        return true;
+      } catch (e) { console.warn('SaveManager.checkpoint failed', e); return false; }
+    },
+
+    // Forget all progress (new game or game completed).
+    clear() {
+      _snapshot = null;
+      try { if (window.localStorage) window.localStorage.removeItem(STORAGE_KEY); } catch (e) { console.warn('SaveManager.clear failed', e); }
+    },
+
+    // Expose internal state for debugging
+    _state() { return _snapshot || _read(); }
+  };
+})();
@@ -0,0 +1,234 @@
+// SceneDirector: owns the scene lifecycle and the single animation loop.
+// Each scene registers hooks { enter(opts), exit(), update(dt), restart() } (all optional; enter/exit
+// may be async).
+// - switchTo(name, opts) fades the screen, loads the target module if it was registered lazily,
+//   exits every active scene, enters the target and fades back in. An unknown target leaves the
+//   current scene running; a target whose enter() fails is exited again and the previous main scene
+//   is entered anew. Resolves false in both cases.
+// - push(name) / pop() run a nested mode (e.g. the slide puzzle) on top of the current scene without
+//   exiting it; the scene underneath keeps updating (and rendering) every frame.
+// - pause() / resume() freeze the simulation: no scene update runs while paused and the first frame
+//   after resume() gets dt = 0. restart() asks the topmost scene that has a restart hook to restart
+//   its current level (pause_menu.js drives all three).
+// - addSystem(fn) registers a per-frame callback (input polling, overlays) that runs before the scene
+//   updates, also while paused (with dt = 0).
+// - get(key) / set(key, value) hold the shared progress flags (puzzle state, wrap counters, ...)
+//   so modules do not need to stash them on window or on a THREE.Scene.
+// Fade durations go through MotionPrefs.fadeMs(), so reduced motion shortens every transition.
+//
+// Usage:
+//   SceneDirector.register('stairs', { enter, exit, update });
+//   SceneDirector.registerModule('philosophy', './philosophy.js'); // module exports enter/exit/update
+//   SceneDirector.start();
+//   SceneDirector.switchTo('stairs', { fadeOutMs: 0, holdMs: 0, fadeInMs: 0 });
+
+import { MotionPrefs } from './motion_prefs.js';
+
+const DEFAULT_TRANSITION = { color: '#000000', fadeOutMs: 800, holdMs: 300, fadeInMs: 800 };
+
+export const SceneDirector = (function(){
+  const _scenes = new Map(); // name -> { enter, exit, update }
+  const _modules = new Map(); // name -> module path, imported on first switch
+  const _state = new Map(); // shared key/value flags
+  let _stack = []; // active scene names: [main scene, ...nested modes]
+  let _transitioning = false;
+  let _rafId = null;
+  let _lastTime = null;
+  let _paused = false;
+  const _systems = []; // per-frame callbacks run before scene updates, even while paused
+
+  function _option(opts, key) {
+    return (opts && typeof opts[key] !== 'undefined') ? opts[key] : DEFAULT_TRANSITION[key];
+  }
+
+  function _createFadeOverlay(color) {
+    const overlay = document.createElement('div');
+    overlay.id = 'lk_scene_fade';
+    overlay.style.position = 'fixed'; overlay.style.left = '0'; overlay.style.top = '0'; overlay.style.width = '100%'; overlay.style.height = '100%';
+    overlay.style.background = color; overlay.style.opacity = '0'; overlay.style.zIndex = 99999999; overlay.style.pointerEvents = 'none';
+    document.body.appendChild(overlay);
+    return overlay;
+  }
+
+  // Animate overlay opacity from -> to over dur ms. Resolves immediately when dur <= 0.
+  function _fade(overlay, from, to, dur) {
+    return new Promise((res) => {
+      if (!overlay || !(dur > 0)) { if (overlay) overlay.style.opacity = String(to); res(); return; }
+      const start = performance.now();
+      function step(now){ const t = Math.min(1, (now-start)/dur); overlay.style.opacity = String(from + (to - from) * t); if (t<1) requestAnimationFrame(step); else res(); }
+      requestAnimationFrame(step);
+    });
+  }
+
+  async function _resolve(name) {
+    if (_scenes.has(name)) return _scenes.get(name);
+    const path = _modules.get(name);
+    if (!path) return null;
+    const mod = await import(path);
+    const hooks = { enter: mod.enter, exit: mod.exit, update: mod.update, restart: mod.restart };
+    _scenes.set(name, hooks);
+    console.log('SceneDirector: loaded scene module', name, path);
+    return hooks;
+  }
+
+  // switchTo() recovery: exit the half-entered `failed` scene and enter `prev` again (without its
+  // original enter options, so it starts from its defaults)
+  async function _reenter(failed, prev) {
+    await _exitScene(failed);
+    _stack = [];
+    if (!prev || prev === failed) return;
+    try {
+      const hooks = await _resolve(prev);
+      _stack = [prev];
+      if (hooks && typeof hooks.enter === 'function') await hooks.enter();
+      console.log('SceneDirector: returned to', prev);
+    } catch (e) {
+      _stack = [];
+      console.warn('SceneDirector: could not return to', prev, e);
+    }
+  }
+
+  async function _exitScene(name) {
+    const hooks = _scenes.get(name);
+    if (!hooks || typeof hooks.exit !== 'function') return;
+    try { await hooks.exit(); } catch (e) { console.warn('SceneDirector: exit failed for', name, e); }
+  }
+
+  function _loop(now) {
+    _rafId = requestAnimationFrame(_loop);
+    const dt = (_paused || _lastTime === null) ? 0 : (now - _lastTime) / 1000;
+    _lastTime = _paused ? null : now;
+    for (const fn of _systems.slice()) {
+      try { fn(dt, now); } catch (e) { console.warn('SceneDirector: system failed', e); }
+    }
+    if (_paused) return;
+    // copy so enter/exit calls made from inside an update don't disturb this frame's iteration
+    for (const name of _stack.slice()) {
+      const hooks = _scenes.get(name);
+      if (!hooks || typeof hooks.update !== 'function') continue;
+      try { hooks.update(dt); } catch (e) { console.warn('SceneDirector: update failed for', name, e); }
+    }
+  }
+
+  return {
+    register(name, hooks) {
+      if (!name || !hooks) { console.warn('SceneDirector.register: name and hooks required'); return; }
+      _scenes.set(name, { enter: hooks.enter, exit: hooks.exit, update: hooks.update, restart: hooks.restart });
+    },
+
+    // Register a scene whose module is only imported when first switched to.
+    registerModule(name, path) {
+      if (!name || !path) { console.warn('SceneDirector.registerModule: name and path required'); return; }
+      _modules.set(name, path);
+    },
+
+    has(name) { return _scenes.has(name) || _modules.has(name); },
+
+    // Register a per-frame system fn(dt, now); returns a function that removes it again.
+    addSystem(fn) {
+      if (typeof fn !== 'function') return () => {};
+      if (!_systems.includes(fn)) _systems.push(fn);
+      return () => { const i = _systems.indexOf(fn); if (i >= 0) _systems.splice(i, 1); };
+    },
+
+    // Start / stop the shared requestAnimationFrame loop.
+    start() {
+      if (_rafId !== null) return;
+      _lastTime = null;
+      _rafId = requestAnimationFrame(_loop);
+    },
+
+    stop() {
+      if (_rafId !== null) { try { cancelAnimationFrame(_rafId); } catch(e) {} }
+      _rafId = null; _lastTime = null;
+    },
+
+    isRunning() { return _rafId !== null; },
+
+    // Replace every active scene with `name`.
+    // opts: { color, fadeOutMs, holdMs, fadeInMs, enterOptions }
+    async switchTo(name, opts = {}) {
+      if (_transitioning) { console.warn('SceneDirector.switchTo: transition already in progress', name); return false; }
+      _transitioning = true;
+      const fadeOutMs = MotionPrefs.fadeMs(_option(opts, 'fadeOutMs'));
+      const fadeInMs = MotionPrefs.fadeMs(_option(opts, 'fadeInMs'));
+      const overlay = (fadeOutMs > 0 || fadeInMs > 0) ? _createFadeOverlay(_option(opts, 'color')) : null;
+      const prev = _stack[0] || null;
+      let ok = false;
+      let left = false; // the previous scenes were exited
+      try {
+        console.log('SceneDirector: switching', prev || '(none)', '->', name);
+        await _fade(overlay, 0, 1, fadeOutMs);
+        // resolve first, so an unknown scene or a module that fails to load tears nothing down
+        const hooks = await _resolve(name);
+        if (!hooks) throw new Error('unknown scene ' + name);
+        // exit nested modes first, then the main scene
+        while (_stack.length) await _exitScene(_stack.pop());
+        left = true;
+        _stack = [name];
+        if (typeof hooks.enter === 'function') await hooks.enter(opts.enterOptions);
+        ok = true;
+        await new Promise(r => setTimeout(r, _option(opts, 'holdMs')));
+      } catch (e) {
+        console.warn('SceneDirector.switchTo failed', name, e);
+        if (left) await _reenter(name, prev);
+      }
+      await _fade(overlay, 1, 0, fadeInMs);
+      try { if (overlay && overlay.parentNode) overlay.parentNode.removeChild(overlay); } catch(e) {}
+      _transitioning = false;
+      return ok;
+    },
+
+    // Enter a nested mode on top of the current scene (no fade, parent keeps running).
+    async push(name, enterOptions) {
+      if (_transitioning) return false;
+      if (_stack.includes(name)) return false;
+      const hooks = _scenes.get(name);
+      if (!hooks) { console.warn('SceneDirector.push: unknown scene', name); return false; }
+      _stack.push(name);
+      try {
+        if (typeof hooks.enter === 'function') await hooks.enter(enterOptions);
+        return true;
+      } catch (e) {
+        console.warn('SceneDirector.push: enter failed for', name, e);
+        _stack = _stack.filter(n => n !== name);
+        return false;
+      }
+    },
+
+    // Leave the top nested mode. The main scene can only be left through switchTo().
+    async pop() {
+      if (_stack.length <= 1) return false;
+      await _exitScene(_stack.pop());
+      return true;
+    },
+
+    getCurrentName() { return _stack[0] || null; },
+    getTopName() { return _stack.length ? _stack[_stack.length - 1] : null; },
+    isActive(name) { return _stack.includes(name); },
+    isTransitioning() { return _transitioning; },
+
+    // Freeze / unfreeze every scene update. Timers driven by dt stop with it.
+    pause() { _paused = true; },
+    resume() { _paused = false; _lastTime = null; },
+    isPaused() { return _paused; },
+
+    // Restart the current level: the topmost active scene with a restart hook handles it.
+    async restart() {
+      if (_transitioning) return false;
+      for (let i = _stack.length - 1; i >= 0; i--) {
+        const hooks = _scenes.get(_stack[i]);
+        if (!hooks || typeof hooks.restart !== 'function') continue;
+        try { await hooks.restart(); return true; } catch (e) { console.warn('SceneDirector: restart failed for', _stack[i], e); return false; }
+      }
+      return false;
+    },
+
+    // Shared progress flags
+    get(key, fallback) { return _state.has(key) ? _state.get(key) : fallback; },
+    set(key, value) { _state.set(key, value); },
+
+    // Expose internal state for debugging
+    _state() { return { stack: _stack.slice(), transitioning: _transitioning, running: _rafId !== null, paused: _paused, flags: Object.fromEntries(_state) }; }
+  };
+})();
@@ -1,5 +1,13 @@
-import * as THREE from 'https://unpkg.com/three@0.164.1/build/three.module.js';
+import * as THREE from './vendor/three/build/three.module.js';
 import { AudioManager, BackgroundMusic } from './audio_manager.js';
+import { SceneDirector } from './scene_director.js';
+import { SaveManager } from './save_manager.js';
+import { disposeObject3D } from './disposal.js';
+import { LevelManifest } from './level_manifest.js';
+import { PauseMenu } from './pause_menu.js';
+import { InputMap } from './input_map.js';
+import { I18n } from './i18n.js';
+import { createLoadingScreen } from './loading_screen.js';
 
 /*
   Slide puzzle module (3x4)
@@ -7,20 +15,31 @@ import { AudioManager, BackgroundMusic } from './audio_manager.js';
   Responsibilities:
   - Build a 3x4 sliding puzzle using a sliced image atlas.
   - Provide a minimal public API:
-      init(scene, camera, controls, anchorPosition, anchorQuaternion)
+      init(scene, camera, controls, anchorPosition, anchorQuaternion, opts)
       show() / hide() / toggle() / isActive()
+      getBoard() / reshuffle() / shiftAnchor(dy)
+      (tiles also move by swipe or tap on the canvas, for touch screens)
+      dispose()
       update(dt)
-      updateInteractBubble(visible)
+    (the bubble that enters the puzzle is main.js's interactables prompt, see interactables.js)
+  - Register as the 'painting' SceneDirector mode (enter=show, exit=hide); main.js
+    pushes it on top of the stairs scene and pops it to leave.
   - Render pieces as individual THREE.Mesh planes with per-tile CanvasTexture so
     tiles are crisp and independent.
   - Ensure shuffles are solvable by performing a sequence of legal moves.
   - Provide small UX niceties: animated slides, quiver on illegal moves, fade-in
     of final tile when solved, and in-puzzle HUD/dialog management.
+  - Accessibility: a live region (#lk_puzzle_live) announces moves, illegal moves,
+    shuffles and the solved state; #lk_puzzle_grid mirrors the board as an ARIA grid
+    (arrow keys / Home / End move between cells, Enter / Space slide the focused tile);
+    the HUD dialogs are focusable buttons.
 
   Notes on data shapes and conventions:
   - _board is a ROWS x COLS array of integers (1..ROWS*COLS-1) with 0 representing the blank.
   - _tileMeshes mirrors _board with the THREE.Mesh for each cell.
   - Textures are CanvasTexture objects stored in _lastTextures in row-major order.
+  - Puzzle progress lives in SceneDirector flags: 'puzzleState'
+    ('unloaded' | 'loaded' | 'active' | 'finished') and 'puzzleSolved'.
 */
 
 // Slide puzzle module (3x4) using move-based randomization to guarantee solvability.
@@ -28,6 +47,12 @@ import { AudioManager, BackgroundMusic } from './audio_manager.js';
 
 const ROWS = 3;
 const COLS = 4;
+
+// Music key for the painting level from assets/levels.json (built-in key until the manifest loads)
+function _musicKey() {
+  const lvl = LevelManifest.get('painting');
+  return (lvl && lvl.music) || 'painting:play';
+}
 const SHUFFLE_MOVES = 80; // we'll multiply by 10 as requested elsewhere when invoking randomize
 
 let _scene, _camera, _controls;
@@ -45,6 +70,11 @@ let _animating = false;
 let _previousBackground = null; // save scene.background to restore after hide
 let _appliedBackground = null; // keep a reference to the sky we applied for bookkeeping
 let _controlsInverted = true; // current inversion state for controls (default: inverted)
+let _pointerStart = null; // { id, x, y } of the press a swipe / tap is measured from
+const SWIPE_MIN_PX = 30;
+let _gridFocus = 0; // row-major index of the grid cell holding the roving tabindex
+let _gridI18nOff = null; // removes the grid's I18n.onChange listener
+let _loading = null; // progress badge while the painting and its skybox download
 
 // Fade in the missing (final) tile over the blank cell. Used when puzzle is solved.
 // Returns a Promise that resolves when the opacity animation finishes.
@@ -85,14 +115,13 @@ function _fadeInBlank(duration=600) {
 // create texture atlas by slicing the image into ROWS x COLS
 // Slice the source image into ROWS x COLS canvases and return an array of CanvasTextures.
 // If the image fails to load, create colored fallback tiles for visual debugging.
-async function _createTileTextures(src) {
+async function _createTileTextures(src, loading) {
   // load image as Image element
   let img;
   try {
-    img = await new Promise((res, rej) => {
-      const i = new Image(); i.crossOrigin = 'anonymous';
-      i.onload = () => res(i); i.onerror = rej; i.src = src;
-    });
+    const loader = new THREE.ImageLoader(loading.manager);
+    loader.setCrossOrigin('anonymous');
+    img = await loading.load(loader, src, { critical: true, fallback: true });
   } catch (e) {
     console.warn('SlidePuzzle: failed to load image, using fallback colored tiles', e);
     img = null;
@@ -182,6 +211,37 @@ function _boardToIndexArray(board){
   return out;
 }
 
+// Whether a flat layout can slide back to the solved one (1..n, blank last). Every move keeps the
+// parity of the tile inversions, plus the blank's row when the width is even, so a layout is solvable
+// exactly when that parity matches the solved layout's.
+function _isSolvable(flat){
+  const tiles = flat.filter(v => v !== 0);
+  let inversions = 0;
+  for (let i=0;i<tiles.length;i++) for (let j=i+1;j<tiles.length;j++) if (tiles[i] > tiles[j]) inversions++;
+  const blankRow = Math.floor(flat.indexOf(0) / COLS);
+  const parity = (COLS % 2 === 0) ? inversions + blankRow : inversions;
+  const solvedParity = (COLS % 2 === 0) ? ROWS - 1 : 0;
+  return parity % 2 === solvedParity % 2;
+}
+
+// Rebuild a ROWS x COLS board from a saved flat array. Returns null unless the array is a
+// permutation of 0..ROWS*COLS-1 that can still be solved (a corrupted or edited save gets a fresh
+// shuffle instead).
+function _boardFromIndexArray(flat){
+  if (!Array.isArray(flat) || flat.length !== ROWS * COLS) return null;
+  const sorted = flat.slice().sort((a,b)=>a-b);
+  if (!sorted.every((v,i)=> v === i)) return null;
+  if (!_isSolvable(flat)) { console.warn('SlidePuzzle: saved board cannot be solved, shuffling again'); return null; }
+  const board = [];
+  for (let r=0;r<ROWS;r++) board.push(flat.slice(r*COLS, (r+1)*COLS));
+  return board;
+}
+
+// Persist the current layout so the puzzle can be continued after a reload.
+function _saveBoard(){
+  try { SaveManager.checkpoint({ stairs: { puzzleInited: true, board: _boardToIndexArray(_board) } }); } catch(e) {}
+}
+
 // Rebuild the THREE.Group that visually represents the board using the provided textures.
 // This disposes previous geometries/materials and rebuilds meshes based on _board.
 function _renderBoard(textures){
@@ -332,7 +392,8 @@ function _minimalMovesToBottomRight(board) {
 
 // Initialize the puzzle: bind scene/camera/controls, create textures, render board,
 // and set puzzle state to 'loaded' so the main app can show the F bubble.
-export async function init(scene, camera, controls, anchorPosition, anchorQuaternion) {
+// opts.board: flat layout from a save snapshot; when valid it replaces the shuffle.
+export async function init(scene, camera, controls, anchorPosition, anchorQuaternion, opts = {}) {
   _scene = scene; _camera = camera; _controls = controls;
   _anchorPos.copy(anchorPosition || new THREE.Vector3());
   _anchorQuat.copy(anchorQuaternion || new THREE.Quaternion());
@@ -340,17 +401,20 @@ export async function init(scene, camera, controls, anchorPosition, anchorQuater
   _tileSize = 0.64; // chosen to fit visually behind marker; doubled so puzzle appears larger
   // debug state
   window._slidePuzzleState = { inited: false, texturesLoaded: false };
-  // prepare textures
+  // prepare textures (a small progress badge, not a full-screen overlay: the player is mid-walk)
+  if (_loading) _loading.dispose();
+  _loading = createLoadingScreen('painting', { backdrop: false });
   const src = './assets/images/ThePersistenceOfMemory_Dali.jpg';
-  const textures = await _createTileTextures(src);
+  const textures = await _createTileTextures(src, _loading);
   _lastTextures = textures;
   if (textures && textures.length === ROWS * COLS) window._slidePuzzleState.texturesLoaded = true;
   _renderBoard(textures);
   // load panoramic skybox texture (equirectangular) and set as scene background while puzzle is loaded
   try {
     const skyPath = './assets/skyboxes/painting/SkyboxPintura.png';
-    const loader = new THREE.TextureLoader();
-    loader.load(skyPath, (tex) => {
+    const loader = new THREE.TextureLoader(_loading.manager);
+    // the stairs background stays when it is missing
+    _loading.load(loader, skyPath, { critical: true, fallback: true }).then((tex) => {
       try {
         tex.mapping = THREE.EquirectangularReflectionMapping;
         try { tex.encoding = THREE.sRGBEncoding; } catch(e) {}
@@ -368,24 +432,36 @@ export async function init(scene, camera, controls, anchorPosition, anchorQuater
               console.log('SlidePuzzle: skybox applied (previous background disposed)', skyPath);
             }
       } catch(e) { console.warn('SlidePuzzle: failed to apply skybox', e); }
-    }, undefined, (err)=>{ console.warn('SlidePuzzle: skybox load error', err); });
+    }, (err)=>{ console.warn('SlidePuzzle: skybox load error', err); });
   } catch(e) { console.warn('SlidePuzzle: skybox loader failed', e); }
+  if (_loading) _loading.finish();
   window._slidePuzzleState.inited = true;
   // mark puzzle as loaded so main can show F-dialog; use state machine key
-  try { if (_scene && _scene.userData) _scene.userData.puzzleState = 'loaded'; } catch(e) {}
-  try { if (BackgroundMusic && typeof BackgroundMusic.playFor === 'function') BackgroundMusic.playFor('painting:play'); } catch(e) {}
+  SceneDirector.set('puzzleState', 'loaded');
+  try { if (BackgroundMusic && typeof BackgroundMusic.playFor === 'function') BackgroundMusic.playFor(_musicKey()); } catch(e) {}
   // play the scene-load-and-victory sound when the puzzle is loaded (per user request)
   try { AudioManager.play('painting:scene-victory'); } catch(e) {}
   console.log('SlidePuzzle: initialized (texturesLoaded=', window._slidePuzzleState.texturesLoaded, ')');
   // removed per-module debug overlay; HUD standardized in main.js
-  // apply randomize 10x as requested
-  for (let i=0;i<10;i++) {
-    _shuffleByMoves(_board, SHUFFLE_MOVES);
+  const restored = _boardFromIndexArray(opts.board);
+  if (restored) {
+    _board = restored;
+  } else {
+    // apply randomize 10x as requested
+    for (let i=0;i<10;i++) {
+      _shuffleByMoves(_board, SHUFFLE_MOVES);
+    }
+    // ensure the blank finishes at bottom-right
+    _minimalMovesToBottomRight(_board);
   }
-  // ensure blank at bottom-right by applying minimal inverse moves (we'll compute steps to bottom-right)
-  const steps = _minimalMovesToBottomRight(_board);
+  _saveBoard();
   // render again after shuffle and adjustment
   _renderBoard(textures);
+  // a restored, already solved board shows its final tile straight away
+  if (restored && _isSolved()) {
+    try { await _fadeInBlank(0); } catch(e) {}
+    SceneDirector.set('puzzleSolved', true); SceneDirector.set('puzzleState', 'finished');
+  }
   // Add puzzle parentGroup to the scene so the puzzle is visible immediately and remains present
   try { if (_group && _group.parentGroup && _scene && !_scene.children.includes(_group.parentGroup)) { _scene.add(_group.parentGroup); _group.parentGroup.visible = true; } } catch(e) {}
 }
@@ -396,13 +472,329 @@ function _isSolved(){
   return flat.every((v,i)=> (i === flat.length - 1 ? v === 0 : v === i+1));
 }
 
+// Slide the tile next to the blank in direction `dir` ('U' moves the tile above the blank down into
+// it, and so on): animated when legal, a quiver when not. Checks the solved state afterwards.
+// Shared by the tile keys and the touch swipe / tap handler.
+function _slide(dir) {
+  if (!_active || _animating || !_board) return;
+  const blank = _findBlank(_board);
+  if (!blank) return;
+  const sr = blank.r + (dir === 'U' ? -1 : (dir === 'D' ? 1 : 0));
+  const sc = blank.c + (dir === 'L' ? -1 : (dir === 'R' ? 1 : 0));
+  if (sr<0||sr>=ROWS||sc<0||sc>=COLS) {
+    // illegal: prefer the tile in the attempted direction (sr,sc) to quiver — avoid quivering the blank mesh itself
+    const dirVec = { 'U': [-1,0], 'D':[1,0], 'L':[0,-1], 'R':[0,1] }[dir] || [0,0];
+    let mesh = null; let chosenAxis = 'x'; let chosenAmount = 0.04;
+    // attempt preferred tile (sr,sc)
+    if (sr>=0 && sr<ROWS && sc>=0 && sc<COLS) {
+      const cand = (_tileMeshes && _tileMeshes[sr]) ? _tileMeshes[sr][sc] : null;
+      // ensure candidate is not the blank (board value != 0)
+      if (cand && _board[sr][sc] !== 0) {
+        mesh = cand;
+        if (dirVec[0] !== 0) { chosenAxis = 'y'; chosenAmount = (dirVec[0] > 0) ? -0.04 : 0.04; }
+        else { chosenAxis = 'x'; chosenAmount = (dirVec[1] > 0) ? 0.04 : -0.04; }
+      }
+    }
+    // fallback to opposite direction tile
+    if (!mesh) {
+      const oppR = blank.r - dirVec[0];
+      const oppC = blank.c - dirVec[1];
+      if (oppR>=0 && oppR<ROWS && oppC>=0 && oppC<COLS) {
+        const cand = (_tileMeshes && _tileMeshes[oppR]) ? _tileMeshes[oppR][oppC] : null;
+        if (cand && _board[oppR][oppC] !== 0) {
+          mesh = cand;
+          if (dirVec[0] !== 0) { chosenAxis = 'y'; chosenAmount = (dirVec[0] > 0) ? 0.04 : -0.04; }
+          else { chosenAxis = 'x'; chosenAmount = (dirVec[1] > 0) ? -0.04 : 0.04; }
+        }
+      }
+    }
+    // final fallback: any orthogonal neighbor that is not blank
+    if (!mesh) {
+      const orth = (dir === 'L' || dir === 'R') ? [[-1,0],[1,0]] : [[0,-1],[0,1]];
+      for (const off of orth) {
+        const nr = blank.r + off[0], nc = blank.c + off[1];
+        if (nr>=0 && nr<ROWS && nc>=0 && nc<COLS) {
+          const cand = (_tileMeshes && _tileMeshes[nr]) ? _tileMeshes[nr][nc] : null;
+          if (cand && _board[nr][nc] !== 0) { mesh = cand; if (off[0] !== 0) { chosenAxis = 'y'; chosenAmount = (off[0]>0)? -0.04:0.04; } else { chosenAxis='x'; chosenAmount=(off[1]>0)?0.04:-0.04; } break; }
+        }
+      }
+    }
+    if (mesh) { _animating = true; _animateQuiver(mesh, chosenAxis, chosenAmount, 140).then(()=>{ _animating = false; }); }
+    _announce(I18n.t('puzzle.announceIllegal'));
+    console.log('SlidePuzzle:illegal move', dir);
+    return;
+  }
+  // legal: animate source tile sliding into blank
+  const mesh = (_tileMeshes && _tileMeshes[sr]) ? _tileMeshes[sr][sc] : null;
+  const blankMesh = (_tileMeshes && _tileMeshes[blank.r]) ? _tileMeshes[blank.r][blank.c] : null;
+  if (!mesh) {
+    // still apply logical move and update board/visuals
+    const moved = _applyMove(_board, dir);
+    if (moved) {
+      try { _renderBoard((_lastTextures || [])); } catch(e) {}
+      _saveBoard();
+      _syncGrid();
+      _announceMove(blank.r, blank.c);
+    }
+    try { console.log('SlidePuzzle:board', _boardToIndexArray(_board)); } catch(e) {}
+    return;
+  }
+  _animating = true;
+  // compute world positions for mesh and blank
+  const fromPos = mesh.position.clone();
+  const toPos = (blankMesh) ? blankMesh.position.clone() : new THREE.Vector3((function(){
+    // fallback compute
+    const spacing = _tileSize * 0.98;
+    const startX = - (COLS/2 - 0.5) * spacing;
+    const startY = (ROWS/2 - 0.5) * spacing;
+    return new THREE.Vector3(startX + blank.c*spacing, startY - blank.r*spacing, mesh.position.z);
+  })());
+  _animateMeshPosition(mesh, fromPos, toPos, 260).then(()=>{
+    // swap meshes in tracking array and update board model
+    _tileMeshes[blank.r][blank.c] = mesh;
+    _tileMeshes[sr][sc] = blankMesh || null;
+    // snap positions to canonical layout to avoid drift
+    try { mesh.position.copy(toPos); if (blankMesh) blankMesh.position.copy(fromPos); } catch(e) {}
+    const moved = _applyMove(_board, dir);
+    try { console.log('SlidePuzzle:move result', moved); } catch(e) {}
+    try { if (moved) AudioManager.play('painting:move-tile'); } catch(e) {}
+    if (moved) { _saveBoard(); _syncGrid(); _announceMove(blank.r, blank.c); }
+    try { console.log('SlidePuzzle:board', _boardToIndexArray(_board)); } catch(e) {}
+    _animating = false;
+    // after move, check solved
+    try {
+      if (_isSolved()) {
+        console.log('SlidePuzzle: solved detected');
+        try { AudioManager.play('painting:scene-victory'); } catch(e) {}
+        // background music remains as loop; no one-shot win track configured
+        // fade in the missing final tile, then finish solved flow
+        (async ()=>{
+          try { _animating = true; await _fadeInBlank(600); } catch(e) { console.warn('SlidePuzzle: fade failed', e); }
+          SceneDirector.set('puzzleSolved', true); SceneDirector.set('puzzleState', 'finished');
+          _announce(I18n.t('puzzle.announceSolved'));
+          console.log('SlidePuzzle: puzzle solved flag set');
+          // Reset and pause level-repeat wrap counting until a new painting scene load
+          SceneDirector.set('wrapDownCount', 0); SceneDirector.set('wrapCountingPaused', true);
+          try { SaveManager.checkpoint({ stairs: { puzzleSolved: true, wrapDownCount: 0, wrapCountingPaused: true } }); } catch(e) {}
+          try { const wrap = document.getElementById('lk_puzzle_wrap'); if (wrap && wrap.parentNode) wrap.parentNode.removeChild(wrap); } catch(e) {}
+          try { if (window._slidePuzzle_keyHandler) { window.removeEventListener('keydown', window._slidePuzzle_keyHandler); window._slidePuzzle_keyHandler = null; } } catch(e) {}
+          try {
+            // remove any interact bubbles so the 'Volver' affordance disappears on solve
+            try { const b = document.getElementById('lk_interact'); if (b && b.parentNode) b.parentNode.removeChild(b); } catch(e) {}
+            try { const tf = document.getElementById('lk_interact_topright'); if (tf && tf.parentNode) tf.parentNode.removeChild(tf); } catch(e) {}
+            let sn = document.getElementById('lk_solved_notify');
+            if (!sn) {
+              sn = document.createElement('div'); sn.id = 'lk_solved_notify';
+              sn.className = 'lk_dialog';
+              sn.style.position = 'fixed'; sn.style.left = '50%'; sn.style.transform = 'translateX(-50%)'; sn.style.bottom = '4vh'; sn.style.zIndex = 100000; sn.style.pointerEvents = 'none';
+              // show only text (no F icon) to avoid implying an F action after the puzzle is solved
+              sn.innerHTML = `<div class="lk_dialog_text"><div class="lk_dialog_line1">${I18n.html('puzzle.recovered')}</div><div class="lk_dialog_line2"></div></div>`;
+              document.body.appendChild(sn);
+            }
+            sn.style.display = 'block';
+            setTimeout(()=>{ try { if (sn && sn.parentNode) sn.parentNode.removeChild(sn); } catch(e){} }, 5000);
+          } catch(e) {}
+          try { if (_preTeleportPose && _scene && _scene.userData && _scene.userData.camera) { const cam = _scene.userData.camera; cam.position.copy(_preTeleportPose.pos); cam.quaternion.copy(_preTeleportPose.quat); if (_controls && _controls.getObject) { try { _controls.getObject().position.copy(cam.position); _controls.getObject().quaternion.copy(cam.quaternion); } catch(e){} } } } catch(e) {}
+          _active = false;
+          SceneDirector.set('puzzleState', 'finished');
+          _animating = false;
+          // leave the 'painting' mode so the stairs scene is the only active one again
+          _leave();
+        })();
+      }
+    } catch(e) { console.warn('SlidePuzzle: solved check failed', e); }
+  });
+}
+
+// Touch / pointer input on the canvas while solving: a swipe slides the neighbouring tile in the
+// swipe direction, a tap slides the tapped tile when it is next to the blank. Both go by what the
+// player sees, so the I inversion (a key binding preference) does not apply.
+function _onPointerDown(e) {
+  if (!_active || !e.target || e.target.tagName !== 'CANVAS' || _pointerStart) return;
+  _pointerStart = { id: e.pointerId, x: e.clientX, y: e.clientY };
+}
+
+function _onPointerUp(e) {
+  if (!_pointerStart || e.pointerId !== _pointerStart.id) return;
+  const dx = e.clientX - _pointerStart.x, dy = e.clientY - _pointerStart.y;
+  _pointerStart = null;
+  if (!_active || _animating || SceneDirector.isPaused() || !_board) return;
+  let dir = null;
+  if (Math.max(Math.abs(dx), Math.abs(dy)) >= SWIPE_MIN_PX) {
+    // the tile moves the way the finger did: swiping down brings the tile above the blank down ('U')
+    if (Math.abs(dx) > Math.abs(dy)) dir = dx > 0 ? 'L' : 'R';
+    else dir = dy > 0 ? 'U' : 'D';
+  } else {
+    dir = _tappedDirection(e);
+  }
+  if (dir) { console.log('SlidePuzzle:pointer', dir); _slide(dir); }
+}
+
+function _onPointerCancel(e) {
+  if (_pointerStart && e.pointerId === _pointerStart.id) _pointerStart = null;
+}
+
+// Direction that slides the tapped tile into the blank, or null when it isn't adjacent to it
+function _tappedDirection(e) {
+  if (!_camera || !_tileMeshes || !e.target.getBoundingClientRect) return null;
+  const rect = e.target.getBoundingClientRect();
+  const ndc = new THREE.Vector2(((e.clientX - rect.left) / rect.width) * 2 - 1, -((e.clientY - rect.top) / rect.height) * 2 + 1);
+  const ray = new THREE.Raycaster(); ray.setFromCamera(ndc, _camera);
+  const hits = ray.intersectObjects(_tileMeshes.flat().filter(Boolean), false);
+  if (!hits.length) return null;
+  for (let r=0;r<ROWS;r++) for (let c=0;c<COLS;c++) {
+    if (_tileMeshes[r][c] === hits[0].object) return _directionForCell(r, c);
+  }
+  return null;
+}
+
+// Direction that slides the tile at (r, c) into the blank, or null when it isn't adjacent to it
+function _directionForCell(r, c) {
+  const blank = _board ? _findBlank(_board) : null;
+  if (!blank) return null;
+  if (c === blank.c && r === blank.r - 1) return 'U';
+  if (c === blank.c && r === blank.r + 1) return 'D';
+  if (r === blank.r && c === blank.c - 1) return 'L';
+  if (r === blank.r && c === blank.c + 1) return 'R';
+  return null;
+}
+
+// Tiles already in their solved position (the blank not counted)
+function _placedCount() {
+  const flat = _boardToIndexArray(_board);
+  return flat.filter((v, i) => v !== 0 && v === i + 1).length;
+}
+
+// Screen-reader announcement through the polite live region
+function _announce(text) {
+  let live = document.getElementById('lk_puzzle_live');
+  if (!live) {
+    live = document.createElement('div'); live.id = 'lk_puzzle_live'; live.className = 'lk_sr_only';
+    live.setAttribute('role', 'status'); live.setAttribute('aria-live', 'polite');
+    document.body.appendChild(live);
+  }
+  // clear first so the same message twice in a row (two illegal moves) is read again
+  live.textContent = '';
+  setTimeout(() => { if (live.isConnected) live.textContent = text; }, 30);
+}
+
+function _announceMove(r, c) {
+  _announce(I18n.t('puzzle.announceMove', { n: _board[r][c], row: r + 1, col: c + 1, placed: _placedCount(), total: ROWS * COLS - 1 }));
+}
+
+// Make a HUD dialog a keyboard-focusable button: Enter / Space activate it like a click
+function _makeFocusable(el, onActivate) {
+  el.setAttribute('role', 'button'); el.tabIndex = 0; el.style.pointerEvents = 'auto';
+  el.addEventListener('click', (ev) => { ev.stopPropagation(); onActivate(); });
+  el.addEventListener('keydown', (ev) => {
+    if (ev.key !== 'Enter' && ev.key !== ' ') return;
+    ev.preventDefault(); ev.stopPropagation();
+    onActivate();
+  });
+}
+
+// Accessible board: an ARIA grid with one cell per board position, hidden until keyboard focus
+// enters it (CSS in main.js). Its keys stop propagation so the tile keys don't also fire.
+function _ensureGrid() {
+  let grid = document.getElementById('lk_puzzle_grid');
+  if (grid) return grid;
+  grid = document.createElement('div'); grid.id = 'lk_puzzle_grid';
+  grid.setAttribute('role', 'grid'); I18n.bind(grid, 'puzzle.board', 'aria-label');
+  for (let r=0;r<ROWS;r++) {
+    const row = document.createElement('div'); row.setAttribute('role', 'row');
+    for (let c=0;c<COLS;c++) {
+      const cell = document.createElement('div'); cell.setAttribute('role', 'gridcell');
+      cell.dataset.index = String(r * COLS + c);
+      row.appendChild(cell);
+    }
+    grid.appendChild(row);
+  }
+  grid.addEventListener('keydown', _onGridKey);
+  grid.addEventListener('click', (ev) => {
+    ev.stopPropagation();
+    const cell = ev.target.closest && ev.target.closest('[role="gridcell"]');
+    if (!cell) return;
+    _gridFocus = Number(cell.dataset.index);
+    _activateCell(Math.floor(_gridFocus / COLS), _gridFocus % COLS);
+  });
+  document.body.appendChild(grid);
+  _gridI18nOff = I18n.onChange(_syncGrid);
+  _syncGrid();
+  return grid;
+}
+
+function _removeGrid() {
+  try { if (_gridI18nOff) _gridI18nOff(); } catch(e) {}
+  _gridI18nOff = null;
+  try { const grid = document.getElementById('lk_puzzle_grid'); if (grid && grid.parentNode) grid.parentNode.removeChild(grid); } catch(e) {}
+}
+
+// Copy the board into the grid cells (number + spoken label) and keep focus on _gridFocus
+function _syncGrid() {
+  const grid = document.getElementById('lk_puzzle_grid');
+  if (!grid || !_board) return;
+  const flat = _boardToIndexArray(_board);
+  const hadFocus = grid.contains(document.activeElement);
+  grid.querySelectorAll('[role="gridcell"]').forEach((cell, i) => {
+    const n = flat[i];
+    cell.textContent = n ? String(n) : '';
+    cell.setAttribute('aria-label', I18n.t(n ? 'puzzle.cell' : 'puzzle.cellBlank', { n, row: Math.floor(i / COLS) + 1, col: i % COLS + 1 }));
+    cell.tabIndex = (i === _gridFocus) ? 0 : -1;
+    if (hadFocus && i === _gridFocus && document.activeElement !== cell) cell.focus();
+  });
+}
+
+function _focusGrid() {
+  const grid = _ensureGrid();
+  _syncGrid();
+  const cell = grid.querySelector(`[data-index="${_gridFocus}"]`);
+  if (cell) cell.focus();
+}
+
+// Grid navigation follows the ARIA grid pattern (fixed keys, not InputMap actions)
+function _onGridKey(e) {
+  let r = Math.floor(_gridFocus / COLS), c = _gridFocus % COLS;
+  if (e.key === 'Enter' || e.key === ' ') {
+    e.preventDefault(); e.stopPropagation();
+    _activateCell(r, c);
+    return;
+  }
+  if (e.key === 'ArrowUp') r = Math.max(0, r - 1);
+  else if (e.key === 'ArrowDown') r = Math.min(ROWS - 1, r + 1);
+  else if (e.key === 'ArrowLeft') c = Math.max(0, c - 1);
+  else if (e.key === 'ArrowRight') c = Math.min(COLS - 1, c + 1);
+  else if (e.key === 'Home') c = 0;
+  else if (e.key === 'End') c = COLS - 1;
+  else return;
+  e.preventDefault(); e.stopPropagation();
+  _gridFocus = r * COLS + c;
+  _syncGrid();
+}
+
+// Slide the tile at (r, c) into the blank; focus follows it to its new cell
+function _activateCell(r, c) {
+  if (!_active || _animating || SceneDirector.isPaused() || !_board) return;
+  const dir = _directionForCell(r, c);
+  if (!dir) { _announce(I18n.t(_board[r][c] ? 'puzzle.announceIllegal' : 'puzzle.announceBlank')); return; }
+  const blank = _findBlank(_board);
+  _gridFocus = blank.r * COLS + blank.c;
+  _slide(dir);
+}
+
+function _removePointerHandlers() {
+  window.removeEventListener('pointerdown', _onPointerDown);
+  window.removeEventListener('pointerup', _onPointerUp);
+  window.removeEventListener('pointercancel', _onPointerCancel);
+  _pointerStart = null;
+}
+
 export function show() {
   // Public: show the puzzle UI and teleport the camera to the panel pose.
   // Side-effects: sets _active=true, disables movement controls, creates HUD elements.
   if (!_scene || !_group) return;
   _active = true;
-  try { if (_scene && _scene.userData) { _scene.userData.puzzleState = 'active'; } } catch(e) {}
-  try { if (BackgroundMusic && typeof BackgroundMusic.playFor === 'function') BackgroundMusic.playFor('painting:play'); } catch(e) {}
+  SceneDirector.set('puzzleState', 'active');
+  try { if (BackgroundMusic && typeof BackgroundMusic.playFor === 'function') BackgroundMusic.playFor(_musicKey()); } catch(e) {}
   // Do NOT unlock pointer or disable movement here; movement stays enabled until the user presses F.
   // make DOM overlay visible if desired
   // Bring puzzle group into scene and make visible
@@ -426,7 +818,7 @@ export function show() {
         try { _controls.getObject().position.copy(cam.position); _controls.getObject().quaternion.copy(cam.quaternion); } catch(e) {}
       }
       // disable movement while solving: unlock pointer and set controlsEnabled=false
-      try { if (_controls && _controls.unlock) _controls.unlock(); if (_scene && _scene.userData) _scene.userData.controlsEnabled = false; } catch(e) {}
+      try { if (_controls && _controls.unlock) { PauseMenu.expectUnlock(); _controls.unlock(); } if (_scene && _scene.userData) _scene.userData.controlsEnabled = false; } catch(e) {}
     }
   } catch(e) {}
   // create on-screen in-puzzle dialogues using a centralized helper so each panel is consistent
@@ -434,6 +826,7 @@ export function show() {
     let wrap = document.getElementById('lk_puzzle_wrap');
     if (!wrap) {
       wrap = document.createElement('div'); wrap.id = 'lk_puzzle_wrap';
+      wrap.setAttribute('role', 'group'); I18n.bind(wrap, 'puzzle.controls', 'aria-label');
       wrap.style.position = 'fixed'; wrap.style.left = '50%'; wrap.style.transform = 'translateX(-50%)'; wrap.style.bottom = '2vh'; wrap.style.zIndex = 100000; wrap.style.display = 'flex'; wrap.style.gap = '1.2rem'; wrap.style.pointerEvents = 'none'; wrap.style.justifyContent = 'center';
       document.body.appendChild(wrap);
     }
@@ -452,60 +845,30 @@ export function show() {
 
   wrap.innerHTML = '';
   // Arrow keys (use tiny icon, single two-line short text)
-  wrap.innerHTML += `<div class="lk_dialog"> <img class="lk_dialog_icon lk_icon_tiny" src="./assets/vectors/ArrowKeys.svg"/> <div class="lk_dialog_text"><div class="lk_dialog_line1">Mover piezas</div><div class="lk_dialog_line2"></div></div></div>`;
+  wrap.innerHTML += `<div id="lk_dialog_moves" class="lk_dialog"> <img class="lk_dialog_icon lk_icon_tiny" src="./assets/vectors/ArrowKeys.svg" alt=""/> <div class="lk_dialog_text"><div class="lk_dialog_line1">${I18n.html('puzzle.moveTiles')}</div><div class="lk_dialog_line2"></div></div></div>`;
   // Help (single-line) — clickable and mapped to H
-  wrap.innerHTML += `<div id="lk_dialog_h" class="lk_dialog"> <img class="lk_dialog_icon" src="./assets/vectors/Hkey.svg"/> <div class="lk_dialog_text"><div class="lk_dialog_line1">Ayuda</div><div class="lk_dialog_line2"></div></div></div>`;
+  wrap.innerHTML += `<div id="lk_dialog_h" class="lk_dialog"> <img class="lk_dialog_icon" src="./assets/vectors/Hkey.svg" alt=""/> <div class="lk_dialog_text"><div class="lk_dialog_line1">${I18n.html('puzzle.help')}</div><div class="lk_dialog_line2"></div></div></div>`;
   // Randomize (R)
-  wrap.innerHTML += `<div id="lk_dialog_r" class="lk_dialog"> <img class="lk_dialog_icon" src="./assets/vectors/Rkey.svg"/> <div class="lk_dialog_text"><div class="lk_dialog_line1">Mezclar</div><div class="lk_dialog_line2"></div></div></div>`;
+  wrap.innerHTML += `<div id="lk_dialog_r" class="lk_dialog"> <img class="lk_dialog_icon" src="./assets/vectors/Rkey.svg" alt=""/> <div class="lk_dialog_text"><div class="lk_dialog_line1">${I18n.html('puzzle.shuffle')}</div><div class="lk_dialog_line2"></div></div></div>`;
   // Invert controls: only icon + single label, icon color indicates state
-  wrap.innerHTML += `<div id="lk_dialog_i" class="lk_dialog"> <img id="lk_dialog_i_img" class="lk_dialog_icon" src="./assets/vectors/Ikey.svg"/> <div class="lk_dialog_text"><div class="lk_dialog_line1">Invertir controles</div><div class="lk_dialog_line2"></div></div></div>`;
+  wrap.innerHTML += `<div id="lk_dialog_i" class="lk_dialog"> <img id="lk_dialog_i_img" class="lk_dialog_icon" src="./assets/vectors/Ikey.svg" alt=""/> <div class="lk_dialog_text"><div class="lk_dialog_line1">${I18n.html('puzzle.invert')}</div><div class="lk_dialog_line2"></div></div></div>`;
 
     // Immediately set the inversion icon state (icon color flip only)
-    try {
-      const ideImg = document.getElementById('lk_dialog_i_img');
-      if (ideImg) ideImg.style.filter = _controlsInverted ? 'invert(1) saturate(1.2)' : 'none';
-    } catch(e) {}
+    _syncInvertDialog();
 
-    // Attach click handlers for interchangeable dialogs (except arrows)
+    // Every dialog is a focusable button (click, tap, or Tab + Enter / Space); the wrap itself stays
+    // click-through so the gaps between dialogs still reach the canvas
     try {
+      const movesEl = document.getElementById('lk_dialog_moves');
+      if (movesEl) _makeFocusable(movesEl, () => { try { _focusGrid(); } catch(e) { console.warn('Grid focus failed', e); } });
       const rEl = document.getElementById('lk_dialog_r');
-      if (rEl) {
-        rEl.style.pointerEvents = 'auto';
-        rEl.addEventListener('click', (ev)=>{ ev.stopPropagation(); try {
-          if (_animating) return;
-          for (let i=0;i<10;i++) _shuffleByMoves(_board, SHUFFLE_MOVES);
-          _minimalMovesToBottomRight(_board);
-          try { _renderBoard((_lastTextures || [])); } catch(e) {}
-        } catch(e) { console.warn('Shuffle click failed', e); } });
-      }
+      if (rEl) _makeFocusable(rEl, () => { try { reshuffle(); } catch(e) { console.warn('Shuffle click failed', e); } });
       const iEl = document.getElementById('lk_dialog_i');
-      if (iEl) {
-        iEl.style.pointerEvents = 'auto';
-        iEl.addEventListener('click', (ev)=>{ ev.stopPropagation(); try {
-          _controlsInverted = !_controlsInverted;
-          const img = document.getElementById('lk_dialog_i_img'); if (img) img.style.filter = _controlsInverted ? 'invert(1) saturate(1.2)' : 'none';
-        } catch(e) { console.warn('Invert click failed', e); } });
-      }
+      if (iEl) _makeFocusable(iEl, () => { try { _toggleInverted(); } catch(e) { console.warn('Invert click failed', e); } });
       const hEl = document.getElementById('lk_dialog_h');
-      if (hEl) {
-        hEl.style.pointerEvents = 'auto';
-        hEl.addEventListener('click', (ev)=>{ ev.stopPropagation(); try {
-          // Show a transient help bubble describing controls
-          let help = document.getElementById('lk_help_notify');
-          if (!help) {
-            help = document.createElement('div'); help.id = 'lk_help_notify'; help.className = 'lk_dialog';
-            help.style.position = 'fixed'; help.style.left = '50%'; help.style.transform = 'translateX(-50%)'; help.style.bottom = '12vh'; help.style.zIndex = 100000; help.style.pointerEvents = 'none';
-            help.innerHTML = `<div class="lk_dialog_text"><div class="lk_dialog_line1">Flechas: mover piezas</div><div class="lk_dialog_line2">R: Mezclar · I: Invertir controles</div></div>`;
-            document.body.appendChild(help);
-          }
-          help.style.display = 'block';
-          setTimeout(()=>{ try { if (help && help.parentNode) help.parentNode.removeChild(help); } catch(e){} }, 5000);
-        } catch(e) { console.warn('Help click failed', e); } });
-      }
+      if (hEl) _makeFocusable(hEl, () => { try { _showHelp(); } catch(e) { console.warn('Help click failed', e); } });
     } catch(e) {}
-
-  // wrap is purely informational; clicks should not interact with the dialog boxes
-  wrap.style.pointerEvents = 'none';
+    _ensureGrid();
 
     // create a small top-right F button (visible while puzzle solving) — smaller than the bottom bubble
     try {
@@ -514,7 +877,7 @@ export function show() {
   topF = document.createElement('div'); topF.id = 'lk_interact_topright';
   topF.style.position = 'fixed'; topF.style.right = '12px'; topF.style.top = '12px'; topF.style.zIndex = 100002; topF.style.pointerEvents = 'auto';
         // use standardized markup but shrink padding and icon
-        topF.innerHTML = `<div class="lk_dialog" style="padding:6px 8px; min-height:40px; max-width:14rem;"><img class="lk_dialog_icon" src="./assets/vectors/Fkey.svg"/><div class="lk_dialog_text"><div class="lk_dialog_line1">Volver</div></div></div>`;
+        topF.innerHTML = `<div class="lk_dialog" style="padding:6px 8px; min-height:40px; max-width:14rem;"><img class="lk_dialog_icon" src="./assets/vectors/Fkey.svg" alt=""/><div class="lk_dialog_text"><div class="lk_dialog_line1">${I18n.html('puzzle.back')}</div></div></div>`;
         document.body.appendChild(topF);
         // reduce icon and text sizes for this small bubble
         try {
@@ -522,7 +885,7 @@ export function show() {
           const l1 = topF.querySelector('.lk_dialog_line1'); if (l1) l1.style.fontSize = '14px';
           const l2 = topF.querySelector('.lk_dialog_line2'); if (l2) l2.style.fontSize = '12px';
         } catch(e) {}
-  topF.addEventListener('click', (ev)=>{ ev.stopPropagation(); try { hide(); } catch(e){} });
+  _makeFocusable(topF, () => { try { _leave(); } catch(e){} });
       } else {
         try { topF.style.display = 'block'; } catch(e) {}
       }
@@ -534,163 +897,93 @@ export function show() {
     window._slidePuzzle_keyHandler = function(e){
       if (!(_active)) return;
       if (_animating) return; // block input during animations
-      const code = e.code;
+      if (SceneDirector.isPaused()) return;
       let dir = null;
   // Inverted controls: Up should move the tile down into the blank, etc.
-      // Map arrow keys according to inversion flag
-      if (code === 'ArrowUp') dir = _controlsInverted ? 'D' : 'U';
-      else if (code === 'ArrowDown') dir = _controlsInverted ? 'U' : 'D';
-      else if (code === 'ArrowLeft') dir = _controlsInverted ? 'R' : 'L';
-      else if (code === 'ArrowRight') dir = _controlsInverted ? 'L' : 'R';
+      // Map tile actions (arrows by default) according to inversion flag
+      if (InputMap.matches(e, 'tileUp')) dir = _controlsInverted ? 'D' : 'U';
+      else if (InputMap.matches(e, 'tileDown')) dir = _controlsInverted ? 'U' : 'D';
+      else if (InputMap.matches(e, 'tileLeft')) dir = _controlsInverted ? 'R' : 'L';
+      else if (InputMap.matches(e, 'tileRight')) dir = _controlsInverted ? 'L' : 'R';
+      // Help (H)
+      if (InputMap.matches(e, 'help')) {
+        e.preventDefault();
+        _showHelp();
+        return;
+      }
       // Randomize (R)
-      if (code === 'KeyR') {
+      if (InputMap.matches(e, 'shuffle')) {
         e.preventDefault();
-        if (_animating) return;
-        // reuse previous shuffle: 10 times
-        for (let i=0;i<10;i++) _shuffleByMoves(_board, SHUFFLE_MOVES);
-        _minimalMovesToBottomRight(_board);
-        try { _renderBoard((_lastTextures || [])); } catch(e) {}
-        console.log('SlidePuzzle: randomized via R');
+        if (reshuffle()) console.log('SlidePuzzle: randomized via R');
         return;
       }
       // Toggle control inversion (I)
-      if (code === 'KeyI') {
+      if (InputMap.matches(e, 'invertControls')) {
         e.preventDefault();
-        _controlsInverted = !_controlsInverted;
-        try {
-          const el = document.getElementById('lk_dialog_i');
-          if (el) {
-            const state = el.querySelector('.lk_state'); if (state) state.textContent = _controlsInverted ? 'SÍ' : 'NO';
-            const img = el.querySelector('img'); if (img) img.style.filter = _controlsInverted ? 'invert(1) saturate(1.2)' : 'none';
-          }
-        } catch(e) {}
-        console.log('SlidePuzzle: inversion toggled', _controlsInverted);
+        _toggleInverted();
         return;
       }
       if (!dir) return;
       e.preventDefault();
       console.log('SlidePuzzle:key', dir);
-      const blank = _findBlank(_board);
-      if (!blank) return;
-      const sr = blank.r + (dir === 'U' ? -1 : (dir === 'D' ? 1 : 0));
-      const sc = blank.c + (dir === 'L' ? -1 : (dir === 'R' ? 1 : 0));
-      if (sr<0||sr>=ROWS||sc<0||sc>=COLS) {
-        // illegal: prefer the tile in the attempted direction (sr,sc) to quiver — avoid quivering the blank mesh itself
-        const dirVec = { 'U': [-1,0], 'D':[1,0], 'L':[0,-1], 'R':[0,1] }[dir] || [0,0];
-        let mesh = null; let chosenAxis = 'x'; let chosenAmount = 0.04;
-        // attempt preferred tile (sr,sc)
-        if (sr>=0 && sr<ROWS && sc>=0 && sc<COLS) {
-          const cand = (_tileMeshes && _tileMeshes[sr]) ? _tileMeshes[sr][sc] : null;
-          // ensure candidate is not the blank (board value != 0)
-          if (cand && _board[sr][sc] !== 0) {
-            mesh = cand;
-            if (dirVec[0] !== 0) { chosenAxis = 'y'; chosenAmount = (dirVec[0] > 0) ? -0.04 : 0.04; }
-            else { chosenAxis = 'x'; chosenAmount = (dirVec[1] > 0) ? 0.04 : -0.04; }
-          }
-        }
-        // fallback to opposite direction tile
-        if (!mesh) {
-          const oppR = blank.r - dirVec[0];
-          const oppC = blank.c - dirVec[1];
-          if (oppR>=0 && oppR<ROWS && oppC>=0 && oppC<COLS) {
-            const cand = (_tileMeshes && _tileMeshes[oppR]) ? _tileMeshes[oppR][oppC] : null;
-            if (cand && _board[oppR][oppC] !== 0) {
-              mesh = cand;
-              if (dirVec[0] !== 0) { chosenAxis = 'y'; chosenAmount = (dirVec[0] > 0) ? 0.04 : -0.04; }
-              else { chosenAxis = 'x'; chosenAmount = (dirVec[1] > 0) ? -0.04 : 0.04; }
-            }
-          }
-        }
-        // final fallback: any orthogonal neighbor that is not blank
-        if (!mesh) {
-          const orth = (dir === 'L' || dir === 'R') ? [[-1,0],[1,0]] : [[0,-1],[0,1]];
-          for (const off of orth) {
-            const nr = blank.r + off[0], nc = blank.c + off[1];
-            if (nr>=0 && nr<ROWS && nc>=0 && nc<COLS) {
-              const cand = (_tileMeshes && _tileMeshes[nr]) ? _tileMeshes[nr][nc] : null;
-              if (cand && _board[nr][nc] !== 0) { mesh = cand; if (off[0] !== 0) { chosenAxis = 'y'; chosenAmount = (off[0]>0)? -0.04:0.04; } else { chosenAxis='x'; chosenAmount=(off[1]>0)?0.04:-0.04; } break; }
-            }
-          }
-        }
-        if (mesh) { _animating = true; _animateQuiver(mesh, chosenAxis, chosenAmount, 140).then(()=>{ _animating = false; }); }
-        console.log('SlidePuzzle:illegal move', dir);
-        return;
-      }
-      // legal: animate source tile sliding into blank
-      const mesh = (_tileMeshes && _tileMeshes[sr]) ? _tileMeshes[sr][sc] : null;
-      const blankMesh = (_tileMeshes && _tileMeshes[blank.r]) ? _tileMeshes[blank.r][blank.c] : null;
-      if (!mesh) {
-        // still apply logical move and update board/visuals
-        const moved = _applyMove(_board, dir);
-        if (moved) {
-          try { _renderBoard((_lastTextures || [])); } catch(e) {}
-        }
-        try { console.log('SlidePuzzle:board', _boardToIndexArray(_board)); } catch(e) {}
-        return;
-      }
-      _animating = true;
-      // compute world positions for mesh and blank
-      const fromPos = mesh.position.clone();
-      const toPos = (blankMesh) ? blankMesh.position.clone() : new THREE.Vector3((function(){
-        // fallback compute
-        const spacing = _tileSize * 0.98;
-        const startX = - (COLS/2 - 0.5) * spacing;
-        const startY = (ROWS/2 - 0.5) * spacing;
-        return new THREE.Vector3(startX + blank.c*spacing, startY - blank.r*spacing, mesh.position.z);
-      })());
-      _animateMeshPosition(mesh, fromPos, toPos, 260).then(()=>{
-        // swap meshes in tracking array and update board model
-        _tileMeshes[blank.r][blank.c] = mesh;
-        _tileMeshes[sr][sc] = blankMesh || null;
-        // snap positions to canonical layout to avoid drift
-        try { mesh.position.copy(toPos); if (blankMesh) blankMesh.position.copy(fromPos); } catch(e) {}
-        const moved = _applyMove(_board, dir);
-  try { console.log('SlidePuzzle:move result', moved); } catch(e) {}
-  try { if (moved) AudioManager.play('painting:move-tile'); } catch(e) {}
-        try { console.log('SlidePuzzle:board', _boardToIndexArray(_board)); } catch(e) {}
-        _animating = false;
-        // after move, check solved
-        try {
-          if (_isSolved()) {
-            console.log('SlidePuzzle: solved detected');
-            try { AudioManager.play('painting:scene-victory'); } catch(e) {}
-            // background music remains as loop; no one-shot win track configured
-            // fade in the missing final tile, then finish solved flow
-            (async ()=>{
-              try { _animating = true; await _fadeInBlank(600); } catch(e) { console.warn('SlidePuzzle: fade failed', e); }
-              try { if (_scene && _scene.userData) { _scene.userData.puzzleSolved = true; _scene.userData.puzzleState = 'finished'; } } catch(e) {}
-              try { window._puzzleSolved = true; console.log('SlidePuzzle: global puzzle solved flag set'); } catch(e) {}
-                  // Reset and pause level-repeat wrap counting until a new painting scene load
-                  try { window._wrapDownCount = 0; window._wrapCountingPaused = true; } catch(e) {}
-              try { const wrap = document.getElementById('lk_puzzle_wrap'); if (wrap && wrap.parentNode) wrap.parentNode.removeChild(wrap); } catch(e) {}
-              try { if (window._slidePuzzle_keyHandler) { window.removeEventListener('keydown', window._slidePuzzle_keyHandler); window._slidePuzzle_keyHandler = null; } } catch(e) {}
-              try {
-                // remove any interact bubbles so the 'Volver' affordance disappears on solve
-                try { const b = document.getElementById('lk_interact'); if (b && b.parentNode) b.parentNode.removeChild(b); } catch(e) {}
-                try { const tf = document.getElementById('lk_interact_topright'); if (tf && tf.parentNode) tf.parentNode.removeChild(tf); } catch(e) {}
-                let sn = document.getElementById('lk_solved_notify');
-                if (!sn) {
-                  sn = document.createElement('div'); sn.id = 'lk_solved_notify';
-                  sn.className = 'lk_dialog';
-                  sn.style.position = 'fixed'; sn.style.left = '50%'; sn.style.transform = 'translateX(-50%)'; sn.style.bottom = '4vh'; sn.style.zIndex = 100000; sn.style.pointerEvents = 'none';
-                  // show only text (no F icon) to avoid implying an F action after the puzzle is solved
-                  sn.innerHTML = `<div class="lk_dialog_text"><div class="lk_dialog_line1">Conocimiento recuperado</div><div class="lk_dialog_line2"></div></div>`;
-                  document.body.appendChild(sn);
-                }
-                sn.style.display = 'block';
-                setTimeout(()=>{ try { if (sn && sn.parentNode) sn.parentNode.removeChild(sn); } catch(e){} }, 5000);
-              } catch(e) {}
-              try { if (_preTeleportPose && _scene && _scene.userData && _scene.userData.camera) { const cam = _scene.userData.camera; cam.position.copy(_preTeleportPose.pos); cam.quaternion.copy(_preTeleportPose.quat); if (_controls && _controls.getObject) { try { _controls.getObject().position.copy(cam.position); _controls.getObject().quaternion.copy(cam.quaternion); } catch(e){} } } } catch(e) {}
-              _active = false;
-              try { if (_scene && _scene.userData) _scene.userData.puzzleState = 'finished'; } catch(e) {}
-              _animating = false;
-            })();
-          }
-        } catch(e) { console.warn('SlidePuzzle: solved check failed', e); }
-      });
+      _slide(dir);
     };
     window.addEventListener('keydown', window._slidePuzzle_keyHandler);
+    _removePointerHandlers();
+    window.addEventListener('pointerdown', _onPointerDown);
+    window.addEventListener('pointerup', _onPointerUp);
+    window.addEventListener('pointercancel', _onPointerCancel);
   } catch(e) {}
+  _announce(I18n.t('puzzle.announceOpen', { placed: _placedCount(), total: ROWS * COLS - 1 }));
+}
+
+// I key / invert dialog: flip which way the tile keys move the tiles
+function _toggleInverted() {
+  _controlsInverted = !_controlsInverted;
+  _syncInvertDialog();
+  _announce(I18n.t('puzzle.invert') + ': ' + I18n.t(_controlsInverted ? 'common.yes' : 'common.no'));
+  console.log('SlidePuzzle: inversion toggled', _controlsInverted);
+}
+
+// Invert dialog state: icon colour flip plus aria-pressed for screen readers
+function _syncInvertDialog() {
+  try {
+    const el = document.getElementById('lk_dialog_i');
+    if (el) el.setAttribute('aria-pressed', String(_controlsInverted));
+    const img = document.getElementById('lk_dialog_i_img');
+    if (img) img.style.filter = _controlsInverted ? 'invert(1) saturate(1.2)' : 'none';
+  } catch(e) {}
+}
+
+// Show a transient help bubble describing the puzzle controls with the player's current bindings
+function _showHelp() {
+  const tiles = ['tileUp', 'tileDown', 'tileLeft', 'tileRight'].map(a => InputMap.label(a)).join(' ');
+  const line1 = I18n.t('puzzle.helpTiles', { keys: tiles });
+  const line2 = I18n.t('puzzle.helpOther', { shuffle: InputMap.label('shuffle'), invert: InputMap.label('invertControls') });
+  let help = document.getElementById('lk_help_notify');
+  if (!help) {
+    help = document.createElement('div'); help.id = 'lk_help_notify'; help.className = 'lk_dialog';
+    help.style.position = 'fixed'; help.style.left = '50%'; help.style.transform = 'translateX(-50%)'; help.style.bottom = '12vh'; help.style.zIndex = 100000; help.style.pointerEvents = 'none';
+    help.innerHTML = `<div class="lk_dialog_text"><div class="lk_dialog_line1">${line1}</div><div class="lk_dialog_line2">${line2}</div></div>`;
+    document.body.appendChild(help);
+  }
+  help.style.display = 'block';
+  _announce(`${line1}. ${line2}. ${I18n.t('puzzle.helpGrid')}`);
+  setTimeout(()=>{ try { if (help && help.parentNode) help.parentNode.removeChild(help); } catch(e){} }, 5000);
+}
+
+// Public: shuffle the board again (R key, pause menu "Restart level"). Returns false when there is
+// no board yet, a slide is animating or the puzzle is already solved.
+export function reshuffle() {
+  if (!_board || _animating || SceneDirector.get('puzzleState') === 'finished') return false;
+  // reuse previous shuffle: 10 times
+  for (let i=0;i<10;i++) _shuffleByMoves(_board, SHUFFLE_MOVES);
+  _minimalMovesToBottomRight(_board);
+  try { _renderBoard((_lastTextures || [])); } catch(e) {}
+  _saveBoard();
+  _syncGrid();
+  _announce(I18n.t('puzzle.announceShuffle', { placed: _placedCount(), total: ROWS * COLS - 1 }));
+  return true;
 }
 
 export function hide() {
@@ -702,10 +995,12 @@ export function hide() {
     // Do NOT remove the parentGroup from the scene: puzzle should remain present after hide/exit
   }
   try { if (window._slidePuzzle_keyHandler) { window.removeEventListener('keydown', window._slidePuzzle_keyHandler); window._slidePuzzle_keyHandler = null; } } catch(e) {}
+  _removePointerHandlers();
   // mark puzzle inactive but do not automatically re-lock pointer; unlocking must be reversed by pressing F
-  try { if (_scene && _scene.userData) { if (_scene.userData.puzzleState !== 'finished') _scene.userData.puzzleState = 'loaded'; else _scene.userData.puzzleState = 'finished'; } } catch(e) {}
+  if (SceneDirector.get('puzzleState') !== 'finished') SceneDirector.set('puzzleState', 'loaded');
   // remove on-screen in-puzzle dialogues
   try { const wrap = document.getElementById('lk_puzzle_wrap'); if (wrap && wrap.parentNode) wrap.parentNode.removeChild(wrap); } catch(e) {}
+  _removeGrid();
   // remove main small bubble so it doesn't linger; main.updateInteraction will recreate if appropriate
   try { const b = document.getElementById('lk_interact'); if (b && b.parentNode) b.parentNode.removeChild(b); } catch(e) {}
   try { const tf = document.getElementById('lk_interact_topright'); if (tf && tf.parentNode) tf.parentNode.removeChild(tf); } catch(e) {}
@@ -714,13 +1009,13 @@ export function hide() {
     const flat = _boardToIndexArray(_board);
     const solved = flat.every((v, i) => (i === flat.length - 1 ? v === 0 : v === i+1));
     if (solved) {
-      if (_scene && _scene.userData) { _scene.userData.puzzleSolved = true; _scene.userData.puzzleState = 'finished'; }
+      SceneDirector.set('puzzleSolved', true); SceneDirector.set('puzzleState', 'finished');
       // update main interact text if present
-      try { const t = document.getElementById('lk_interact_text'); if (t) t.textContent = 'Conocimiento recuperado'; } catch(e) {}
+      try { const t = document.getElementById('lk_interact_text'); if (t) I18n.bind(t, 'puzzle.recovered'); } catch(e) {}
       // do not re-enable the F bubble when solved; restore camera if we saved one
       try { if (_preTeleportPose && _scene && _scene.userData && _scene.userData.camera) { const cam = _scene.userData.camera; cam.position.copy(_preTeleportPose.pos); cam.quaternion.copy(_preTeleportPose.quat); if (_controls && _controls.getObject) { try { _controls.getObject().position.copy(cam.position); _controls.getObject().quaternion.copy(cam.quaternion); } catch(e){} } } } catch(e) {}
   } else {
-  try { const t = document.getElementById('lk_interact_text'); if (t && (_scene && _scene.userData && _scene.userData.puzzleState === 'loaded')) t.textContent = 'Recuperar conocimiento'; } catch(e) {}
+  try { const t = document.getElementById('lk_interact_text'); if (t && SceneDirector.get('puzzleState') === 'loaded') I18n.bind(t, 'puzzle.recover'); } catch(e) {}
       // restore camera to previous pose when exiting without solving
       try { if (_preTeleportPose && _scene && _scene.userData && _scene.userData.camera) { const cam = _scene.userData.camera; cam.position.copy(_preTeleportPose.pos); cam.quaternion.copy(_preTeleportPose.quat); if (_controls && _controls.getObject) { try { _controls.getObject().position.copy(cam.position); _controls.getObject().quaternion.copy(cam.quaternion); } catch(e){} } } } catch(e) {}
       // restore movement controls to previous state
@@ -731,52 +1026,58 @@ export function hide() {
 }
 
 export function toggle() {
-  if (_active) hide(); else show();
+  if (_active) _leave(); else SceneDirector.push('painting');
+}
+
+// Leave puzzle mode through the director so its scene stack stays in sync with _active.
+function _leave() {
+  if (SceneDirector.getTopName() === 'painting') SceneDirector.pop();
+  else hide();
 }
 
 export function isActive(){ return !!_active; }
 
-// Rotation control API
-// Called every frame by main animate loop (no-op, kept for compatibility)
-export function update(dt) { return; }
+// Current layout as a flat row-major array (0 = blank), or null before init.
+export function getBoard(){ return _board ? _boardToIndexArray(_board) : null; }
 
-// Interact bubble management (moved from main.js)
-// Ensure the bottom-centered interact bubble exists. This bubble is created lazily
-// and is used by the main loop (via updateInteractBubble) to show the '[F] Volver' affordance.
-// The bubble is interactive and clicking it will call hide().
-function _ensureInteractBubble(){
-  let b = document.getElementById('lk_interact');
-  if (!b) {
-    b = document.createElement('div'); b.id = 'lk_interact';
-    b.style.pointerEvents = 'auto';
-    b.style.cursor = 'pointer';
-    // Use standardized dialog markup; main.css provides .lk_dialog rules
-    b.innerHTML = `<div class="lk_dialog"><img id="lk_interact_icon" class="lk_dialog_icon" src="./assets/vectors/Fkey.svg"/><div class="lk_dialog_text"><div class="lk_dialog_line1" id="lk_interact_text">Volver</div></div></div>`;
-    document.body.appendChild(b);
-    b.addEventListener('click', (ev)=>{ ev.stopPropagation(); try { hide(); } catch(e){} });
-  }
-  return b;
+// Move the board dy metres up (main.js: the panel follows the wrap anchor as the player climbs);
+// later re-renders use the moved anchor.
+export function shiftAnchor(dy){
+  _anchorPos.y += dy;
+  if (_group && _group.parentGroup) _group.parentGroup.position.y += dy;
 }
 
-// Called by main.updateInteraction(qualifies) to toggle visibility of the bottom-centered F bubble.
-// visible: boolean indicating whether the player is looking at the panel.
-export function updateInteractBubble(visible){
+// Release everything init()/show() created: the arrow-key handler, HUD elements, tile meshes,
+// tile textures and the painting skybox. Called by main.js when the stairs scene unloads; the
+// module can be init()-ed again afterwards.
+export function dispose() {
+  try { if (window._slidePuzzle_keyHandler) { window.removeEventListener('keydown', window._slidePuzzle_keyHandler); window._slidePuzzle_keyHandler = null; } } catch(e) {}
+  _removePointerHandlers();
+  _removeGrid();
+  if (_loading) { _loading.dispose(); _loading = null; }
+  for (const id of ['lk_puzzle_wrap', 'lk_interact', 'lk_interact_topright', 'lk_help_notify', 'lk_solved_notify', 'lk_puzzle_live']) {
+    try { const el = document.getElementById(id); if (el && el.parentNode) el.parentNode.removeChild(el); } catch(e) {}
+  }
   try {
-    const b = _ensureInteractBubble();
-    if (!b) return;
-    // visible when puzzle is loaded and player looks at panel; otherwise hide
-    if (visible && _scene && _scene.userData && (_scene.userData.puzzleState === 'loaded' || _scene.userData.puzzleLoaded)) {
-      b.style.display = 'block';
-      // if puzzle solved, show 'Conocimiento recuperado' briefly
-      if (_scene && _scene.userData && _scene.userData.puzzleState === 'finished') {
-        const txt = document.getElementById('lk_interact_text'); if (txt) txt.textContent = 'Conocimiento recuperado';
-        const tail = document.getElementById('lk_interact_tail'); if (tail) tail.textContent = '';
-      } else {
-        const txt = document.getElementById('lk_interact_text'); if (txt) txt.textContent = 'Recuperar conocimiento';
-        const tail = document.getElementById('lk_interact_tail'); if (tail) tail.textContent = '';
-      }
-    } else {
-      b.style.display = 'none';
+    const root = _group ? (_group.parentGroup || _group) : null;
+    if (root) { if (_scene) _scene.remove(root); disposeObject3D(root); }
+  } catch(e) { console.warn('SlidePuzzle: group dispose failed', e); }
+  try { if (_lastTextures) _lastTextures.forEach(t => { try { t.dispose(); } catch(e) {} }); } catch(e) {}
+  try {
+    if (_appliedBackground) {
+      if (_scene && _scene.background === _appliedBackground) _scene.background = null;
+      _appliedBackground.dispose();
     }
   } catch(e) {}
+  _scene = null; _camera = null; _controls = null;
+  _group = null; _board = null; _tileMeshes = null; _lastTextures = null;
+  _active = false; _animating = false; _preTeleportPose = null; _gridFocus = 0;
+  _previousBackground = null; _appliedBackground = null;
+  window._slidePuzzleState = null;
 }
+
+// Rotation control API
+// Called every frame by main animate loop (no-op, kept for compatibility)
+export function update(dt) { return; }
+
+SceneDirector.register('painting', { enter: show, exit: hide, update, restart: reshuffle });
@@ -0,0 +1,85 @@
+// Stair collision: raycasts against the loaded stair and tower meshes, so the stairs scene can put the
+// camera on the actual step heights and stop it at walls instead of gliding along the analytic helix.
+// - createStairCollider({ floors, walls }) collects the meshes under the given objects once (the
+//   tower copies included); objects added later are not seen, call it again after rebuilding.
+// - floorBelow(x, y, z, maxDist): height of the highest floor surface straight below (x, y, z), or
+//   null when nothing is within maxDist (a gap, or geometry that did not load).
+// - slide(x, y, z, move, radius): shortens / deflects the horizontal step `move` (a Vector3, edited in
+//   place) so a body of `radius` at height y slides along walls instead of entering them.
+// Floors are surfaces facing up (treads, landings), walls are near-vertical faces turned towards the
+// player; risers and the undersides of the flight above are ignored. main.js picks 'mesh' or the
+// analytic 'helix' fallback from the tower file (tower_config.js collision.mode).
+
+import * as THREE from './vendor/three/build/three.module.js';
+
+const MIN_FLOOR_NORMAL_Y = 0.5; // steeper surfaces (risers, walls) are not floors
+const MAX_WALL_NORMAL_Y = 0.5; // flatter surfaces (treads) are not walls
+const SKIN = 0.02; // gap kept between the body and a wall
+
+function _meshes(objects) {
+  const out = [];
+  for (const root of objects) {
+    if (!root) continue;
+    root.traverse((o) => { if (o.isMesh && o.geometry && !out.includes(o)) out.push(o); });
+  }
+  return out;
+}
+
+export function createStairCollider({ floors = [], walls = [] } = {}) {
+  const floorMeshes = _meshes(floors);
+  const wallMeshes = _meshes(walls);
+  const raycaster = new THREE.Raycaster();
+  const _origin = new THREE.Vector3();
+  const _dir = new THREE.Vector3();
+  const _down = new THREE.Vector3(0, -1, 0);
+  const _normal = new THREE.Vector3();
+  const _normalMatrix = new THREE.Matrix3();
+
+  // World-space normal of a raycast hit, or null when the hit has no face
+  function _worldNormal(hit) {
+    if (!hit.face) return null;
+    _normalMatrix.getNormalMatrix(hit.object.matrixWorld);
+    return _normal.copy(hit.face.normal).applyMatrix3(_normalMatrix).normalize();
+  }
+
+  function _cast(meshes, far) {
+    raycaster.far = far;
+    return raycaster.intersectObjects(meshes, false);
+  }
+
+  return {
+    floorBelow(x, y, z, maxDist) {
+      if (!floorMeshes.length) return null;
+      raycaster.set(_origin.set(x, y, z), _down);
+      for (const hit of _cast(floorMeshes, maxDist)) {
+        const n = _worldNormal(hit);
+        if (!n || n.y >= MIN_FLOOR_NORMAL_Y) return hit.point.y;
+      }
+      return null;
+    },
+
+    slide(x, y, z, move, radius) {
+      const len = Math.hypot(move.x, move.z);
+      if (!wallMeshes.length || len === 0) return move;
+      _origin.set(x, y, z);
+      raycaster.set(_origin, _dir.set(move.x / len, 0, move.z / len));
+      for (const hit of _cast(wallMeshes, len + radius)) {
+        const n = _worldNormal(hit);
+        if (!n || Math.abs(n.y) > MAX_WALL_NORMAL_Y) continue;
+        // only faces turned towards the body block it
+        n.y = 0; n.normalize();
+        const into = move.x * n.x + move.z * n.z;
+        if (into >= 0) continue;
+        // keep the part of the step along the wall; the part towards it stops SKIN short of radius
+        const gap = hit.distance * -(_dir.x * n.x + _dir.z * n.z);
+        const excess = -into - Math.max(0, gap - radius - SKIN);
+        if (excess > 0) { move.x += n.x * excess; move.z += n.z * excess; }
+        break;
+      }
+      return move;
+    },
+
+    // Meshes collected at creation
+    counts() { return { floors: floorMeshes.length, walls: wallMeshes.length }; }
+  };
+}
@@ -0,0 +1,18 @@
+// Stairs story: the stairs level's triggers (see triggers.js), the only copy of them. The stairs scene
+// plays these unless its entry in assets/levels.json lists its own `triggers`; the manifest can still
+// swap the wrap narrator lines with narrator.repeat.
+// Once the puzzle is set up, upward wraps are counted and the first few get a narrator line; the first
+// upward wrap sets up the puzzle; an upward wrap after it is solved leaves for the next scene
+// (`complete`: the level's completion in the manifest, or the scene's complete probe without one).
+
+export const DEFAULT_REPEAT_CUES = ['narrator:on-level-repeat-1', 'narrator:on-level-repeat-2', 'narrator:on-level-repeat-3'];
+
+export function stairsTriggers(repeatCues = DEFAULT_REPEAT_CUES) {
+  const counting = { puzzleState: ['loaded', 'active', 'finished'], wrapCountingPaused: false };
+  return [
+    { id: 'count-repeats', when: { event: 'wrapUp', flags: counting }, do: [{ type: 'count', flag: 'wrapDownCount' }] },
+    ...repeatCues.map((key, i) => ({ id: 'repeat-' + (i + 1), when: { event: 'wrapUp', flags: { ...counting, wrapDownCount: i + 1 } }, do: [{ type: 'narrator', key }] })),
+    { id: 'painting', when: { event: 'wrapUp' }, do: [{ type: 'init', target: 'painting' }] },
+    { id: 'leave', when: { event: 'wrapUp', complete: true }, do: [{ type: 'switchScene' }] }
+  ];
+}
@@ -0,0 +1,235 @@
+// StatsOverlay: performance HUD for every scene, toggled with the InputMap 'toggleStats' action (F3)
+// or opened from the start with ?stats=1.
+// Shows FPS and frame-time graphs, the attached renderer's renderer.info (draw calls, triangles,
+// geometries, textures), the JS heap where the browser exposes it (performance.memory, Chromium) and,
+// when the scene renders through an EffectComposer, the time spent in each pass.
+// Scenes call attach({ renderer, composer }) once their renderer exists and detach() in their exit
+// hook. While attached renderer.info.autoReset is off and the overlay resets it once per frame, so the
+// counts cover the whole frame (every composer pass), not just the last render() call.
+// Pass times are CPU time spent issuing the pass; with EXT_disjoint_timer_query_webgl2 the GPU time is
+// measured too (it arrives a few frames late), which is the number that matters for fill-rate-bound
+// passes such as bloom on integrated GPUs.
+
+import { SceneDirector } from './scene_director.js';
+import { InputMap } from './input_map.js';
+import { QualityManager } from './quality_manager.js';
+
+const HISTORY = 120; // samples in each graph
+const TEXT_INTERVAL_MS = 250; // readout refresh
+const MAX_FRAME_MS = 50; // top of the frame-time graph
+const MAX_FPS = 120; // top of the FPS graph
+const SMOOTHING = 0.1; // pass time moving average weight
+const MAX_PENDING_QUERIES = 4; // per pass
+
+export const StatsOverlay = (function(){
+  let _inited = false;
+  let _visible = false;
+  let _el = null;
+  let _canvas = null;
+  let _g = null; // canvas 2D context
+  let _text = null;
+  let _lastNow = null;
+  let _lastText = 0;
+  const _frameMs = new Float32Array(HISTORY);
+  let _head = 0; // next sample slot
+  let _renderer = null;
+  let _autoResetWas = true;
+  let _frameInfo = null; // { calls, triangles } of the last complete frame
+  let _passes = []; // [{ name, pass, orig, own, cpu, gpu, pending: [query] }]
+  let _timer = null; // { gl, ext } when GPU timer queries are available
+  let _queryActive = false;
+
+  function _build() {
+    const el = document.createElement('div'); el.id = 'lk_stats_overlay';
+    el.setAttribute('aria-hidden', 'true');
+    el.style.position = 'fixed'; el.style.right = '8px'; el.style.top = '8px'; el.style.zIndex = 100006; el.style.padding = '6px 8px'; el.style.borderRadius = '6px'; el.style.background = 'rgba(0,0,0,0.75)'; el.style.color = '#b2ff59'; el.style.font = '11px/1.35 monospace'; el.style.pointerEvents = 'none'; el.style.display = 'none';
+    _canvas = document.createElement('canvas'); _canvas.width = HISTORY * 2; _canvas.height = 80;
+    _canvas.style.display = 'block'; _canvas.style.marginBottom = '4px';
+    try { _g = _canvas.getContext('2d'); } catch(e) { _g = null; }
+    _text = document.createElement('pre'); _text.style.margin = '0'; _text.style.font = 'inherit';
+    el.appendChild(_canvas); el.appendChild(_text);
+    document.body.appendChild(el);
+    return el;
+  }
+
+  function _onKeyDown(e) {
+    if (e.repeat || !InputMap.matches(e, 'toggleStats')) return;
+    e.preventDefault(); // F3 is "find next" in some browsers
+    StatsOverlay.toggle();
+  }
+
+  function _ema(prev, v) { return (prev === null) ? v : prev + (v - prev) * SMOOTHING; }
+
+  function _passName(pass, i) {
+    const n = pass && pass.constructor && pass.constructor.name;
+    return (n && n !== 'Object') ? n : 'pass ' + i;
+  }
+
+  // Wrap every composer pass's render() to time it
+  function _instrument(composer) {
+    _passes = (composer.passes || []).map((pass, i) => {
+      const entry = { name: _passName(pass, i), pass, orig: pass.render, own: Object.prototype.hasOwnProperty.call(pass, 'render'), cpu: null, gpu: null, pending: [] };
+      pass.render = function(...args) {
+        const t0 = performance.now();
+        let q = null;
+        if (_visible && _timer && !_queryActive && entry.pending.length < MAX_PENDING_QUERIES) {
+          try { q = _timer.gl.createQuery(); _timer.gl.beginQuery(_timer.ext.TIME_ELAPSED_EXT, q); _queryActive = true; } catch(e) { q = null; }
+        }
+        try {
+          return entry.orig.apply(this, args);
+        } finally {
+          if (q) { _timer.gl.endQuery(_timer.ext.TIME_ELAPSED_EXT); entry.pending.push(q); _queryActive = false; }
+          entry.cpu = _ema(entry.cpu, performance.now() - t0);
+        }
+      };
+      return entry;
+    });
+  }
+
+  function _uninstrument() {
+    for (const entry of _passes) {
+      if (entry.own) entry.pass.render = entry.orig;
+      else delete entry.pass.render;
+      if (_timer) for (const q of entry.pending) { try { _timer.gl.deleteQuery(q); } catch(e) {} }
+    }
+    _passes = [];
+  }
+
+  // Collect finished GPU timer queries (oldest first; results are in nanoseconds)
+  function _pollQueries() {
+    if (!_timer) return;
+    const { gl, ext } = _timer;
+    const disjoint = gl.getParameter(ext.GPU_DISJOINT_EXT);
+    for (const entry of _passes) {
+      while (entry.pending.length && gl.getQueryParameter(entry.pending[0], gl.QUERY_RESULT_AVAILABLE)) {
+        const q = entry.pending.shift();
+        if (!disjoint) entry.gpu = _ema(entry.gpu, gl.getQueryParameter(q, gl.QUERY_RESULT) / 1e6);
+        gl.deleteQuery(q);
+      }
+    }
+  }
+
+  function _draw() {
+    const ctx = _g;
+    if (!ctx) return;
+    const w = _canvas.width, half = _canvas.height / 2;
+    ctx.clearRect(0, 0, w, _canvas.height);
+    ctx.fillStyle = 'rgba(255,255,255,0.08)'; ctx.fillRect(0, 0, w, half - 1); ctx.fillRect(0, half, w, half);
+    for (let i = 0; i < HISTORY; i++) {
+      const ms = _frameMs[(_head + i) % HISTORY];
+      if (!ms) continue;
+      const x = i * 2;
+      // top: FPS (higher is better)
+      const fpsH = Math.min(1, (1000 / ms) / MAX_FPS) * (half - 1);
+      ctx.fillStyle = '#b2ff59'; ctx.fillRect(x, half - 1 - fpsH, 2, fpsH);
+      // bottom: frame time, red past 33 ms (below 30 FPS)
+      const msH = Math.min(1, ms / MAX_FRAME_MS) * half;
+      ctx.fillStyle = ms > 33.4 ? '#ff5252' : (ms > 16.8 ? '#ffd740' : '#40c4ff'); ctx.fillRect(x, _canvas.height - msH, 2, msH);
+    }
+    // 60 / 30 FPS lines on the frame-time graph
+    ctx.fillStyle = 'rgba(255,255,255,0.35)';
+    for (const ms of [16.7, 33.3]) ctx.fillRect(0, _canvas.height - (ms / MAX_FRAME_MS) * half, w, 1);
+  }
+
+  function _readout() {
+    const samples = Array.from(_frameMs).filter(v => v > 0);
+    const last = samples.length ? _frameMs[(_head + HISTORY - 1) % HISTORY] : 0;
+    const avg = samples.length ? samples.reduce((a, b) => a + b, 0) / samples.length : 0;
+    const worst = samples.length ? Math.max(...samples) : 0;
+    const lines = [
+      `FPS ${avg ? (1000 / avg).toFixed(0) : '-'}  frame ${last.toFixed(1)} ms (avg ${avg.toFixed(1)}, max ${worst.toFixed(1)})`
+    ];
+    if (_renderer) {
+      const mem = _renderer.info.memory;
+      const f = _frameInfo || { calls: 0, triangles: 0 };
+      lines.push(`calls ${f.calls}  tris ${f.triangles}`);
+      lines.push(`geometries ${mem.geometries}  textures ${mem.textures}`);
+    } else {
+      lines.push('no renderer attached');
+    }
+    lines.push(`quality ${QualityManager.getTier()}${QualityManager.getMode() === 'auto' ? ' (auto)' : ''}`);
+    const heap = performance && performance.memory;
+    if (heap) lines.push(`heap ${(heap.usedJSHeapSize / 1048576).toFixed(1)} / ${(heap.jsHeapSizeLimit / 1048576).toFixed(0)} MB`);
+    if (_passes.length) {
+      lines.push(`passes (ms cpu${_timer ? ' / gpu' : ''})`);
+      for (const p of _passes) {
+        const cpu = p.cpu === null ? '-' : p.cpu.toFixed(2);
+        const gpu = _timer ? ' / ' + (p.gpu === null ? '-' : p.gpu.toFixed(2)) : '';
+        lines.push(`  ${p.name}${p.pass.enabled === false ? ' (off)' : ''} ${cpu}${gpu}`);
+      }
+    }
+    _text.textContent = lines.join('\n');
+  }
+
+  // SceneDirector system: runs before the scene updates, so renderer.info still holds the previous
+  // frame's totals
+  function _tick(dt, now) {
+    const frame = (_lastNow === null) ? 0 : now - _lastNow;
+    _lastNow = now;
+    if (SceneDirector.isPaused()) { _lastNow = null; return; }
+    if (_renderer) {
+      const r = _renderer.info.render;
+      _frameInfo = { calls: r.calls, triangles: r.triangles };
+      _renderer.info.reset();
+    }
+    if (!_visible) return;
+    try { _pollQueries(); } catch(e) { _timer = null; }
+    if (frame > 0) { _frameMs[_head] = frame; _head = (_head + 1) % HISTORY; }
+    _draw();
+    if (now - _lastText >= TEXT_INTERVAL_MS) { _lastText = now; _readout(); }
+  }
+
+  return {
+    // Register the toggle key and the per-frame system once per page
+    init() {
+      if (_inited) return;
+      _inited = true;
+      window.addEventListener('keydown', _onKeyDown);
+      SceneDirector.addSystem(_tick);
+      try { if (new URLSearchParams(location.search).get('stats') === '1') this.show(); } catch(e) {}
+    },
+
+    // Report on this scene's renderer (and composer passes) until detach()
+    attach({ renderer, composer } = {}) {
+      this.detach();
+      if (!renderer || !renderer.info) return;
+      _renderer = renderer;
+      _autoResetWas = renderer.info.autoReset;
+      renderer.info.autoReset = false;
+      renderer.info.reset();
+      _frameInfo = null;
+      try {
+        const gl = renderer.getContext();
+        const ext = gl.getExtension('EXT_disjoint_timer_query_webgl2');
+        _timer = (ext && typeof gl.createQuery === 'function') ? { gl, ext } : null;
+      } catch(e) { _timer = null; }
+      if (composer) _instrument(composer);
+    },
+
+    // Stop reporting on the attached renderer (scene exit, before the renderer / composer is disposed)
+    detach() {
+      if (!_renderer) return;
+      _uninstrument();
+      try { _renderer.info.autoReset = _autoResetWas; } catch(e) {}
+      _renderer = null; _timer = null; _queryActive = false; _frameInfo = null;
+    },
+
+    show() {
+      if (!_el) _el = _build();
+      _visible = true; _lastNow = null; _lastText = 0;
+      _frameMs.fill(0); _head = 0;
+      _el.style.display = 'block';
+    },
+
+    hide() {
+      _visible = false;
+      if (_el) _el.style.display = 'none';
+    },
+
+    toggle() { if (_visible) this.hide(); else this.show(); return _visible; },
+
+    isVisible() { return _visible; },
+
+    _state() { return { visible: _visible, attached: !!_renderer, frame: _frameInfo, gpuTimer: !!_timer, passes: _passes.map(p => ({ name: p.name, cpu: p.cpu, gpu: p.gpu })) }; }
+  };
+})();
@@ -0,0 +1,160 @@
+// Subtitles: captions for narrator clips. Each narrator key has a WebVTT track per locale at
+// assets/captions/<locale>/<name>.vtt ('narrator:on-game-start' -> on-game-start.vtt); a missing
+// track for the current locale falls back to Spanish, and a clip with no track plays uncaptioned.
+// NarratorManager calls attach(audio, key) when a clip starts and detach() when it ends; the cue
+// shown is picked every frame (SceneDirector system) from the clip's currentTime, so captions
+// stay in step through the pause menu.
+// Settings (on/off and size) are stored in localStorage ('lk_subtitles') and changed from the
+// pause menu.
+
+import { SceneDirector } from './scene_director.js';
+import { I18n } from './i18n.js';
+
+const STORAGE_KEY = 'lk_subtitles';
+const CAPTION_DIR = './assets/captions';
+const FALLBACK_LOCALE = 'es';
+const SIZES = { small: '18px', medium: '24px', large: '34px' };
+
+// Parse WebVTT text into [{ start, end, text }] (seconds). Cue settings and voice / style tags
+// (<v Narrador>, <i>, ...) are dropped; NOTE / STYLE / REGION blocks are skipped.
+export function parseVTT(src) {
+  const cues = [];
+  const blocks = String(src || '').replace(/\r\n?/g, '\n').split(/\n{2,}/);
+  const time = (t) => {
+    const parts = t.trim().split(':').map(Number);
+    if (parts.some(Number.isNaN)) return NaN;
+    return parts.reduce((acc, v) => acc * 60 + v, 0);
+  };
+  for (const block of blocks) {
+    const lines = block.split('\n');
+    const i = lines.findIndex(l => l.includes('-->'));
+    if (i < 0) continue;
+    const [a, b] = lines[i].split('-->');
+    const start = time(a), end = time(b.trim().split(/\s+/)[0]);
+    if (!Number.isFinite(start) || !Number.isFinite(end) || end <= start) continue;
+    const text = lines.slice(i + 1).join('\n').replace(/<[^>]+>/g, '').trim();
+    if (text) cues.push({ start, end, text });
+  }
+  return cues;
+}
+
+export const Subtitles = (function(){
+  let _settings = null;
+  let _inited = false;
+  let _el = null;
+  let _audio = null;
+  let _key = null;
+  let _cues = null;
+  let _shown = null; // cue currently on screen
+  const _cache = new Map(); // '<locale>/<name>' -> Promise<cues | null>
+
+  function _loadSettings() {
+    _settings = { enabled: true, size: 'medium' };
+    try {
+      const raw = window.localStorage && window.localStorage.getItem(STORAGE_KEY);
+      const data = raw ? JSON.parse(raw) : null;
+      if (data && typeof data.enabled === 'boolean') _settings.enabled = data.enabled;
+      if (data && SIZES[data.size]) _settings.size = data.size;
+    } catch(e) { console.warn('Subtitles: failed to read settings', e); }
+  }
+
+  function _saveSettings() {
+    try { if (window.localStorage) window.localStorage.setItem(STORAGE_KEY, JSON.stringify(_settings)); } catch(e) { console.warn('Subtitles: failed to save settings', e); }
+  }
+
+  function _fetchTrack(locale, name) {
+    const id = locale + '/' + name;
+    if (!_cache.has(id)) {
+      _cache.set(id, fetch(`${CAPTION_DIR}/${id}.vtt`)
+        .then(r => (r.ok ? r.text() : null))
+        .then(text => (text ? parseVTT(text) : null))
+        .catch(() => null));
+    }
+    return _cache.get(id);
+  }
+
+  async function _cuesFor(key) {
+    const name = String(key).replace(/^narrator:/, '');
+    const locale = I18n.getLocale();
+    let cues = await _fetchTrack(locale, name);
+    if (!cues && locale !== FALLBACK_LOCALE) cues = await _fetchTrack(FALLBACK_LOCALE, name);
+    return cues;
+  }
+
+  function _ensureEl() {
+    if (_el) return _el;
+    _el = document.createElement('div'); _el.id = 'lk_subtitles';
+    _el.setAttribute('aria-live', 'polite');
+    _el.style.position = 'fixed'; _el.style.left = '50%'; _el.style.transform = 'translateX(-50%)'; _el.style.bottom = '18vh'; _el.style.maxWidth = 'min(80vw, 46rem)'; _el.style.padding = '6px 14px'; _el.style.borderRadius = '8px'; _el.style.background = 'rgba(0,0,0,0.72)'; _el.style.color = '#fff'; _el.style.fontFamily = 'Cinzel, serif'; _el.style.lineHeight = '1.3'; _el.style.textAlign = 'center'; _el.style.whiteSpace = 'pre-line'; _el.style.textShadow = '0 2px 4px rgba(0,0,0,0.8)'; _el.style.pointerEvents = 'none'; _el.style.zIndex = 100004; _el.style.display = 'none';
+    document.body.appendChild(_el);
+    return _el;
+  }
+
+  function _show(cue) {
+    if (cue === _shown) return;
+    _shown = cue;
+    if (!cue) { if (_el) _el.style.display = 'none'; return; }
+    const el = _ensureEl();
+    el.style.fontSize = SIZES[_settings.size];
+    el.textContent = cue.text;
+    el.style.display = 'block';
+  }
+
+  // SceneDirector system: show the cue matching the attached clip's playback position
+  function _tick() {
+    if (!_audio || !_cues || !_settings.enabled) { _show(null); return; }
+    const t = _audio.currentTime;
+    _show(_cues.find(c => t >= c.start && t < c.end) || null);
+  }
+
+  function _loadCues(audio, key) {
+    _cuesFor(key).then((cues) => {
+      if (_audio !== audio) return; // another clip started meanwhile
+      _cues = cues;
+      if (!cues) console.info('Subtitles: no caption track for', key);
+    });
+  }
+
+  return {
+    // Start captioning `audio` (the narrator clip for `key`); replaces any previous clip
+    attach(audio, key) {
+      if (!_settings) _loadSettings();
+      if (!_inited) {
+        _inited = true;
+        SceneDirector.addSystem(_tick);
+        // switch the running clip's track when the player changes language
+        I18n.onChange(() => { if (_audio) { _show(null); _loadCues(_audio, _key); } });
+      }
+      _audio = audio; _key = key; _cues = null; _show(null);
+      _loadCues(audio, key);
+    },
+
+    // Stop captioning (`audio` given: only if it is still the attached clip)
+    detach(audio) {
+      if (audio && audio !== _audio) return;
+      _audio = null; _key = null; _cues = null; _show(null);
+    },
+
+    isEnabled() { if (!_settings) _loadSettings(); return _settings.enabled; },
+
+    setEnabled(on) {
+      if (!_settings) _loadSettings();
+      _settings.enabled = !!on; _saveSettings();
+      if (!_settings.enabled) _show(null);
+    },
+
+    getSize() { if (!_settings) _loadSettings(); return _settings.size; },
+
+    sizes() { return Object.keys(SIZES); },
+
+    setSize(size) {
+      if (!_settings) _loadSettings();
+      if (!SIZES[size]) return false;
+      _settings.size = size; _saveSettings();
+      if (_el) _el.style.fontSize = SIZES[size];
+      return true;
+    },
+
+    _state() { return { settings: _settings, attached: !!_audio, cues: _cues ? _cues.length : null, shown: _shown && _shown.text }; }
+  };
+})();
@@ -0,0 +1,204 @@
+// Service worker: offline play for classrooms and exhibitions (registered by offline.js).
+// On install it precaches a versioned list: SHELL (pages, game modules, the level manifest and the
+// three.js modules vendored under vendor/three/) must all download or the install fails and the old
+// version stays; ASSETS (skyboxes, constellation files, audio, captions) and the Cinzel font files
+// are fetched one by one and a missing file is only logged, so a deploy without an optional asset
+// still installs. The GLB models and the HDR sky are not in the repository (they are deployed next to
+// the game), so they are cached the first time a scene loads them rather than on install.
+// Requests are answered from the cache first; anything else same-origin or Google Fonts is fetched
+// and cached on the way. Audio elements ask for byte ranges, so cached audio is sliced into a 206
+// response.
+// Deploying: bump VERSION (and edit the lists when files are added). Browsers re-check sw.js on every
+// page load; the new worker installs next to the old one and waits until the player accepts the
+// update prompt (offline.js), then the old caches are deleted.
+
+const VERSION = '2026-10-19.22';
+const CACHE = 'lk-' + VERSION;
+const THREE_BASE = './vendor/three/';
+const RUNTIME_ORIGINS = ['https://fonts.googleapis.com', 'https://fonts.gstatic.com'];
+
+const SHELL = [
+  './',
+  './index.html',
+  './philosophy.html',
+  './audio_manager.js',
+  './constellation.js',
+  './dev_panel.js',
+  './disposal.js',
+  './gamepad_input.js',
+  './highlight.js',
+  './i18n.js',
+  './input_map.js',
+  './interactables.js',
+  './level_manifest.js',
+  './loading_screen.js',
+  './locomotion.js',
+  './main.js',
+  './motion_prefs.js',
+  './narrator_manager.js',
+  './offline.js',
+  './pause_menu.js',
+  './philosophy.js',
+  './preloader.js',
+  './quality_manager.js',
+  './save_manager.js',
+  './scene_director.js',
+  './slide_puzzle.js',
+  './stair_collision.js',
+  './stairs_story.js',
+  './stats_overlay.js',
+  './subtitles.js',
+  './touch_input.js',
+  './tower_config.js',
+  './tower_stream.js',
+  './triggers.js',
+  './assets/levels.json',
+  './assets/towers/spiral_tower.json',
+  THREE_BASE + 'build/three.module.js',
+  THREE_BASE + 'examples/jsm/controls/OrbitControls.js',
+  THREE_BASE + 'examples/jsm/controls/PointerLockControls.js',
+  THREE_BASE + 'examples/jsm/loaders/GLTFLoader.js',
+  THREE_BASE + 'examples/jsm/loaders/RGBELoader.js',
+  THREE_BASE + 'examples/jsm/utils/BufferGeometryUtils.js',
+  THREE_BASE + 'examples/jsm/postprocessing/EffectComposer.js',
+  THREE_BASE + 'examples/jsm/postprocessing/FilmPass.js',
+  THREE_BASE + 'examples/jsm/postprocessing/MaskPass.js',
+  THREE_BASE + 'examples/jsm/postprocessing/Pass.js',
+  THREE_BASE + 'examples/jsm/postprocessing/RenderPass.js',
+  THREE_BASE + 'examples/jsm/postprocessing/ShaderPass.js',
+  THREE_BASE + 'examples/jsm/postprocessing/UnrealBloomPass.js',
+  THREE_BASE + 'examples/jsm/shaders/CopyShader.js',
+  THREE_BASE + 'examples/jsm/shaders/FilmShader.js',
+  THREE_BASE + 'examples/jsm/shaders/LuminosityHighPassShader.js',
+  'https://fonts.googleapis.com/css2?family=Cinzel:wght@400;700;900&display=swap',
+  'https://fonts.googleapis.com/css2?family=Cinzel:wght@400;700&display=swap'
+];
+
+const ASSETS = [
+  './assets/skyboxes/painting/SkyboxPintura.png',
+  './assets/skyboxes/philosophy/0/layer01.jpg',
+  './assets/skyboxes/philosophy/1/layer10.png',
+  './assets/skyboxes/philosophy/2/layer21.png',
+  './assets/skyboxes/philosophy/3/layer30.png',
+  './assets/images/ThePersistenceOfMemory_Dali.jpg',
+  './assets/constellations/00_ursa_minor.json',
+  './assets/constellations/00_ursa_minor.png',
+  './assets/constellations/01_cassiopeia.json',
+  './assets/constellations/01_cassiopeia.png',
+  './assets/vectors/empty_star.svg',
+  './assets/vectors/star.svg',
+  './assets/vectors/shooting_star.svg',
+  './assets/audio/background.mp3',
+  './assets/audio/sound-effects/painting/move-tile.mp3',
+  './assets/audio/sound-effects/painting/painting_loop.mp3',
+  './assets/audio/sound-effects/painting/scene-load-and-victory.mp3',
+  './assets/audio/sound-effects/philosophy/on-level-start.mp3',
+  './assets/audio/sound-effects/philosophy/on-star-link.mp3',
+  './assets/audio/sound-effects/philosophy/philosophy_loop.mp3',
+  './assets/audio/narrator/on-game-start.m4a',
+  './assets/audio/narrator/on-painting-scene-load.m4a',
+  './assets/audio/narrator/on-level-repeat-1.m4a',
+  './assets/audio/narrator/on-level-repeat-2.m4a',
+  './assets/audio/narrator/on-level-repeat-3.m4a',
+  './assets/audio/narrator/on-game-end-fade-white.m4a',
+  './assets/captions/es/on-game-start.vtt',
+  './assets/captions/es/on-painting-scene-load.vtt',
+  './assets/captions/es/on-level-repeat-1.vtt',
+  './assets/captions/es/on-level-repeat-2.vtt',
+  './assets/captions/es/on-level-repeat-3.vtt',
+  './assets/captions/es/on-game-end-fade-white.vtt',
+  './assets/captions/en/on-game-start.vtt',
+  './assets/captions/en/on-painting-scene-load.vtt',
+  './assets/captions/en/on-level-repeat-1.vtt',
+  './assets/captions/en/on-level-repeat-2.vtt',
+  './assets/captions/en/on-level-repeat-3.vtt',
+  './assets/captions/en/on-game-end-fade-white.vtt'
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE);
+    await cache.addAll(SHELL);
+    // the font stylesheets point at the font files themselves
+    const fonts = [];
+    for (const url of SHELL.filter(u => u.startsWith('https://fonts.googleapis.com/'))) {
+      const css = await (await cache.match(url)).text();
+      for (const m of css.matchAll(/url\((https:\/\/fonts\.gstatic\.com\/[^)]+)\)/g)) if (!fonts.includes(m[1])) fonts.push(m[1]);
+    }
+    const optional = ASSETS.concat(fonts);
+    const results = await Promise.allSettled(optional.map(url => cache.add(url)));
+    const missing = optional.filter((url, i) => results[i].status === 'rejected');
+    if (missing.length) console.warn('sw: not precached', missing);
+    console.log('sw: installed', VERSION, { shell: SHELL.length, assets: optional.length - missing.length });
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    for (const key of await caches.keys()) {
+      if (key.startsWith('lk-') && key !== CACHE) await caches.delete(key);
+    }
+    // the first install takes over the page that registered it, so its runtime requests get cached
+    await self.clients.claim();
+    console.log('sw: active', VERSION);
+  })());
+});
+
+// offline.js: the player accepted the update prompt
+self.addEventListener('message', (event) => {
+  const msg = event.data || {};
+  if (msg.type === 'skipWaiting') self.skipWaiting();
+  else if (msg.type === 'version' && event.source) event.source.postMessage({ type: 'version', version: VERSION });
+});
+
+self.addEventListener('fetch', (event) => {
+  const req = event.request;
+  if (req.method !== 'GET') return;
+  const url = new URL(req.url);
+  if (url.origin !== self.location.origin && !RUNTIME_ORIGINS.includes(url.origin)) return;
+  event.respondWith(_respond(req));
+});
+
+async function _respond(req) {
+  const cache = await caches.open(CACHE);
+  const range = req.headers.get('range');
+  // pages are cached without their query (?start=, ?lang=, ?dev=)
+  const cached = await cache.match(req, { ignoreSearch: req.mode === 'navigate', ignoreVary: true });
+  if (cached) return range ? _rangeResponse(cached, range) : cached;
+  try {
+    const res = await fetch(req);
+    // partial (206) responses cannot be stored; the full file is cached by the next plain request
+    if (!range && (res.ok || res.type === 'opaque')) cache.put(req, res.clone()).catch(() => {});
+    return res;
+  } catch (e) {
+    if (req.mode === 'navigate') {
+      const page = await cache.match('./index.html');
+      if (page) return page;
+    }
+    return Response.error();
+  }
+}
+
+// Answer a 'bytes=start-end' request from a full cached response
+async function _rangeResponse(res, range) {
+  const m = /^bytes=(\d*)-(\d*)$/.exec(range.trim());
+  const blob = await res.blob();
+  const size = blob.size;
+  let start = m && m[1] !== '' ? Number(m[1]) : 0;
+  let end = m && m[2] !== '' ? Number(m[2]) : size - 1;
+  // 'bytes=-500' is the last 500 bytes
+  if (m && m[1] === '' && m[2] !== '') { start = Math.max(0, size - Number(m[2])); end = size - 1; }
+  if (!m || start >= size || end < start) {
+    return new Response(null, { status: 416, headers: { 'Content-Range': `bytes */${size}` } });
+  }
+  end = Math.min(end, size - 1);
+  return new Response(blob.slice(start, end + 1), {
+    status: 206,
+    headers: {
+      'Content-Type': res.headers.get('Content-Type') || 'application/octet-stream',
+      'Content-Range': `bytes ${start}-${end}/${size}`,
+      'Content-Length': String(end - start + 1),
+      'Accept-Ranges': 'bytes'
+    }
+  });
+}
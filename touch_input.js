@@ -0,0 +1,229 @@
+// TouchInput: on-screen controls for phones and tablets. They appear with the first touch (or right
+// away on coarse-pointer devices) and hide again when a mouse is used:
+// - a virtual joystick (bottom-left) read through move(), shaped like GamepadInput.move()
+// - look-drag: attachLook(el) turns one-finger drags that start on `el` into look deltas, which the
+//   scene consumes each frame with applyLook(camera)
+// - action buttons (pause, interact, up / down) that send a keydown/keyup pair with the action's
+//   first InputMap key, so rebinding and every existing key handler keep working
+// Which controls are visible follows the top SceneDirector scene (see SCENE_CONTROLS).
+
+import * as THREE from './vendor/three/build/three.module.js';
+import { SceneDirector } from './scene_director.js';
+import { InputMap } from './input_map.js';
+import { I18n } from './i18n.js';
+
+const JOY_RADIUS = 50; // px the knob can travel from the joystick centre
+const LOOK_PER_PX = 0.005; // radians per dragged pixel
+const PITCH_LIMIT = Math.PI / 2 - 0.01;
+
+// scene name -> controls shown while it is on top of the director stack
+const SCENE_CONTROLS = {
+  stairs:     { joystick: true,  buttons: ['pause', 'interact', 'moveUp', 'moveDown'] },
+  painting:   { joystick: false, buttons: ['pause'] },
+  philosophy: { joystick: true,  buttons: ['pause', 'moveUp', 'moveDown'] }
+};
+const BUTTON_LABELS = { pause: 'II', interact: 'F', moveUp: '▲', moveDown: '▼' };
+// actions held while the button is pressed; the others fire once per tap
+const HOLD_ACTIONS = new Set(['moveUp', 'moveDown']);
+
+export const TouchInput = (function(){
+  let _inited = false;
+  let _enabled = false;
+  let _ui = null; // { root, joystick, knob, buttons: { action: element } }
+  let _mode = null; // key of SCENE_CONTROLS currently shown (null = hidden)
+  const _move = { x: 0, y: 0 };
+  let _joyPointer = null;
+  let _joyOrigin = null;
+  const _look = { x: 0, y: 0 }; // pixels dragged since the last applyLook()
+  const _euler = new THREE.Euler(0, 0, 0, 'YXZ');
+
+  function _isCoarse() {
+    try { return window.matchMedia('(pointer: coarse)').matches; } catch(e) { return false; }
+  }
+
+  // first keyboard key of the action, or its gamepad button when the player unbound every key
+  function _codeFor(action) {
+    const codes = InputMap.getBindings(action);
+    if (codes.length) return codes[0];
+    const def = InputMap.actions().find(a => a.id === action);
+    return def ? def.pad : null;
+  }
+
+  function _emit(type, action) {
+    const code = _codeFor(action);
+    if (!code) return;
+    try { window.dispatchEvent(new KeyboardEvent(type, { code, key: code, bubbles: true, cancelable: true })); } catch(e) {}
+  }
+
+  function _setKnob(dx, dy) {
+    if (_ui) _ui.knob.style.transform = `translate(${dx}px, ${dy}px)`;
+  }
+
+  function _onJoyDown(e) {
+    if (_joyPointer !== null) return;
+    e.preventDefault(); e.stopPropagation();
+    _joyPointer = e.pointerId;
+    const r = _ui.joystick.getBoundingClientRect();
+    _joyOrigin = { x: r.left + r.width / 2, y: r.top + r.height / 2 };
+    try { _ui.joystick.setPointerCapture(e.pointerId); } catch(err) {}
+    _onJoyMove(e);
+  }
+
+  function _onJoyMove(e) {
+    if (e.pointerId !== _joyPointer || !_joyOrigin) return;
+    let dx = e.clientX - _joyOrigin.x, dy = e.clientY - _joyOrigin.y;
+    const len = Math.hypot(dx, dy);
+    if (len > JOY_RADIUS) { dx *= JOY_RADIUS / len; dy *= JOY_RADIUS / len; }
+    _move.x = dx / JOY_RADIUS; _move.y = -dy / JOY_RADIUS;
+    _setKnob(dx, dy);
+  }
+
+  function _onJoyUp(e) {
+    if (e.pointerId !== _joyPointer) return;
+    _joyPointer = null; _joyOrigin = null;
+    _move.x = _move.y = 0;
+    _setKnob(0, 0);
+  }
+
+  function _makeButton(action) {
+    const b = document.createElement('button');
+    b.type = 'button';
+    b.textContent = BUTTON_LABELS[action] || action;
+    I18n.bind(b, 'action.' + action, 'aria-label');
+    b.style.width = '56px'; b.style.height = '56px'; b.style.borderRadius = '50%'; b.style.border = '1px solid rgba(255,255,255,0.5)'; b.style.background = 'rgba(0,0,0,0.45)'; b.style.color = '#fff'; b.style.fontFamily = 'Cinzel, serif'; b.style.fontSize = '20px'; b.style.fontWeight = '700'; b.style.touchAction = 'none'; b.style.userSelect = 'none'; b.style.pointerEvents = 'auto';
+    if (HOLD_ACTIONS.has(action)) {
+      let held = null;
+      const release = (e) => { if (held === null || e.pointerId !== held) return; held = null; _emit('keyup', action); };
+      b.addEventListener('pointerdown', (e) => {
+        e.preventDefault(); e.stopPropagation();
+        if (held !== null) return;
+        held = e.pointerId;
+        try { b.setPointerCapture(e.pointerId); } catch(err) {}
+        _emit('keydown', action);
+      });
+      b.addEventListener('pointerup', release);
+      b.addEventListener('pointercancel', release);
+    } else {
+      b.addEventListener('pointerdown', (e) => { e.preventDefault(); e.stopPropagation(); });
+      b.addEventListener('click', (e) => { e.stopPropagation(); _emit('keydown', action); _emit('keyup', action); });
+    }
+    return b;
+  }
+
+  function _build() {
+    const root = document.createElement('div'); root.id = 'lk_touch_controls';
+    root.style.position = 'fixed'; root.style.left = '0'; root.style.top = '0'; root.style.width = '100%'; root.style.height = '100%'; root.style.pointerEvents = 'none'; root.style.zIndex = 100003; root.style.display = 'none';
+
+    const joystick = document.createElement('div');
+    joystick.style.position = 'absolute'; joystick.style.left = 'calc(24px + env(safe-area-inset-left, 0px))'; joystick.style.bottom = 'calc(24px + env(safe-area-inset-bottom, 0px))'; joystick.style.width = (JOY_RADIUS * 2 + 20) + 'px'; joystick.style.height = (JOY_RADIUS * 2 + 20) + 'px'; joystick.style.borderRadius = '50%'; joystick.style.background = 'rgba(0,0,0,0.3)'; joystick.style.border = '1px solid rgba(255,255,255,0.35)'; joystick.style.display = 'flex'; joystick.style.alignItems = 'center'; joystick.style.justifyContent = 'center'; joystick.style.touchAction = 'none'; joystick.style.pointerEvents = 'auto';
+    const knob = document.createElement('div');
+    knob.style.width = '52px'; knob.style.height = '52px'; knob.style.borderRadius = '50%'; knob.style.background = 'rgba(255,255,255,0.55)'; knob.style.pointerEvents = 'none';
+    joystick.appendChild(knob);
+    joystick.addEventListener('pointerdown', _onJoyDown);
+    joystick.addEventListener('pointermove', _onJoyMove);
+    joystick.addEventListener('pointerup', _onJoyUp);
+    joystick.addEventListener('pointercancel', _onJoyUp);
+    root.appendChild(joystick);
+
+    // action buttons sit bottom-right, above the music controls
+    const col = document.createElement('div');
+    col.style.position = 'absolute'; col.style.right = 'calc(16px + env(safe-area-inset-right, 0px))'; col.style.bottom = 'calc(76px + env(safe-area-inset-bottom, 0px))'; col.style.display = 'flex'; col.style.flexDirection = 'column'; col.style.gap = '12px';
+    const buttons = {};
+    for (const action of ['pause', 'interact', 'moveUp', 'moveDown']) {
+      const b = _makeButton(action);
+      buttons[action] = b;
+      col.appendChild(b);
+    }
+    root.appendChild(col);
+    document.body.appendChild(root);
+    return { root, joystick, knob, buttons };
+  }
+
+  // SceneDirector system: keep the visible controls in step with the top scene
+  function _sync() {
+    const top = SceneDirector.getTopName();
+    const mode = (_enabled && top && SCENE_CONTROLS[top]) ? top : null;
+    if (mode === _mode) return;
+    _mode = mode;
+    if (!mode) {
+      if (_ui) _ui.root.style.display = 'none';
+      _move.x = _move.y = 0; _joyPointer = null; _setKnob(0, 0);
+      return;
+    }
+    if (!_ui) _ui = _build();
+    const cfg = SCENE_CONTROLS[mode];
+    _ui.root.style.display = 'block';
+    _ui.joystick.style.display = cfg.joystick ? 'flex' : 'none';
+    for (const [action, b] of Object.entries(_ui.buttons)) b.style.display = cfg.buttons.includes(action) ? 'block' : 'none';
+  }
+
+  function _onAnyPointerDown(e) {
+    if (e.pointerType === 'touch' && !_enabled) { _enabled = true; console.log('TouchInput: touch controls enabled'); }
+    else if (e.pointerType === 'mouse' && _enabled) { _enabled = false; _look.x = _look.y = 0; }
+  }
+
+  return {
+    // Listen for the first touch and start syncing the controls with the director (once per page)
+    init() {
+      if (_inited) return;
+      _inited = true;
+      _enabled = _isCoarse();
+      window.addEventListener('pointerdown', _onAnyPointerDown, true);
+      SceneDirector.addSystem(_sync);
+    },
+
+    // True while the on-screen controls are in use
+    isActive() { return _enabled; },
+
+    // Joystick: { x: right, y: forward } in [-1, 1]
+    move() { return { x: _move.x, y: _move.y }; },
+
+    // Turn one-finger drags that start on `el` into look input. Returns a function that detaches it.
+    // `filter(ev)` may reject a touch (e.g. one that started on something draggable).
+    attachLook(el, filter) {
+      if (!el) return () => {};
+      let id = null; let last = null;
+      const down = (e) => {
+        if (e.pointerType !== 'touch' || id !== null) return;
+        if (typeof filter === 'function' && !filter(e)) return;
+        id = e.pointerId; last = { x: e.clientX, y: e.clientY };
+      };
+      const move = (e) => {
+        if (e.pointerId !== id || !last) return;
+        _look.x += e.clientX - last.x; _look.y += e.clientY - last.y;
+        last = { x: e.clientX, y: e.clientY };
+      };
+      const up = (e) => { if (e.pointerId === id) { id = null; last = null; } };
+      el.style.touchAction = 'none';
+      el.addEventListener('pointerdown', down);
+      window.addEventListener('pointermove', move);
+      window.addEventListener('pointerup', up);
+      window.addEventListener('pointercancel', up);
+      return () => {
+        el.removeEventListener('pointerdown', down);
+        window.removeEventListener('pointermove', move);
+        window.removeEventListener('pointerup', up);
+        window.removeEventListener('pointercancel', up);
+      };
+    },
+
+    // Apply (and consume) the look drag collected by attachLook() to `camera`
+    applyLook(camera) {
+      const dx = _look.x, dy = _look.y;
+      _look.x = _look.y = 0;
+      this.lookBy(camera, dx, dy);
+    },
+
+    // Turn `camera` by a drag of (dx, dy) pixels, keeping the pitch within +-90°
+    lookBy(camera, dx, dy) {
+      if (!camera || (!dx && !dy)) return;
+      _euler.setFromQuaternion(camera.quaternion);
+      _euler.y -= dx * LOOK_PER_PX;
+      _euler.x = Math.max(-PITCH_LIMIT, Math.min(PITCH_LIMIT, _euler.x - dy * LOOK_PER_PX));
+      camera.quaternion.setFromEuler(_euler);
+    },
+
+    // Expose internal state for debugging
+    _state() { return { enabled: _enabled, mode: _mode, move: this.move(), look: { x: _look.x, y: _look.y } }; }
+  };
+})();
@@ -0,0 +1,164 @@
+// TowerConfig: calibration of the stairs scene's tower, read from a tower file
+// (assets/towers/<id>.json; the stairs level in assets/levels.json may name another one with "tower").
+// Shipping a new tower or a re-exported staircase is a JSON edit.
+//
+// File shape (lengths in metres, angles in radians):
+// {
+//   version: 1, id: 'spiral_tower',
+//   models: { tower: url, stairs: url },
+//   start: { position: { x, y, z } },              // camera start (top of the tower)
+//   helix: {
+//     center: { x, z } | null,                      // null: centre of the tower model's bounds
+//     radius, thickness,                            // walkable band: radius +/- thickness / 2
+//     pitch,                                        // rise per revolution
+//     inverted,                                     // true: the helix descends with increasing angle
+//     baseYOffset                                   // helix base above the lowest stair segment
+//   },
+//   wrap: { triggerRings, distanceRings, cooldownMs }, // count a wrap once the camera is triggerRings
+//                                                      // past the wrap anchor (the start at first);
+//                                                      // the anchor then moves distanceRings that way
+//   stairs: [{ position, rotation, scale }],        // stair segment transforms ({ x, y, z } each)
+//   stream?: {                                      // optional, DEFAULT_TOWER's when missing
+//     periodRings,                                  // tower copies are stacked this many rings apart
+//     above, below                                  // copies kept over / under the player's
+//   },
+//   lighting?: {                                    // optional, DEFAULT_TOWER's when missing
+//     exposure,                                     // renderer.toneMappingExposure
+//     interior: { count, color, intensity, distance, decay } // point lights up the tower's axis
+//   },
+//   collision?: {                                   // optional, DEFAULT_TOWER's when missing
+//     mode: 'mesh' | 'helix',                       // step on the stair meshes, or ride the helix
+//     eyeHeight: number | null,                     // camera above the step; null: measured at the start
+//     maxStep, maxDrop,                             // highest step up / down followed in one move
+//     radius                                        // how close the camera gets to a wall
+//   }
+// }
+// Wraps do not move the camera (tower_stream.js keeps copies around the player); the painting
+// panel and the interior lights follow the wrap anchor, so wrap.distanceRings must be a multiple of
+// stream.periodRings for them to land on the same spot of the tower. Older files with
+// clones: { ringOffsets } (fixed copies) are read as a stream: the smallest offset is the period and
+// the offsets above / below the tower give the copy counts.
+// The developer panel (dev_panel.js, ?dev=1) exports this same format.
+// load() never fails: an unreadable or invalid file logs a warning and the built-in DEFAULT_TOWER
+// is used.
+
+const TOWER_URL = './assets/towers/spiral_tower.json';
+
+export const DEFAULT_TOWER = {
+  version: 1,
+  id: 'spiral_tower',
+  models: { tower: './assets/models/TowerSection.glb', stairs: './assets/models/SpiralStairs.glb' },
+  start: { position: { x: 0.9745185184179505, y: 11.516213485322599, z: -2.2217748539252415 } },
+  helix: { center: null, radius: 1.943, thickness: 0.6, pitch: 2.16255, inverted: true, baseYOffset: 0.3525 },
+  wrap: { triggerRings: 2, distanceRings: 3, cooldownMs: 250 },
+  stairs: [
+    { position: { x: -2, y: 6.25, z: 17.4 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 0.574, y: 0.53, z: 0.574 } },
+    { position: { x: -2, y: 10.572143951743062, z: 17.4 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 0.574, y: 0.53, z: 0.574 } },
+    { position: { x: -2, y: 1.9292879034861175, z: 17.4 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 0.574, y: 0.53, z: 0.574 } },
+    { position: { x: -2, y: 14.896431855229162, z: 17.4 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 0.574, y: 0.53, z: 0.574 } }
+  ],
+  stream: { periodRings: 3, above: 2, below: 2 },
+  lighting: { exposure: 0.95, interior: { count: 3, color: '#fff6e0', intensity: 0.9, distance: 28, decay: 2 } },
+  collision: { mode: 'mesh', eyeHeight: null, maxStep: 0.45, maxDrop: 1.2, radius: 0.3 }
+};
+
+// Throw a descriptive error unless `data` is a usable tower file; returns it (with the default
+// stream, lighting and collision filled in when the file has none)
+export function validateTower(data) {
+  const num = (v, path) => { if (typeof v !== 'number' || !Number.isFinite(v)) throw new Error(path + ' must be a number'); return v; };
+  const vec = (v, path) => { if (!v || typeof v !== 'object') throw new Error(path + ' must be { x, y, z }'); ['x', 'y', 'z'].forEach(k => num(v[k], path + '.' + k)); };
+  if (!data || typeof data !== 'object') throw new Error('tower file is not an object');
+  if (!data.models || typeof data.models.tower !== 'string' || typeof data.models.stairs !== 'string') throw new Error('models.tower and models.stairs must be URLs');
+  if (!data.start) throw new Error('start is missing');
+  vec(data.start.position, 'start.position');
+  const h = data.helix;
+  if (!h) throw new Error('helix is missing');
+  if (h.center !== null && h.center !== undefined) { num(h.center.x, 'helix.center.x'); num(h.center.z, 'helix.center.z'); }
+  if (num(h.radius, 'helix.radius') <= 0) throw new Error('helix.radius must be positive');
+  if (num(h.thickness, 'helix.thickness') < 0) throw new Error('helix.thickness must not be negative');
+  if (num(h.pitch, 'helix.pitch') <= 0) throw new Error('helix.pitch must be positive');
+  if (typeof h.inverted !== 'boolean') throw new Error('helix.inverted must be true or false');
+  num(h.baseYOffset, 'helix.baseYOffset');
+  const w = data.wrap;
+  if (!w) throw new Error('wrap is missing');
+  if (num(w.triggerRings, 'wrap.triggerRings') <= 0) throw new Error('wrap.triggerRings must be positive');
+  if (num(w.distanceRings, 'wrap.distanceRings') <= 0) throw new Error('wrap.distanceRings must be positive');
+  if (num(w.cooldownMs, 'wrap.cooldownMs') < 0) throw new Error('wrap.cooldownMs must not be negative');
+  if (!Array.isArray(data.stairs) || data.stairs.length === 0) throw new Error('stairs needs at least one segment');
+  data.stairs.forEach((s, i) => { vec(s && s.position, `stairs[${i}].position`); vec(s.rotation, `stairs[${i}].rotation`); vec(s.scale, `stairs[${i}].scale`); });
+  if (data.stream === undefined && data.clones !== undefined) {
+    if (!data.clones || !Array.isArray(data.clones.ringOffsets)) throw new Error('clones.ringOffsets must be an array');
+    const offsets = data.clones.ringOffsets.map((v, i) => num(v, `clones.ringOffsets[${i}]`)).filter(v => v !== 0);
+    data.stream = {
+      periodRings: offsets.length ? Math.min(...offsets.map(Math.abs)) : data.wrap.distanceRings,
+      above: offsets.filter(v => v > 0).length,
+      below: offsets.filter(v => v < 0).length
+    };
+    delete data.clones;
+  }
+  if (data.stream === undefined) {
+    data.stream = JSON.parse(JSON.stringify(DEFAULT_TOWER.stream));
+  } else {
+    const st = data.stream;
+    if (!st || num(st.periodRings, 'stream.periodRings') <= 0) throw new Error('stream.periodRings must be positive');
+    ['above', 'below'].forEach(k => { if (!Number.isInteger(st[k]) || st[k] < 0) throw new Error('stream.' + k + ' must be a whole number'); });
+  }
+  if (data.lighting === undefined) {
+    data.lighting = JSON.parse(JSON.stringify(DEFAULT_TOWER.lighting));
+  } else {
+    const l = data.lighting;
+    if (!l || !l.interior) throw new Error('lighting needs exposure and interior');
+    if (num(l.exposure, 'lighting.exposure') <= 0) throw new Error('lighting.exposure must be positive');
+    const i = l.interior;
+    if (!Number.isInteger(i.count) || i.count < 0) throw new Error('lighting.interior.count must be a whole number');
+    if (typeof i.color !== 'string') throw new Error('lighting.interior.color must be a CSS colour string');
+    ['intensity', 'distance', 'decay'].forEach(k => { if (num(i[k], 'lighting.interior.' + k) < 0) throw new Error('lighting.interior.' + k + ' must not be negative'); });
+  }
+  if (data.collision === undefined) {
+    data.collision = JSON.parse(JSON.stringify(DEFAULT_TOWER.collision));
+  } else {
+    const c = data.collision;
+    if (!c || (c.mode !== 'mesh' && c.mode !== 'helix')) throw new Error("collision.mode must be 'mesh' or 'helix'");
+    if (c.eyeHeight !== null && num(c.eyeHeight, 'collision.eyeHeight') <= 0) throw new Error('collision.eyeHeight must be positive or null');
+    ['maxStep', 'maxDrop', 'radius'].forEach(k => { if (num(c[k], 'collision.' + k) < 0) throw new Error('collision.' + k + ' must not be negative'); });
+  }
+  return data;
+}
+
+export const TowerConfig = (function(){
+  let _data = null;
+  let _url = null;
+  let _loading = null;
+
+  return {
+    // Fetch and validate a tower file (default: the built-in tower's). Resolves to the calibration
+    // in use: the file's, or DEFAULT_TOWER when it can't be loaded. Repeated calls for the same URL
+    // share one fetch.
+    load(url = TOWER_URL) {
+      if (_data && _url === url) return Promise.resolve(_data);
+      if (_loading && _url === url) return _loading;
+      _url = url;
+      _loading = (async () => {
+        try {
+          const res = await fetch(url, { cache: 'no-cache' });
+          if (!res.ok) throw new Error('HTTP ' + res.status);
+          _data = validateTower(await res.json());
+          console.log('TowerConfig: loaded', _data.id || url);
+        } catch (e) {
+          console.warn('TowerConfig: failed to load ' + url + ', using the built-in tower', e);
+          _data = DEFAULT_TOWER;
+        }
+        _loading = null;
+        return _data;
+      })();
+      return _loading;
+    },
+
+    isLoaded() { return !!_data; },
+
+    // Calibration in use (DEFAULT_TOWER until load() resolves)
+    get() { return _data || DEFAULT_TOWER; },
+
+    _state() { return { url: _url, id: this.get().id, loaded: !!_data }; }
+  };
+})();
@@ -0,0 +1,60 @@
+// Tower streaming for the stairs scene: a fixed pool of tower copies (stairs included) recycled
+// above and below the player as they climb, so the stair goes on for ever without moving the camera.
+// - createTowerStream({ base, periodY, above, below, originY }) clones `base` above + below + 1 times.
+//   Copies sit on slots: slot k is `base`'s position plus k * periodY. Slot 0 is `base` itself, which
+//   never moves (the developer panel edits its stairs).
+// - update(y) keeps the slots from `below` under to `above` over the player's slot filled (the slot
+//   nearest y, counted from originY). Only copies that fall out of that range move; a jump of any
+//   size (level restart) re-fills the whole range. Returns true when a copy moved.
+// - setPeriod(periodY) re-places every copy (the developer panel's pitch slider).
+// The copies are the same objects for the stream's lifetime, so a collider built over objects() once
+// keeps working; moved copies get their world matrices updated straight away.
+
+export function createTowerStream({ base, periodY, above = 2, below = 2, originY = 0 }) {
+  const copies = [];
+  for (let i = 0; i < above + below + 1; i++) {
+    const object = base.clone(true);
+    base.parent.add(object);
+    copies.push({ object, slot: null });
+  }
+  let center = null;
+
+  function _place(copy, slot) {
+    copy.slot = slot;
+    copy.object.position.copy(base.position);
+    copy.object.position.y += slot * periodY;
+    copy.object.updateMatrixWorld(true);
+  }
+
+  // Fill every slot around `c` except 0 (the base); the copy left over takes the next slot up
+  function _fill(c) {
+    const wanted = [];
+    for (let k = c - below; k <= c + above; k++) if (k !== 0) wanted.push(k);
+    if (wanted.length < copies.length) wanted.push(c + above + 1);
+    const free = copies.filter(cp => !wanted.includes(cp.slot));
+    for (const k of wanted) {
+      if (copies.some(cp => cp.slot === k)) continue;
+      _place(free.shift(), k);
+    }
+    return true;
+  }
+
+  return {
+    update(y) {
+      const c = Math.round((y - originY) / periodY);
+      if (c === center) return false;
+      center = c;
+      return _fill(c);
+    },
+
+    setPeriod(p) {
+      periodY = p;
+      for (const cp of copies) if (cp.slot !== null) _place(cp, cp.slot);
+    },
+
+    // The base and every pooled copy (for colliders)
+    objects() { return [base].concat(copies.map(cp => cp.object)); },
+
+    _state() { return { center, periodY, slots: copies.map(cp => cp.slot).sort((a, b) => a - b) }; }
+  };
+}
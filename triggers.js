@@ -0,0 +1,167 @@
+// Triggers: level story authored as data. A level entry in assets/levels.json lists `triggers`, each a
+// condition (`when`) and the actions to run (`do`), so narrator lines, puzzle spawns and scene changes
+// live in the manifest instead of in the movement code. The stairs story ships in stairs_story.js,
+// which the stairs entry's own `triggers` would replace.
+//
+// Trigger shape:
+// {
+//   id: 'repeat-1',
+//   when: {                                   // every listed condition must hold
+//     event?: 'wrapUp' | 'wrapDown' | ...,    // only checked when the scene fires that event
+//     flags?: { name: value | [values] | { min, max } }, // SceneDirector flags
+//     heightRings?: { min, max },             // camera above the wrap anchor, in helix rings
+//     lookingAt?: id,                         // that interactable has the prompt (interactables.js)
+//     elapsed?: seconds,                      // at least this long since the scene started
+//     complete?: true                         // LevelManifest.isComplete(level, event); probes.complete(event)
+//                                             // when the manifest does not have the level
+//   },
+//   do: [                                     // run in order
+//     { type: 'narrator', key } | { type: 'sound', key } |
+//     { type: 'set', flag, value } | { type: 'count', flag } |   // count: +1 and saved
+//     { type: 'init', target } | { type: 'switchScene' } |      // provided by the scene
+//     { type: 'hud', text: i18n key, ms? }
+//   ],
+//   once?: boolean                            // default: true without an event, false with one
+// }
+//
+// createTriggers(defs, { level, probes, actions }) is made by the scene that plays the level:
+// probes answer heightRings(), lookingAt(id) and complete(event), actions holds init targets
+// ({ painting: fn }) and switchScene(). The scene calls fire(event) for events and update(dt) every
+// frame; triggers without an event are checked in update() and run when their conditions become
+// true. Triggers run in list order, so a trigger sees the flags changed by the ones before it.
+
+import { SceneDirector } from './scene_director.js';
+import { SaveManager } from './save_manager.js';
+import { LevelManifest } from './level_manifest.js';
+import { NarratorManager } from './narrator_manager.js';
+import { AudioManager } from './audio_manager.js';
+import { I18n } from './i18n.js';
+
+const HUD_MS = 4000;
+
+// Flag test: a value, one of a list, or a numeric { min, max } range
+function _matches(v, spec) {
+  if (Array.isArray(spec)) return spec.includes(v);
+  if (spec && typeof spec === 'object') return typeof v === 'number' && _inRange(v, spec);
+  return v === spec;
+}
+
+function _inRange(v, { min = -Infinity, max = Infinity }) { return v >= min && v <= max; }
+
+let _hud = null;
+let _hudTimer = null;
+
+function _showHud(key, ms) {
+  if (!_hud) {
+    _hud = document.createElement('div'); _hud.id = 'lk_trigger_hud';
+    _hud.setAttribute('role', 'status'); _hud.setAttribute('aria-live', 'polite');
+    _hud.style.position = 'fixed'; _hud.style.left = '50%'; _hud.style.top = '12%'; _hud.style.transform = 'translateX(-50%)'; _hud.style.zIndex = 100005; _hud.style.padding = '8px 16px'; _hud.style.borderRadius = '10px'; _hud.style.background = 'rgba(0,0,0,0.6)'; _hud.style.color = '#fff'; _hud.style.fontFamily = 'Cinzel, serif'; _hud.style.fontSize = '20px'; _hud.style.textAlign = 'center'; _hud.style.pointerEvents = 'none'; _hud.style.transition = 'opacity 400ms ease';
+    document.body.appendChild(_hud);
+  }
+  I18n.bind(_hud, key);
+  _hud.style.opacity = '1';
+  clearTimeout(_hudTimer);
+  _hudTimer = setTimeout(() => { if (_hud) _hud.style.opacity = '0'; }, ms);
+}
+
+function _removeHud() {
+  clearTimeout(_hudTimer); _hudTimer = null;
+  try { if (_hud && _hud.parentNode) _hud.parentNode.removeChild(_hud); } catch(e) {}
+  _hud = null;
+}
+
+export function createTriggers(defs, { level, probes = {}, actions = {} } = {}) {
+  const triggers = (Array.isArray(defs) ? defs : []).filter((t) => {
+    const ok = t && t.when && typeof t.when === 'object' && Array.isArray(t.do);
+    if (!ok) console.warn('triggers: skipping malformed trigger', t);
+    return ok;
+  });
+  const fired = new Set();   // ids of `once` triggers that ran
+  const held = new Set();    // ids of event-less triggers whose conditions held last frame
+  let elapsed = 0;
+
+  const _id = (t, i) => t.id || String(i);
+  const _once = (t) => (t.once !== undefined ? !!t.once : !t.when.event);
+
+  function _complete(event) {
+    if (LevelManifest.get(level)) return LevelManifest.isComplete(level, event);
+    return !!(probes.complete && probes.complete(event));
+  }
+
+  function _holds(when, event) {
+    if (when.flags) {
+      for (const [name, spec] of Object.entries(when.flags)) if (!_matches(SceneDirector.get(name), spec)) return false;
+    }
+    if (when.heightRings) {
+      const h = probes.heightRings ? probes.heightRings() : null;
+      if (typeof h !== 'number' || !_inRange(h, when.heightRings)) return false;
+    }
+    if (when.lookingAt !== undefined && !(probes.lookingAt && probes.lookingAt(when.lookingAt))) return false;
+    if (when.elapsed !== undefined && elapsed < when.elapsed) return false;
+    if (when.complete && !_complete(event)) return false;
+    return true;
+  }
+
+  function _run(t, id) {
+    console.log('triggers: run', level + ':' + id);
+    for (const a of t.do) {
+      try {
+        switch (a.type) {
+          case 'narrator': NarratorManager.play(a.key); break;
+          case 'sound': AudioManager.play(a.key); break;
+          case 'set': SceneDirector.set(a.flag, a.value); break;
+          case 'count': {
+            const n = (Number(SceneDirector.get(a.flag, 0)) || 0) + 1;
+            SceneDirector.set(a.flag, n);
+            try { SaveManager.checkpoint({ [level]: { [a.flag]: n } }); } catch(e) {}
+            break;
+          }
+          case 'init': {
+            const fn = actions.init && actions.init[a.target];
+            if (typeof fn === 'function') fn(); else console.warn('triggers: nothing to init as', a.target);
+            break;
+          }
+          case 'switchScene':
+            if (typeof actions.switchScene === 'function') actions.switchScene(); else console.warn('triggers: this scene cannot switch');
+            break;
+          case 'hud': _showHud(a.text, a.ms || HUD_MS); break;
+          default: console.warn('triggers: unknown action', a);
+        }
+      } catch(e) { console.warn('triggers: action failed', a, e); }
+    }
+  }
+
+  return {
+    // The scene reached `event` (e.g. 'wrapUp'): run every trigger waiting for it whose conditions hold
+    fire(event) {
+      triggers.forEach((t, i) => {
+        const id = _id(t, i);
+        if (t.when.event !== event || fired.has(id) || !_holds(t.when, event)) return;
+        if (_once(t)) fired.add(id);
+        _run(t, id);
+      });
+    },
+
+    // Per frame: elapsed time and the event-less triggers (run on the frame their conditions start to hold)
+    update(dt) {
+      elapsed += dt;
+      triggers.forEach((t, i) => {
+        const id = _id(t, i);
+        if (t.when.event || fired.has(id)) return;
+        const holds = _holds(t.when, null);
+        const rising = holds && !held.has(id);
+        if (holds) held.add(id); else held.delete(id);
+        if (!rising) return;
+        if (_once(t)) fired.add(id);
+        _run(t, id);
+      });
+    },
+
+    // Level restart: every trigger can run again and the clock starts over
+    reset() { fired.clear(); held.clear(); elapsed = 0; },
+
+    dispose() { _removeHud(); },
+
+    _state() { return { level, count: triggers.length, fired: Array.from(fired), elapsed }; }
+  };
+}